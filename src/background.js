@@ -3,10 +3,21 @@
  * Handles API calls (bypasses CORS) and context menu
  * Requirements: 2.1, 2.3, 3.1, 3.3, 4.1, 5.1
  */
-import { getProvider } from './providers/index.js';
+import { getProvider, hasProvider, providers, getAvailableProviders, isApiKeyRequired } from './providers/index.js';
+import { ConfigurationError, UnsupportedInputError } from './providers/errors.js';
+import { buildProviderChain, runProviderChain } from './providers/fallback.js';
+import { describeUnsupportedInput } from './providers/capabilities.js';
+import { PROVIDERS, FREE_PROVIDERS, STORAGE_KEYS, MODEL_CACHE_DURATION, TRANSLATION_MODES } from './utils/constants.js';
 import { featureGate } from './utils/featureGate.js';
 import { licenseManager } from './utils/license.js';
 import { historyManager } from './utils/history.js';
+import { usageTracker } from './utils/usage.js';
+import { findPromptTemplate } from './utils/prompts.js';
+import { glossaryManager, findGlossaryMatches, checkGlossary } from './utils/glossary.js';
+import { toneManager, findTone } from './utils/tones.js';
+import { planSameLanguage } from './utils/languageId.js';
+import { isDictionaryLookup, summarizeDictionaryEntry } from './providers/dictionary.js';
+import { compareBackTranslation } from './utils/backTranslation.js';
 
 // Create context menu on install
 chrome.runtime.onInstalled.addListener(() => {
@@ -15,6 +26,11 @@ chrome.runtime.onInstalled.addListener(() => {
     title: 'Translate "%s"',
     contexts: ['selection']
   });
+  chrome.contextMenus.create({
+    id: 'compare-selection',
+    title: 'Compare translations of "%s"',
+    contexts: ['selection']
+  });
 });
 
 // Handle context menu click
@@ -25,35 +41,214 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
       text: info.selectionText
     });
   }
+  if (info.menuItemId === 'compare-selection' && info.selectionText) {
+    chrome.tabs.sendMessage(tab.id, {
+      action: 'contextMenuCompare',
+      text: info.selectionText
+    });
+  }
 });
 
+// In-flight translations by request id, so content scripts can cancel them
+const activeRequests = new Map();
+
+/**
+ * Register an in-flight translation
+ * @param {string} [requestId] - Id chosen by the content script
+ * @returns {AbortController}
+ */
+function startRequest(requestId) {
+  const controller = new AbortController();
+  if (requestId) {
+    activeRequests.get(requestId)?.abort();
+    activeRequests.set(requestId, controller);
+  }
+  return controller;
+}
+
+/**
+ * Forget a finished translation
+ * @param {string} [requestId]
+ * @param {AbortController} controller - Only removed if still the registered one
+ */
+function finishRequest(requestId, controller) {
+  if (requestId && activeRequests.get(requestId) === controller) {
+    activeRequests.delete(requestId);
+  }
+}
+
+/**
+ * Abort an in-flight translation; unknown ids are ignored
+ * @param {string} requestId
+ */
+function cancelRequest(requestId) {
+  activeRequests.get(requestId)?.abort();
+  activeRequests.delete(requestId);
+}
+
 // Handle messages from content script
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'translate') {
-    handleTranslate(request)
-      .then(result => sendResponse({ success: true, translation: result.translation, historyItem: result.historyItem }))
-      .catch(error => sendResponse({ success: false, error: error.message }));
+    const controller = startRequest(request.requestId);
+    handleTranslate(request, { signal: controller.signal })
+      .finally(() => finishRequest(request.requestId, controller))
+      .then(result => sendResponse({
+        success: true,
+        translation: result.translation,
+        detectedLanguage: result.detectedLanguage,
+        confidence: result.confidence,
+        historyItem: result.historyItem,
+        provider: result.provider,
+        fallbackFrom: result.fallbackFrom,
+        glossaryViolations: result.glossaryViolations,
+        sameLanguage: result.sameLanguage,
+        alternatives: result.alternatives,
+        historyEntry: result.historyEntry,
+        dictionary: result.dictionary
+      }))
+      .catch(error => sendResponse({ success: false, error: error.message, errorCode: error.code || null }));
     return true; // Keep channel open for async response
   }
+
+  if (request.action === 'compare') {
+    const controller = startRequest(request.requestId);
+    handleCompare(request, { signal: controller.signal })
+      .finally(() => finishRequest(request.requestId, controller))
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message, errorCode: error.code || null }));
+    return true;
+  }
+
+  if (request.action === 'saveAlternative') {
+    saveToHistory({ ...request.historyEntry, translation: request.translation, note: request.note })
+      .then(historyItem => sendResponse({ success: Boolean(historyItem), historyItem }));
+    return true;
+  }
+
+  if (request.action === 'explainTranslation') {
+    handleExplain(request)
+      .then(result => sendResponse({ success: true, explanation: result.explanation, historyItem: result.historyItem }))
+      .catch(error => sendResponse({ success: false, error: error.message, errorCode: error.code || null }));
+    return true;
+  }
+
+  if (request.action === 'backTranslate') {
+    handleBackTranslate(request)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message, errorCode: error.code || null }));
+    return true;
+  }
+
+  if (request.action === 'listSwitchProviders') {
+    listSwitchProviders(request.engine)
+      .then(providers => sendResponse({ success: true, providers }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'openSettings') {
+    openSettings().then(() => sendResponse({ success: true }));
+    return true;
+  }
+
+  if (request.action === 'cancelTranslate') {
+    cancelRequest(request.requestId);
+    sendResponse({ success: true });
+    return false;
+  }
+
+  if (request.action === 'listProviders') {
+    sendResponse({ success: true, providers: getAvailableProviders() });
+    return false;
+  }
+
+  if (request.action === 'listModels') {
+    handleListModels(request)
+      .then(models => sendResponse({ success: true, models }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'testConnection') {
+    handleTestConnection(request)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message, errorCode: error.code || null }));
+    return true;
+  }
+});
+
+// Handle streaming translation requests from content script
+// Each port carries one translation: chunks are pushed as they arrive,
+// followed by a single 'done' or 'error' message. Disconnecting the port
+// or posting a 'cancel' message aborts the translation.
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'translate-stream') return;
+
+  const controller = new AbortController();
+  let disconnected = false;
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    controller.abort();
+  });
+
+  const post = (message) => {
+    if (!disconnected) port.postMessage(message);
+  };
+
+  port.onMessage.addListener((request) => {
+    if (request.action === 'cancel') {
+      controller.abort();
+      return;
+    }
+    if (request.action !== 'translate') return;
+
+    handleTranslate(request, {
+      onChunk: (delta, translation) => post({ type: 'chunk', translation }),
+      onFallback: (provider) => post({ type: 'fallback', provider }),
+      onRetry: ({ attempt, maxRetries, delay }) => post({ type: 'retry', attempt, maxRetries, delay }),
+      signal: controller.signal
+    })
+      .then(result => post({
+        type: 'done',
+        translation: result.translation,
+        detectedLanguage: result.detectedLanguage,
+        confidence: result.confidence,
+        historyItem: result.historyItem,
+        provider: result.provider,
+        fallbackFrom: result.fallbackFrom,
+        glossaryViolations: result.glossaryViolations,
+        sameLanguage: result.sameLanguage,
+        alternatives: result.alternatives,
+        historyEntry: result.historyEntry,
+        dictionary: result.dictionary
+      }))
+      .catch(error => {
+        if (!controller.signal.aborted) post({ type: 'error', error: error.message, errorCode: error.code || null });
+      });
+  });
 });
 
 /**
- * Validate provider and tone access based on license status
+ * Validate provider, tone and translation mode access based on license status
  * Requirements: 2.1, 2.3, 3.1, 3.3
  * @param {string} engine - The AI engine/provider to use
  * @param {string} tone - The translation tone to use
+ * @param {import('./utils/tones.js').Tone[]} [customTones] - User tones, for naming a custom tone
+ * @param {string} [mode] - Translation mode, see TRANSLATION_MODES
  * @returns {Promise<{valid: boolean, error?: string}>}
  */
-async function validateFeatureAccess(engine, tone) {
+async function validateFeatureAccess(engine, tone, customTones = [], mode = 'single') {
   // Get current license status to update feature gate cache
   const licenseStatus = await licenseManager.getLicenseStatus();
   featureGate.updateLicenseStatus(licenseStatus);
   
   // Check provider access (Requirements: 2.1, 2.3)
   if (!featureGate.isProviderAvailable(engine)) {
+    const freeProviders = new Intl.ListFormat('en', { type: 'disjunction' })
+      .format(FREE_PROVIDERS.map(id => providers[id]?.displayName || id));
     return {
       valid: false,
-      error: `The ${engine} provider requires a Premium license. Please upgrade or select Gemini or DeepSeek.`
+      error: `The ${engine} provider requires a Premium license. Please upgrade or select ${freeProviders}.`
     };
   }
   
@@ -61,13 +256,229 @@ async function validateFeatureAccess(engine, tone) {
   if (!featureGate.isToneAvailable(tone)) {
     return {
       valid: false,
-      error: `The ${tone} tone requires a Premium license. Please upgrade or use Neutral tone.`
+      error: `The ${findTone(tone, customTones)?.name || tone} tone requires a Premium license. Please upgrade or use Neutral tone.`
+    };
+  }
+  
+  // Check translation mode access
+  if (!featureGate.isModeAvailable(mode)) {
+    const modeName = TRANSLATION_MODES.find(m => m.id === mode)?.name || mode;
+    return {
+      valid: false,
+      error: `${modeName} requires a Premium license. Please upgrade or switch to Single translation.`
     };
   }
   
   return { valid: true };
 }
 
+/**
+ * Load the per-provider settings saved from the popup (endpoint, headers)
+ * merged with the model chosen for that provider
+ * @param {string} engine - The AI engine/provider
+ * @returns {Promise<Object>}
+ */
+function getProviderSettings(engine) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([STORAGE_KEYS.PROVIDER_SETTINGS, STORAGE_KEYS.MODELS], (result) => {
+      const settings = result[STORAGE_KEYS.PROVIDER_SETTINGS]?.[engine] || {};
+      const model = result[STORAGE_KEYS.MODELS]?.[engine];
+      resolve(model ? { ...settings, model } : settings);
+    });
+  });
+}
+
+/**
+ * Read a cached model list if it is still fresh
+ * @param {string} cacheKey - Provider id, plus endpoint for self-hosted providers
+ * @returns {Promise<string[]|null>}
+ */
+function getCachedModels(cacheKey) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([STORAGE_KEYS.MODEL_CACHE], (result) => {
+      const entry = result[STORAGE_KEYS.MODEL_CACHE]?.[cacheKey];
+      const isFresh = entry && Date.now() - entry.fetchedAt < MODEL_CACHE_DURATION;
+      resolve(isFresh ? entry.models : null);
+    });
+  });
+}
+
+/**
+ * Cache a fetched model list
+ * @param {string} cacheKey - Provider id, plus endpoint for self-hosted providers
+ * @param {string[]} models - Model ids
+ * @returns {Promise<void>}
+ */
+function storeCachedModels(cacheKey, models) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([STORAGE_KEYS.MODEL_CACHE], (result) => {
+      const cache = result[STORAGE_KEYS.MODEL_CACHE] || {};
+      cache[cacheKey] = { models, fetchedAt: Date.now() };
+      chrome.storage.local.set({ [STORAGE_KEYS.MODEL_CACHE]: cache }, resolve);
+    });
+  });
+}
+
+/**
+ * Load the prompt template chosen in the popup
+ * @returns {Promise<import('./utils/prompts.js').PromptTemplate>}
+ */
+function getPromptTemplate() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([STORAGE_KEYS.PROMPT_TEMPLATES, STORAGE_KEYS.PROMPT_TEMPLATE], (result) => {
+      resolve(findPromptTemplate(result[STORAGE_KEYS.PROMPT_TEMPLATES], result[STORAGE_KEYS.PROMPT_TEMPLATE]));
+    });
+  });
+}
+
+/**
+ * Load what to do with text already in the target language
+ * @returns {Promise<string>} - '' to show the original, or a language code
+ */
+function getSecondaryLanguage() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([STORAGE_KEYS.SECONDARY_LANG], (result) => {
+      resolve(result[STORAGE_KEYS.SECONDARY_LANG] || '');
+    });
+  });
+}
+
+/**
+ * Refuse input a provider's capabilities rule out, before any request is made
+ * @param {string} engine - The AI engine/provider
+ * @param {{text?: string, sourceLang?: string, targetLang?: string}} input - See describeUnsupportedInput
+ * @throws {UnsupportedInputError}
+ */
+function assertInputSupported(engine, input) {
+  const { name, capabilities } = describeProvider(engine);
+  const reason = describeUnsupportedInput(capabilities, name, input);
+  if (reason) {
+    throw new UnsupportedInputError(reason);
+  }
+}
+
+/**
+ * Load the user's failure-handling settings: fallback order, the API keys
+ * it needs, and the retry limit (undefined means the provider default)
+ * @returns {Promise<{fallbackProviders: string[], apiKeys: Object<string, string>, maxRetries: number|undefined}>}
+ */
+function getFailureSettings() {
+  const keys = [STORAGE_KEYS.FALLBACK_PROVIDERS, STORAGE_KEYS.API_KEYS, STORAGE_KEYS.MAX_RETRIES];
+  return new Promise((resolve) => {
+    chrome.storage.local.get(keys, (result) => {
+      resolve({
+        fallbackProviders: result[STORAGE_KEYS.FALLBACK_PROVIDERS] || [],
+        apiKeys: result[STORAGE_KEYS.API_KEYS] || {},
+        maxRetries: result[STORAGE_KEYS.MAX_RETRIES]
+      });
+    });
+  });
+}
+
+/**
+ * List the other providers a failed translation could be retried with:
+ * those the license covers and that have a key when they need one
+ * @param {string} engine - Provider that failed
+ * @returns {Promise<{id: string, name: string}[]>}
+ */
+async function listSwitchProviders(engine) {
+  const licenseStatus = await licenseManager.getLicenseStatus();
+  featureGate.updateLicenseStatus(licenseStatus);
+  const { apiKeys } = await getFailureSettings();
+  const candidates = PROVIDERS.map(provider => provider.id);
+  return buildProviderChain(engine, apiKeys[engine], candidates, apiKeys, {
+    isAvailable: id => featureGate.isProviderAvailable(id)
+  })
+    .slice(1)
+    .map(step => describeProvider(step.engine));
+}
+
+/**
+ * Open the extension settings: the toolbar popup where the browser allows
+ * opening it programmatically, otherwise the same page in a new tab
+ * @returns {Promise<void>}
+ */
+function openSettings() {
+  return Promise.resolve()
+    .then(() => chrome.action.openPopup())
+    .catch(() => chrome.tabs.create({ url: chrome.runtime.getURL('popup/popup.html') }))
+    .catch(error => console.warn('Could not open settings:', error.message));
+}
+
+/**
+ * Describe a provider for display in the tooltip, which adapts to its capabilities
+ * @param {string} engine - Provider id
+ * @returns {{id: string, name: string, capabilities: import('./providers/capabilities.js').ProviderCapabilities|null}}
+ */
+function describeProvider(engine) {
+  return {
+    id: engine,
+    name: providers[engine]?.displayName || engine,
+    capabilities: providers[engine]?.capabilities || null
+  };
+}
+
+/**
+ * List the models a provider offers, served from cache when fresh
+ * @param {Object} params
+ * @param {string} params.engine - The AI engine/provider
+ * @param {string} [params.apiKey] - API key for the engine
+ * @param {Object} [params.settings] - Unsaved provider settings from the popup; stored settings are used otherwise
+ * @param {boolean} [params.refresh] - Bypass the cache
+ * @returns {Promise<string[]>}
+ */
+async function handleListModels({ engine, apiKey, settings, refresh = false }) {
+  const providerSettings = settings || await getProviderSettings(engine);
+  const cacheKey = providerSettings.baseUrl ? `${engine}|${providerSettings.baseUrl}` : engine;
+
+  if (!refresh) {
+    const cached = await getCachedModels(cacheKey);
+    if (cached) return cached;
+  }
+
+  const provider = getProvider(engine, apiKey, providerSettings);
+  const models = await provider.listModels();
+  await storeCachedModels(cacheKey, models);
+  return models;
+}
+
+/**
+ * Check an API key and provider settings before they are saved, with the
+ * smallest authenticated request the provider allows
+ * @param {Object} params
+ * @param {string} params.engine - The AI engine/provider
+ * @param {string} [params.apiKey] - Key to check
+ * @param {Object} [params.settings] - Unsaved provider settings (endpoint, model); defaults to the saved ones
+ * @returns {Promise<{status: 'valid'|'invalid_key'|'no_quota'|'wrong_region'|'network_blocked'|'error', message: string, rateLimits: import('./providers/retry.js').RateLimits|null}>}
+ * @throws {ConfigurationError} When the provider is unknown or needs a key that is missing
+ */
+async function handleTestConnection({ engine, apiKey, settings }) {
+  if (!hasProvider(engine)) {
+    throw new ConfigurationError(`Unknown provider: ${engine}`);
+  }
+  if (!apiKey && isApiKeyRequired(engine)) {
+    throw new ConfigurationError('Please enter an API key');
+  }
+
+  const provider = getProvider(engine, apiKey, settings || await getProviderSettings(engine));
+  const name = provider.constructor.displayName;
+  try {
+    const { rateLimits } = await provider.testConnection();
+    return { status: 'valid', message: `${name} accepted the key.`, rateLimits };
+  } catch (error) {
+    const results = {
+      invalid_key: ['invalid_key', `${name} rejected the key. Check that it is copied in full and still active.`],
+      quota_exceeded: ['no_quota', `The key works, but the ${name} account has no credit or quota left.`],
+      region_blocked: ['wrong_region', `${name} is not available in your country or region.`],
+      network: ['network_blocked', `Could not reach ${name}. A firewall, proxy or another extension may be blocking it.`],
+      // Throttled requests were still authenticated
+      rate_limited: ['valid', `${name} accepted the key, but it is rate limited right now.`]
+    };
+    const [status, message] = results[error.code] || ['error', error.message];
+    return { status, message, rateLimits: null };
+  }
+}
+
 /**
  * Handle translation request using Strategy Pattern
  * Requirements: 2.1, 2.3, 3.1, 3.3, 4.1, 5.1
@@ -78,30 +489,364 @@ async function validateFeatureAccess(engine, tone) {
  * @param {string} params.sourceLang - Source language code
  * @param {string} params.targetLang - Target language code
  * @param {string} params.tone - Translation tone
- * @returns {Promise<{translation: string, historyItem?: Object}>}
+ * @param {string} [params.context] - Text around the selection, for templates using {context}
+ * @param {string} [params.mode] - 'alternatives' asks for candidates; nothing is saved until one is picked.
+ *   Selections of one to three words are looked up in the dictionary whatever the mode. Providers
+ *   without prompt support (machine translation) give a plain translation either way.
+ * @param {Object} [options]
+ * @param {function(string, string): void} [options.onChunk] - Stream partial output (delta, translation)
+ * @param {function({id: string, name: string}): void} [options.onFallback] - Called when switching to a fallback provider
+ * @param {function({attempt: number, maxRetries: number, delay: number}): void} [options.onRetry] - Called before waiting to retry
+ * @param {AbortSignal} [options.signal] - Cancels the translation; nothing is saved to history
+ * @returns {Promise<{translation: string, detectedLanguage: string|null, confidence: number|null, historyItem?: Object, provider: Object|null, fallbackFrom: Object|null, glossaryViolations: Object[], sameLanguage: {language: string, translatedTo: string|null}|null, alternatives: Object[]|null, historyEntry: Object|null, dictionary: Object|null}>}
  */
-async function handleTranslate({ text, engine, apiKey, sourceLang, targetLang, tone }) {
+async function handleTranslate({ text, engine, apiKey, sourceLang, targetLang, tone, context, mode = 'single' }, { onChunk, onFallback, onRetry, signal } = {}) {
   // Validate feature access before making API call
-  const accessCheck = await validateFeatureAccess(engine, tone || 'neutral');
+  const customTones = await toneManager.getCustomTones();
+  const accessCheck = await validateFeatureAccess(engine, tone || 'neutral', customTones, mode);
   if (!accessCheck.valid) {
-    throw new Error(accessCheck.error);
+    throw new ConfigurationError(accessCheck.error);
   }
   
-  // Perform translation
-  const provider = getProvider(engine, apiKey);
-  const translation = await provider.translate(text, sourceLang, targetLang, tone);
+  // Text already in the target language is shown as it is, or translated
+  // into the secondary language instead, without a call into the same language
+  const sameLanguage = planSameLanguage(text, sourceLang, targetLang, await getSecondaryLanguage());
+  if (sameLanguage && !sameLanguage.translateTo) {
+    return {
+      translation: text,
+      detectedLanguage: sameLanguage.language,
+      confidence: sameLanguage.confidence,
+      historyItem: null,
+      provider: null,
+      fallbackFrom: null,
+      glossaryViolations: [],
+      sameLanguage: { language: sameLanguage.language, translatedTo: null },
+      alternatives: null,
+      historyEntry: null,
+      dictionary: null
+    };
+  }
+  if (sameLanguage) {
+    sourceLang = sameLanguage.language;
+    targetLang = sameLanguage.translateTo;
+  }
+  
+  if (!apiKey && isApiKeyRequired(engine)) {
+    throw new ConfigurationError('Please configure your API key in the extension settings.');
+  }
+  
+  // Perform translation: each provider retries with backoff, then the
+  // fallback chain moves on to the next provider that can take the text.
+  // A primary engine that cannot take it is skipped in favour of one that can.
+  const { fallbackProviders, apiKeys, maxRetries } = await getFailureSettings();
+  const chain = buildProviderChain(engine, apiKey, fallbackProviders, apiKeys, {
+    isAvailable: id => featureGate.isProviderAvailable(id),
+    input: { text, sourceLang, targetLang }
+  });
+  if (chain[0].engine !== engine) {
+    onFallback?.(describeProvider(chain[0].engine));
+  }
+  const template = await getPromptTemplate();
+  const glossary = await glossaryManager.getEntries();
+  const lookup = isDictionaryLookup(text);
+  
+  const answered = await runProviderChain(chain, async (step) => {
+    const providerSettings = await getProviderSettings(step.engine);
+    const provider = getProvider(step.engine, step.apiKey, providerSettings);
+    const translateOptions = {
+      maxRetries,
+      onRetry: ({ attempt, maxRetries, delay }) => onRetry?.({ attempt, maxRetries, delay }),
+      signal,
+      template,
+      context,
+      glossary,
+      customTones
+    };
+    const { prompts } = provider.constructor.capabilities;
+    if (lookup && prompts) {
+      const dictionary = await provider.lookupWord(text, sourceLang, targetLang, translateOptions);
+      return {
+        provider,
+        result: {
+          translation: summarizeDictionaryEntry(dictionary),
+          detectedLanguage: dictionary.detectedLanguage,
+          confidence: null,
+          dictionary
+        }
+      };
+    }
+    if (mode === 'alternatives' && prompts) {
+      return { provider, result: await provider.translateAlternatives(text, sourceLang, targetLang, tone, translateOptions) };
+    }
+    return { provider, result: await provider.translate(text, sourceLang, targetLang, tone, { ...translateOptions, onChunk }) };
+  }, { onFallback: step => onFallback?.(describeProvider(step.engine)), signal });
+  const { provider, result } = answered.result;
+  const answeredBy = answered.step.engine;
+  const fallbackFrom = answeredBy !== engine ? engine : null;
+  
+  // A cancelled translation is discarded, never saved
+  signal?.throwIfAborted();
+  
+  // Glossary terms the translation left out are flagged in the tooltip
+  const glossaryMatches = findGlossaryMatches(glossary, text, sourceLang, targetLang);
+  const violationsOf = (translation) => checkGlossary(glossaryMatches, translation)
+    .map(({ entry, expected }) => ({ source: entry.source, expected, doNotTranslate: entry.doNotTranslate }));
+  const alternatives = result.alternatives?.map(alternative => ({
+    ...alternative,
+    glossaryViolations: violationsOf(alternative.translation)
+  })) || null;
+  const translation = alternatives ? alternatives[0].translation : result.translation;
+  const glossaryViolations = result.dictionary ? [] : violationsOf(translation);
+  const detectedLanguage = result.detectedLanguage || sameLanguage?.language || null;
+  const confidence = result.detectedLanguage ? result.confidence : sameLanguage?.confidence ?? null;
+  
+  const usage = provider.lastUsage;
+  const cost = await recordProviderUsage(answeredBy, provider);
   
-  // Save to history with proper limit enforcement (Requirements: 4.1, 5.1)
+  const historyEntry = {
+    // Word lookups are a separate history type, so they do not clutter sentence history
+    type: result.dictionary ? 'dictionary' : 'translation',
+    original: text,
+    // Auto-detected translations are stored under the language the provider found
+    sourceLang: detectedLanguage || sourceLang,
+    targetLang: targetLang,
+    engine: answeredBy,
+    model: provider.model,
+    fallbackFrom: fallbackFrom,
+    usage: usage,
+    cost: cost,
+    tone: tone || 'neutral',
+    dictionary: result.dictionary || null
+  };
+  
+  // Alternatives are saved once the user picks one, see the 'saveAlternative' message
+  const historyItem = alternatives ? null : await saveToHistory({ ...historyEntry, translation });
+  
+  return {
+    translation,
+    detectedLanguage,
+    confidence,
+    historyItem,
+    provider: describeProvider(answeredBy),
+    fallbackFrom: fallbackFrom ? describeProvider(fallbackFrom) : null,
+    glossaryViolations,
+    sameLanguage: sameLanguage ? { language: sameLanguage.language, translatedTo: targetLang } : null,
+    alternatives,
+    historyEntry: alternatives ? historyEntry : null,
+    dictionary: result.dictionary || null
+  };
+}
+
+/**
+ * Translate a selection with every configured provider at once, for side-by-side comparison
+ * Free users compare up to FREE_COMPARE_LIMIT providers, the saved engine first.
+ * Nothing is saved to history until the user picks a result, see the
+ * 'saveAlternative' message.
+ * @param {Object} params
+ * @param {string} params.text - Text to translate
+ * @param {string} params.engine - Saved engine, compared first
+ * @param {string} params.sourceLang - Source language code
+ * @param {string} params.targetLang - Target language code
+ * @param {string} [params.tone] - Translation tone
+ * @param {string} [params.context] - Surrounding page text
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels every request
+ * @returns {Promise<{results: Object[], limitedCount: number}>} - One result per provider in
+ *   comparison order, with `latency` in ms and either the translation, `cost` and `historyEntry`
+ *   or an `error`; `limitedCount` configured providers were left out by the license
+ */
+async function handleCompare({ text, engine, sourceLang, targetLang, tone, context }, { signal } = {}) {
+  const customTones = await toneManager.getCustomTones();
+  const accessCheck = await validateFeatureAccess(engine, tone || 'neutral', customTones);
+  if (!accessCheck.valid) {
+    throw new ConfigurationError(accessCheck.error);
+  }
+
+  // validateFeatureAccess has refreshed the license status
+  const configured = (await getConfiguredEngines())
+    .sort((a, b) => Number(b === engine) - Number(a === engine));
+  const engines = configured
+    .filter(id => featureGate.isProviderAvailable(id))
+    .slice(0, featureGate.getCompareLimit());
+  if (engines.length === 0) {
+    throw new ConfigurationError('Please configure your API key in the extension settings.');
+  }
+
+  const template = await getPromptTemplate();
+  const glossary = await glossaryManager.getEntries();
+  const glossaryMatches = findGlossaryMatches(glossary, text, sourceLang, targetLang);
+
+  const results = await Promise.all(engines.map(async (id) => {
+    const startedAt = Date.now();
+    try {
+      assertInputSupported(id, { text, sourceLang, targetLang });
+      const { provider, maxRetries } = await getConfiguredProvider(id);
+      const result = await provider.translate(text, sourceLang, targetLang, tone, {
+        maxRetries, signal, template, context, glossary, customTones
+      });
+      const latency = Date.now() - startedAt;
+      const cost = await recordProviderUsage(id, provider);
+      return {
+        provider: describeProvider(id),
+        translation: result.translation,
+        latency,
+        cost,
+        glossaryViolations: checkGlossary(glossaryMatches, result.translation)
+          .map(({ entry, expected }) => ({ source: entry.source, expected, doNotTranslate: entry.doNotTranslate })),
+        historyEntry: {
+          original: text,
+          sourceLang: result.detectedLanguage || sourceLang,
+          targetLang,
+          engine: id,
+          model: provider.model,
+          fallbackFrom: null,
+          usage: provider.lastUsage,
+          cost,
+          tone: tone || 'neutral'
+        }
+      };
+    } catch (error) {
+      return {
+        provider: describeProvider(id),
+        latency: Date.now() - startedAt,
+        error: error.message,
+        errorCode: error.code || null
+      };
+    }
+  }));
+
+  // A cancelled comparison is discarded
+  signal?.throwIfAborted();
+
+  return { results, limitedCount: configured.length - engines.length };
+}
+
+/**
+ * Translate a translation back into the source language and compare the
+ * result with the original, to show whether the meaning drifted
+ * @param {Object} params
+ * @param {string} params.text - Original text
+ * @param {string} params.translation - Translation to check
+ * @param {string} params.sourceLang - Language of the original; not 'auto'
+ * @param {string} params.targetLang - Language of the translation
+ * @param {string} params.engine - Provider to translate back with
+ * @returns {Promise<{backTranslation: string, provider: {id: string, name: string}} & import('./utils/backTranslation.js').BackTranslationComparison>}
+ */
+async function handleBackTranslate({ text, translation, sourceLang, targetLang, engine }) {
+  assertInputSupported(engine, { text: translation, sourceLang: targetLang, targetLang: sourceLang });
+  const { provider, maxRetries } = await getConfiguredProvider(engine);
+  const result = await provider.translate(translation, targetLang, sourceLang, 'neutral', { maxRetries });
+  await recordProviderUsage(engine, provider);
+
+  return {
+    backTranslation: result.translation,
+    provider: describeProvider(engine),
+    ...compareBackTranslation(text, result.translation)
+  };
+}
+
+/**
+ * Ask the provider that translated a text to explain its translation
+ * The explanation is added to the history item when there is one.
+ * @param {Object} params
+ * @param {string} params.text - Original text
+ * @param {string} params.translation - Translation shown in the tooltip
+ * @param {string} params.sourceLang - Source language code, or 'auto'
+ * @param {string} params.targetLang - Target language code
+ * @param {string} params.engine - Provider that answered the translation
+ * @param {string} [params.historyId] - History item to save the explanation with
+ * @returns {Promise<{explanation: import('./providers/explanation.js').Explanation, historyItem: Object|null}>}
+ */
+async function handleExplain({ text, translation, sourceLang, targetLang, engine, historyId }) {
+  const { provider, maxRetries } = await getConfiguredProvider(engine);
+  const explanation = await provider.explainTranslation(text, translation, sourceLang, targetLang, { maxRetries });
+  await recordProviderUsage(engine, provider);
+
   let historyItem = null;
-  try {
-    historyItem = await historyManager.addTranslation({
-      original: text,
-      translation: translation,
-      sourceLang: sourceLang,
-      targetLang: targetLang,
-      engine: engine,
-      tone: tone || 'neutral'
+  if (historyId) {
+    try {
+      historyItem = await historyManager.updateTranslation(historyId, { explanation });
+      if (historyItem && (await licenseManager.getLicenseStatus()).isPremium) {
+        historyManager.syncToCloud().catch(err => {
+          console.warn('Cloud sync failed:', err.message);
+        });
+      }
+    } catch (historyError) {
+      console.warn('Failed to save explanation to history:', historyError.message);
+    }
+  }
+
+  return { explanation, historyItem };
+}
+
+/**
+ * Set up a provider for a follow-up request on a translation, with its stored key and settings
+ * @param {string} engine - The AI engine/provider
+ * @returns {Promise<{provider: import('./providers/base.js').BaseProvider, maxRetries: number|undefined}>}
+ * @throws {ConfigurationError} When the license does not cover the provider or its key is missing
+ */
+async function getConfiguredProvider(engine) {
+  const accessCheck = await validateFeatureAccess(engine, 'neutral');
+  if (!accessCheck.valid) {
+    throw new ConfigurationError(accessCheck.error);
+  }
+
+  const { apiKeys, maxRetries } = await getFailureSettings();
+  if (!apiKeys[engine] && isApiKeyRequired(engine)) {
+    throw new ConfigurationError('Please configure your API key in the extension settings.');
+  }
+
+  const provider = getProvider(engine, apiKeys[engine], await getProviderSettings(engine));
+  return { provider, maxRetries };
+}
+
+/**
+ * List the providers the user has saved a key or settings for and that can
+ * run with what was saved, whether or not the license covers them
+ * @returns {Promise<string[]>} - Provider ids in the popup's order
+ */
+async function getConfiguredEngines() {
+  const { apiKeys } = await getFailureSettings();
+  const providerSettings = await new Promise((resolve) => {
+    chrome.storage.local.get([STORAGE_KEYS.PROVIDER_SETTINGS], (result) => {
+      resolve(result[STORAGE_KEYS.PROVIDER_SETTINGS] || {});
     });
+  });
+
+  return PROVIDERS.map(provider => provider.id).filter(id =>
+    hasProvider(id) &&
+    (apiKeys[id] || providerSettings[id]) &&
+    (apiKeys[id] || !isApiKeyRequired(id))
+  );
+}
+
+/**
+ * Record the tokens and cost of a provider's last request; failures are only logged
+ * @param {string} engine - Provider id
+ * @param {import('./providers/base.js').BaseProvider} provider
+ * @returns {Promise<number|null>} - Estimated cost, null when unknown
+ */
+async function recordProviderUsage(engine, provider) {
+  try {
+    const usage = provider.lastUsage;
+    const cost = await usageTracker.estimateCost(engine, provider.model, usage);
+    await usageTracker.recordUsage({ provider: engine, usage, cost });
+    return cost;
+  } catch (usageError) {
+    console.warn('Failed to record usage:', usageError.message);
+    return null;
+  }
+}
+
+/**
+ * Save a translation to history with proper limit enforcement and start a cloud sync
+ * Requirements: 4.1, 5.1
+ * @param {import('./utils/history.js').AddTranslationInput} item
+ * @returns {Promise<Object|null>} - The saved history item, null when saving failed
+ */
+async function saveToHistory(item) {
+  try {
+    const historyItem = await historyManager.addTranslation(item);
     
     // Trigger cloud sync for premium users (Requirement 5.1)
     const licenseStatus = await licenseManager.getLicenseStatus();
@@ -111,10 +856,10 @@ async function handleTranslate({ text, engine, apiKey, sourceLang, targetLang, t
         console.warn('Cloud sync failed:', err.message);
       });
     }
+    return historyItem;
   } catch (historyError) {
     // Don't fail translation if history saving fails
     console.warn('Failed to save translation to history:', historyError.message);
+    return null;
   }
-  
-  return { translation, historyItem };
 }
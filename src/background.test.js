@@ -0,0 +1,165 @@
+/**
+ * Tests for cancelling translations in the background worker
+ * Drives the message handlers the content script uses, with a stubbed browser API and fetch
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import { STORAGE_KEYS, LICENSE_STORAGE_KEYS } from './utils/constants.js';
+
+const store = {};
+let onMessage = null;
+
+/**
+ * Send a runtime message as a content script would
+ * @param {Object} request
+ * @returns {Promise<Object>} - The response
+ */
+function send(request) {
+  return new Promise(resolve => onMessage(request, {}, resolve));
+}
+
+/**
+ * Reject like fetch does when the request's signal aborts
+ * @param {AbortSignal} signal
+ * @returns {Promise<never>}
+ */
+function abortedWith(signal) {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+}
+
+const geminiAnswer = (text) => new Response(JSON.stringify({
+  candidates: [{ content: { parts: [{ text }] }, finishReason: 'STOP' }]
+}), { status: 200 });
+
+const translateRequest = (requestId) => ({
+  action: 'translate',
+  requestId,
+  text: 'How are you doing today?',
+  engine: 'gemini',
+  apiKey: 'key',
+  sourceLang: 'en',
+  targetLang: 'id',
+  tone: 'neutral'
+});
+
+describe('background translation requests', () => {
+  beforeAll(async () => {
+    // Set directly rather than stubbed, so unstubbing fetch after each test keeps it
+    globalThis.chrome = {
+      storage: {
+        local: {
+          get: (keys, callback) => {
+            const result = {};
+            [].concat(keys ?? Object.keys(store)).filter(key => key in store).forEach(key => {
+              result[key] = structuredClone(store[key]);
+            });
+            callback?.(result);
+            return Promise.resolve(result);
+          },
+          set: (items, callback) => {
+            Object.assign(store, structuredClone(items));
+            callback?.();
+            return Promise.resolve();
+          },
+          remove: (keys, callback) => {
+            [].concat(keys).forEach(key => delete store[key]);
+            callback?.();
+            return Promise.resolve();
+          }
+        }
+      },
+      runtime: {
+        lastError: null,
+        onInstalled: { addListener: () => {} },
+        onMessage: { addListener: (listener) => { onMessage = listener; } },
+        onConnect: { addListener: () => {} }
+      },
+      contextMenus: { create: () => {}, onClicked: { addListener: () => {} } },
+      tabs: { sendMessage: () => {} }
+    };
+    await import('./background.js');
+  });
+
+  afterAll(() => {
+    delete globalThis.chrome;
+  });
+
+  beforeEach(() => {
+    Object.keys(store).forEach(key => delete store[key]);
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  it('names the free providers when a premium one is used without a license', async () => {
+    const response = await send({ ...translateRequest('tooltip-0'), engine: 'custom' });
+
+    expect(response.success).toBe(false);
+    expect(response.error).toContain('select Gemini, DeepSeek, or Ollama (Local).');
+  });
+
+  it('hands input the primary engine cannot take to a fallback that can', async () => {
+    store[LICENSE_STORAGE_KEYS.LICENSE_KEY] = 'license';
+    store[LICENSE_STORAGE_KEYS.LICENSE_STATUS] = { isPremium: true, licenseKey: 'license', cachedUntil: '2099-01-01T00:00:00Z' };
+    store[STORAGE_KEYS.FALLBACK_PROVIDERS] = ['gemini'];
+    store[STORAGE_KEYS.API_KEYS] = { gemini: 'key' };
+    const fetchMock = vi.fn(async () => geminiAnswer('สวัสดี'));
+    vi.stubGlobal('fetch', fetchMock);
+
+    // DeepL does not translate into Thai
+    const response = await send({ ...translateRequest('tooltip-5'), engine: 'deepl', apiKey: 'deepl-key', targetLang: 'th' });
+
+    expect(response).toMatchObject({ success: true, translation: 'สวัสดี', fallbackFrom: { id: 'deepl' } });
+    expect(fetchMock.mock.calls[0][0]).toContain('generativelanguage.googleapis.com');
+  });
+
+  it('aborts the earlier translation when a request reuses its id', async () => {
+    const fetchMock = vi.fn(async (url, { signal }) => (
+      fetchMock.mock.calls.length === 1 ? abortedWith(signal) : geminiAnswer('Apa kabar hari ini?')
+    ));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const first = send(translateRequest('tooltip-1'));
+    await vi.waitFor(() => expect(fetchMock).toHaveBeenCalledTimes(1));
+    const second = await send(translateRequest('tooltip-1'));
+
+    expect((await first).success).toBe(false);
+    expect(second).toMatchObject({ success: true, translation: 'Apa kabar hari ini?' });
+  });
+
+  it('stops retrying when cancelled during the wait between attempts', async () => {
+    // Retry-After fixes the wait; the jittered backoff could end before the cancel arrives
+    const fetchMock = vi.fn(async () => new Response(JSON.stringify({ error: { message: 'busy' } }), {
+      status: 503,
+      headers: { 'Retry-After': '5' }
+    }));
+    vi.stubGlobal('fetch', fetchMock);
+    store[STORAGE_KEYS.MAX_RETRIES] = 3;
+
+    const response = send(translateRequest('tooltip-2'));
+    await vi.waitFor(() => expect(fetchMock).toHaveBeenCalledTimes(1));
+    // The first retry waits five seconds; cancel while it sleeps
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await send({ action: 'cancelTranslate', requestId: 'tooltip-2' });
+
+    expect((await response).success).toBe(false);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not save a translation cancelled after the provider answered', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => {
+      await send({ action: 'cancelTranslate', requestId: 'tooltip-3' });
+      return geminiAnswer('Apa kabar hari ini?');
+    }));
+
+    const response = await send(translateRequest('tooltip-3'));
+
+    expect(response.success).toBe(false);
+    expect(store[STORAGE_KEYS.HISTORY] || []).toEqual([]);
+  });
+});
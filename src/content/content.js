@@ -2,26 +2,56 @@
  * Content Script
  * Handles text selection, tooltip display, and translation UI
  */
+import { getToneList, toneManager, isToneSupported, describeToneSupport } from '../utils/tones.js';
+import { LANGUAGES } from '../utils/constants.js';
+import { describeUnsupportedInput } from '../providers/capabilities.js';
+
 (() => {
   let tooltip = null;
   let selectedText = '';
+  let selectedContext = '';
   let currentTone = 'neutral';
   let isPremium = false;
   let cachedSettings = null;
+  // Engine the tooltip translated with: the saved one, or the one picked with "Switch provider"
+  let currentEngine = null;
+  let retryTimer = null;
+  let activeRequest = null;
+  // Names and capabilities of the registered providers by id, fetched once
+  let providerDetails = null;
 
   // Get browser API (Chrome/Firefox compatibility)
   const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 
-  // Premium tones available
-  const PREMIUM_TONES = [
-    { id: 'neutral', name: 'Neutral' },
-    { id: 'formal', name: 'Formal' },
-    { id: 'casual', name: 'Casual' },
-    { id: 'friendly', name: 'Friendly' },
-    { id: 'professional', name: 'Professional' },
-    { id: 'academic', name: 'Academic' },
-    { id: 'simple', name: 'Simple' }
-  ];
+  // Longest stretch of surrounding page text offered to prompt templates as {context}
+  const MAX_CONTEXT_LENGTH = 500;
+
+  // Follow-up actions offered for each error code sent by the background worker
+  const ERROR_ACTIONS = {
+    configuration: ['settings'],
+    unsupported_input: ['switch', 'settings'],
+    invalid_key: ['settings'],
+    quota_exceeded: ['switch', 'settings'],
+    region_blocked: ['switch'],
+    rate_limited: ['retry', 'switch'],
+    content_blocked: ['switch'],
+    network: ['retry', 'switch'],
+    malformed_response: ['retry', 'switch'],
+    provider_error: ['retry']
+  };
+
+  const ERROR_ACTION_LABELS = {
+    settings: 'Open settings',
+    switch: 'Switch provider',
+    retry: 'Retry'
+  };
+
+  // Indicator for how far a back-translation moved from the original
+  const DRIFT_LABELS = {
+    low: 'Meaning kept',
+    medium: 'Some drift',
+    high: 'Meaning drifted'
+  };
 
   // Check premium status
   async function checkPremiumStatus() {
@@ -45,6 +75,7 @@
   }
 
   function removeTooltip() {
+    cancelActiveTranslation();
     if (tooltip) {
       tooltip.remove();
       tooltip = null;
@@ -78,55 +109,123 @@
       </button>
     `;
     positionTooltip(x, y);
-    document.getElementById('ai-translate-btn').addEventListener('click', handleTranslate);
+    const button = document.getElementById('ai-translate-btn');
+    button.addEventListener('click', () => handleTranslate());
+
+    // A selection the saved provider cannot take is not offered for translation
+    const { engine, sourceLang, targetLang } = await browserAPI.storage.local.get(['engine', 'sourceLang', 'targetLang']);
+    const reason = engine ? await describeUnsupportedSelection(engine, { sourceLang, targetLang }) : '';
+    if (!reason || !button.isConnected) return;
+    button.disabled = true;
+    button.title = reason;
+    button.insertAdjacentHTML('afterend', `
+      <div class="ai-translator-unsupported">${escapeHtml(reason)}</div>
+      ${errorActionsHtml('unsupported_input')}
+    `);
+    bindErrorActions(tip, engine);
+  }
+
+  /**
+   * Why a provider cannot translate the current selection, per its capabilities
+   * @param {string} engine - Provider id
+   * @param {{sourceLang?: string, targetLang?: string}} settings - Saved languages
+   * @returns {Promise<string>} - Empty when it can, or when the background worker cannot tell
+   */
+  async function describeUnsupportedSelection(engine, { sourceLang, targetLang }) {
+    if (!providerDetails) {
+      const response = await browserAPI.runtime.sendMessage({ action: 'listProviders' }).catch(() => null);
+      if (!response?.success) return '';
+      providerDetails = Object.fromEntries(response.providers.map(provider => [provider.id, provider]));
+    }
+    const provider = providerDetails[engine];
+    return describeUnsupportedInput(provider?.capabilities, provider?.name, {
+      text: selectedText,
+      sourceLang: sourceLang || 'auto',
+      targetLang: targetLang || 'en'
+    });
   }
 
-  async function showLoading() {
+  async function showLoading(label = 'Translating...') {
     const tip = await createTooltip();
     tip.innerHTML = `
       <button class="ai-translator-btn loading">
         <div class="ai-translator-spinner"></div>
-        <span>Translating...</span>
+        <span>${label}</span>
       </button>
     `;
   }
 
-  async function showResult(translation, isError = false) {
+  /**
+   * Label naming the provider that answered, noting when a fallback was used
+   */
+  function providerLabel(provider, fallbackFrom) {
+    if (!provider) return '';
+    const fallbackNote = fallbackFrom ? ` (${fallbackFrom.name} unavailable)` : '';
+    return `via ${provider.name}${fallbackNote}`;
+  }
+
+  async function showResult(translation, isError = false, meta = {}) {
     const tip = await createTooltip();
     await checkPremiumStatus();
     
-    // Build tone tabs HTML for premium users
+    // Build tone tabs HTML for premium users, custom tones included; tones the
+    // provider cannot follow are disabled with the reason as their tooltip
+    const tones = isPremium ? getToneList(await toneManager.getCustomTones()) : [];
+    const capabilities = meta.provider?.capabilities;
+    const toneSupport = describeToneSupport(capabilities, meta.provider?.name);
     const toneTabsHtml = isPremium ? `
       <div class="ai-translator-tones">
-        ${PREMIUM_TONES.map(tone => `
-          <button class="ai-translator-tone-btn ${tone.id === currentTone ? 'active' : ''}" data-tone="${tone.id}">
-            ${tone.name}
-          </button>
-        `).join('')}
+        ${tones.map(tone => {
+          const supported = isToneSupported(tone.id, capabilities);
+          return `
+            <button class="ai-translator-tone-btn ${tone.id === currentTone ? 'active' : ''}" data-tone="${tone.id}"
+              ${supported ? '' : `disabled title="${escapeHtml(toneSupport).replace(/"/g, '&quot;')}"`}>
+              ${escapeHtml(tone.shortName || tone.name)}
+            </button>
+          `;
+        }).join('')}
       </div>
+      ${toneSupport ? `<div class="ai-translator-tone-note">${escapeHtml(toneSupport)}</div>` : ''}
     ` : '';
     
     tip.innerHTML = `
       <div class="ai-translator-result">
         <div class="ai-translator-result-header">
-          <span class="ai-translator-result-title">Translation</span>
+          <span class="ai-translator-result-title">${meta.dictionary ? 'Dictionary' : 'Translation'}</span>
+          <span class="ai-translator-provider">${escapeHtml(providerLabel(meta.provider, meta.fallbackFrom))}</span>
           <button class="ai-translator-close">&times;</button>
         </div>
-        <div class="ai-translator-text ${isError ? 'ai-translator-error' : ''}">${escapeHtml(translation)}</div>
-        ${!isError ? toneTabsHtml : ''}
+        ${meta.dictionary ? dictionaryHtml(meta.dictionary) : `
+          <div class="ai-translator-text ${isError ? 'ai-translator-error' : ''}" ${meta.alternatives ? 'hidden' : ''}>${escapeHtml(translation)}</div>
+        `}
+        ${isError ? '' : '<div class="ai-translator-alternatives"></div>'}
+        ${isError ? '' : '<div class="ai-translator-detected"></div>'}
+        ${isError ? errorActionsHtml(meta.errorCode) : '<div class="ai-translator-glossary"></div>'}
+        ${!isError && !meta.dictionary ? '<div class="ai-translator-back" hidden></div>' : ''}
+        ${!isError && !meta.dictionary ? toneTabsHtml : ''}
+        ${!isError && !meta.dictionary ? `
+          <div class="ai-translator-result-actions">
+            <button class="ai-translator-explain">Explain</button>
+            <button class="ai-translator-compare-btn" title="Translate with every configured provider">Compare</button>
+          </div>
+          <details class="ai-translator-explanation" hidden></details>
+        ` : ''}
         ${!isError ? '<button class="ai-translator-copy">Copy to clipboard</button>' : ''}
       </div>
     `;
     
     tip.querySelector('.ai-translator-close').addEventListener('click', removeTooltip);
+    tip.querySelector('.ai-translator-compare-btn')?.addEventListener('click', () => handleCompare({ tone: currentTone }));
     
-    const copyBtn = tip.querySelector('.ai-translator-copy');
-    if (copyBtn) {
-      copyBtn.addEventListener('click', () => {
-        navigator.clipboard.writeText(translation);
-        copyBtn.textContent = 'Copied!';
-        setTimeout(() => copyBtn.textContent = 'Copy to clipboard', 2000);
-      });
+    if (isError) {
+      bindErrorActions(tip, meta.engine);
+    } else {
+      renderDetectedLanguage(tip, meta);
+      renderGlossaryViolations(tip, meta.alternatives ? [] : meta.glossaryViolations);
+      renderAlternatives(tip, meta);
+      bindCopyButton(tip, translation);
+      bindExplainButton(tip, { ...meta, translation });
+      renderBackTranslation(tip, { ...meta, translation });
     }
     
     // Add tone tab click handlers for premium users
@@ -147,71 +246,761 @@
     }
   }
 
+  /**
+   * Name the language an auto-detected translation was recognised as, or note
+   * that the text was already in the target language
+   * @param {HTMLElement} tip - Tooltip element
+   * @param {{detectedLanguage?: string|null, confidence?: number|null, sameLanguage?: {language: string, translatedTo: string|null}|null}} result - From the background worker
+   */
+  function renderDetectedLanguage(tip, { detectedLanguage, confidence, sameLanguage } = {}) {
+    const element = tip?.querySelector('.ai-translator-detected');
+    if (!element) return;
+    const languageName = (code) => LANGUAGES.find(l => l.code === code)?.name || code.toUpperCase();
+    if (sameLanguage) {
+      element.textContent = sameLanguage.translatedTo
+        ? `Already in ${languageName(sameLanguage.language)}, translated to ${languageName(sameLanguage.translatedTo)}`
+        : `Already in ${languageName(sameLanguage.language)}, no translation needed`;
+    } else {
+      element.textContent = detectedLanguage ? `Detected: ${languageName(detectedLanguage)}` : '';
+    }
+    element.title = typeof confidence === 'number' ? `Confidence ${Math.round(confidence * 100)}%` : '';
+  }
+
+  /**
+   * Dictionary entry for a word lookup: headword, senses with examples, collocations
+   * @param {Object} entry - DictionaryEntry from the background worker
+   * @returns {string}
+   */
+  function dictionaryHtml(entry) {
+    return `
+      <div class="ai-translator-dictionary">
+        <div class="ai-translator-dict-head">
+          <span class="ai-translator-dict-lemma">${escapeHtml(entry.lemma)}</span>
+          ${entry.partOfSpeech ? `<span class="ai-translator-dict-pos">${escapeHtml(entry.partOfSpeech)}</span>` : ''}
+          ${entry.pronunciation ? `<span class="ai-translator-dict-pron">${escapeHtml(entry.pronunciation)}</span>` : ''}
+        </div>
+        <ol class="ai-translator-dict-senses">
+          ${entry.senses.map(sense => `
+            <li>
+              <span class="ai-translator-dict-gloss">${escapeHtml(sense.gloss)}</span>
+              ${sense.definition ? `<span class="ai-translator-dict-definition">${escapeHtml(sense.definition)}</span>` : ''}
+              ${sense.examples.map(example => `
+                <div class="ai-translator-dict-example">${escapeHtml(example.text)} <span>${escapeHtml(example.translation)}</span></div>
+              `).join('')}
+            </li>
+          `).join('')}
+        </ol>
+        ${entry.collocations.length ? `
+          <div class="ai-translator-dict-collocations">
+            <span class="ai-translator-dict-title">Collocations</span>
+            ${entry.collocations.map(collocation => `
+              <div>${escapeHtml(collocation.phrase)} <span>${escapeHtml(collocation.translation)}</span></div>
+            `).join('')}
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Copy the given translation when the tooltip's copy button is clicked
+   * @param {HTMLElement} tip - Tooltip element
+   * @param {string} translation
+   */
+  function bindCopyButton(tip, translation) {
+    const copyBtn = tip?.querySelector('.ai-translator-copy');
+    if (!copyBtn) return;
+    copyBtn.onclick = () => {
+      navigator.clipboard.writeText(translation);
+      copyBtn.textContent = 'Copied!';
+      setTimeout(() => copyBtn.textContent = 'Copy to clipboard', 2000);
+    };
+  }
+
+  /**
+   * Ask the provider that translated the selection to explain the translation
+   * The explanation opens in an expandable panel and is saved with the history item.
+   * @param {HTMLElement} tip - Tooltip element
+   * @param {{translation: string, provider?: Object|null, historyItem?: Object|null, alternatives?: Object[]|null, detectedLanguage?: string|null, sameLanguage?: Object|null}} result - From the background worker
+   */
+  function bindExplainButton(tip, result) {
+    const explainBtn = tip?.querySelector('.ai-translator-explain');
+    const panel = tip?.querySelector('.ai-translator-explanation');
+    if (!explainBtn || !panel) return;
+    panel.hidden = true;
+    panel.innerHTML = '';
+    explainBtn.textContent = 'Explain';
+    // Text already in the target language was not translated by any provider, and
+    // machine translation services cannot explain
+    explainBtn.hidden = !result.provider || result.provider.capabilities?.prompts === false;
+    // Alternatives are explained once one is picked, so the explanation is saved with it
+    explainBtn.disabled = Boolean(result.alternatives?.length);
+    explainBtn.title = explainBtn.disabled ? 'Pick a translation first' : '';
+
+    const explain = async () => {
+      explainBtn.disabled = true;
+      explainBtn.textContent = 'Explaining...';
+      const response = await browserAPI.runtime.sendMessage({
+        action: 'explainTranslation',
+        text: selectedText,
+        translation: result.translation,
+        sourceLang: result.detectedLanguage || cachedSettings?.sourceLang || 'auto',
+        targetLang: result.sameLanguage?.translatedTo || cachedSettings?.targetLang || 'en',
+        engine: result.provider.id,
+        historyId: result.historyItem?.id
+      }).catch(error => ({ success: false, error: error.message }));
+      // The tooltip moved on to another translation meanwhile
+      if (explainBtn.onclick !== explain) return;
+
+      if (response?.success) {
+        panel.innerHTML = explanationHtml(response.explanation);
+        panel.open = true;
+        explainBtn.hidden = true;
+      } else {
+        panel.innerHTML = `
+          <summary>Explanation</summary>
+          <div class="ai-translator-error">${escapeHtml(response?.error || 'Explanation failed')}</div>
+        `;
+        explainBtn.disabled = false;
+        explainBtn.textContent = 'Explain';
+      }
+      panel.hidden = false;
+    };
+    explainBtn.onclick = explain;
+  }
+
+  /**
+   * Show every provider's translation in a column with its latency and cost
+   * Copy or save any of them; only the saved one goes to history.
+   * @param {{results: Object[], limitedCount: number}} comparison - From the background worker
+   */
+  async function showComparison({ results, limitedCount }) {
+    const tip = await createTooltip();
+    tip.innerHTML = `
+      <div class="ai-translator-result ai-translator-comparison">
+        <div class="ai-translator-result-header">
+          <span class="ai-translator-result-title">Compare</span>
+          <button class="ai-translator-close">&times;</button>
+        </div>
+        <div class="ai-translator-compare-columns">
+          ${results.map((result, index) => `
+            <div class="ai-translator-compare-column" data-index="${index}">
+              <div class="ai-translator-compare-provider">${escapeHtml(result.provider.name)}</div>
+              <div class="ai-translator-compare-meta">
+                ${formatLatency(result.latency)}${result.error ? '' : ` · ${formatCost(result.cost)}`}
+              </div>
+              ${result.error ? `
+                <div class="ai-translator-text ai-translator-error">${escapeHtml(result.error)}</div>
+              ` : `
+                <div class="ai-translator-text">${escapeHtml(result.translation)}</div>
+                ${result.glossaryViolations?.length ? `
+                  <span class="ai-translator-alternative-warning">Glossary not followed: ${result.glossaryViolations.map(v => escapeHtml(v.source)).join(', ')}</span>
+                ` : ''}
+                <div class="ai-translator-actions">
+                  <button class="ai-translator-action" data-action="copy">Copy</button>
+                  <button class="ai-translator-action" data-action="save">Save</button>
+                </div>
+              `}
+            </div>
+          `).join('')}
+        </div>
+        ${limitedCount ? `
+          <div class="ai-translator-action-note">
+            ${limitedCount} more configured provider${limitedCount === 1 ? '' : 's'} can be compared with Premium
+          </div>
+        ` : ''}
+      </div>
+    `;
+
+    tip.querySelector('.ai-translator-close').addEventListener('click', removeTooltip);
+    const saveButtons = tip.querySelectorAll('.ai-translator-action[data-action="save"]');
+    tip.querySelectorAll('.ai-translator-compare-column .ai-translator-action').forEach(button => {
+      button.addEventListener('click', async () => {
+        const column = button.closest('.ai-translator-compare-column');
+        const result = results[Number(column.dataset.index)];
+        if (button.dataset.action === 'copy') {
+          navigator.clipboard.writeText(result.translation);
+          button.textContent = 'Copied!';
+          setTimeout(() => button.textContent = 'Copy', 2000);
+          return;
+        }
+
+        saveButtons.forEach(other => other.disabled = true);
+        column.classList.add('selected');
+        button.textContent = 'Saving...';
+        const response = await browserAPI.runtime.sendMessage({
+          action: 'saveAlternative',
+          historyEntry: result.historyEntry,
+          translation: result.translation
+        }).catch(() => null);
+        button.textContent = response?.success ? 'Saved' : 'Not saved';
+      });
+    });
+  }
+
+  /**
+   * @param {number} ms
+   * @returns {string}
+   */
+  function formatLatency(ms) {
+    return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+  }
+
+  /**
+   * Estimated cost of one request; small amounts keep enough digits to stay visible
+   * @param {number|null} cost
+   * @returns {string}
+   */
+  function formatCost(cost) {
+    if (typeof cost !== 'number') return 'cost unknown';
+    if (cost === 0) return 'free';
+    return `$${cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+  }
+
+  /**
+   * Breakdown of a translation: aligned phrases with notes, then grammar points and idioms
+   * @param {Object} explanation - Explanation from the background worker
+   * @returns {string} - Contents of the explanation panel
+   */
+  function explanationHtml(explanation) {
+    return `
+      <summary>Explanation</summary>
+      <div class="ai-translator-segments">
+        ${explanation.segments.map(segment => `
+          <div class="ai-translator-segment">
+            <span class="ai-translator-segment-source">${escapeHtml(segment.source)}</span>
+            <span class="ai-translator-segment-target">${escapeHtml(segment.target)}</span>
+            ${segment.note ? `<span class="ai-translator-segment-note">${escapeHtml(segment.note)}</span>` : ''}
+          </div>
+        `).join('')}
+      </div>
+      ${explanation.notes.length ? `
+        <div class="ai-translator-explanation-notes">
+          ${explanation.notes.map(note => `
+            <div><strong>${escapeHtml(note.point)}</strong> ${escapeHtml(note.explanation)}</div>
+          `).join('')}
+        </div>
+      ` : ''}
+    `;
+  }
+
+  /**
+   * Translate the translation back into the source language, when turned on in
+   * settings, and show how far its meaning drifted with the changed phrases marked
+   * @param {HTMLElement} tip - Tooltip element
+   * @param {{translation: string, provider?: Object|null, alternatives?: Object[]|null, detectedLanguage?: string|null, sameLanguage?: Object|null}} result - From the background worker
+   */
+  async function renderBackTranslation(tip, result) {
+    const container = tip?.querySelector('.ai-translator-back');
+    if (!container) return;
+    container.hidden = true;
+    container.innerHTML = '';
+    container.dataset.translation = result.translation;
+
+    const setting = cachedSettings?.backTranslation;
+    const sourceLang = result.detectedLanguage || cachedSettings?.sourceLang;
+    // Nothing to check before a candidate is picked, or without a known source language
+    if (!setting || !result.provider || result.alternatives?.length || !sourceLang || sourceLang === 'auto') return;
+
+    container.hidden = false;
+    container.innerHTML = '<div class="ai-translator-spinner-inline"></div> Checking meaning...';
+    const response = await browserAPI.runtime.sendMessage({
+      action: 'backTranslate',
+      text: selectedText,
+      translation: result.translation,
+      sourceLang,
+      targetLang: result.sameLanguage?.translatedTo || cachedSettings.targetLang || 'en',
+      engine: setting === 'same' ? result.provider.id : setting
+    }).catch(error => ({ success: false, error: error.message }));
+    // The tooltip moved on to another translation meanwhile
+    if (!tip.contains(container) || container.dataset.translation !== result.translation) return;
+
+    if (!response?.success) {
+      container.innerHTML = `<span class="ai-translator-back-error">Back-translation failed: ${escapeHtml(response?.error || 'unknown error')}</span>`;
+      return;
+    }
+    container.innerHTML = `
+      <div class="ai-translator-back-header">
+        <span class="ai-translator-drift drift-${response.drift}">${DRIFT_LABELS[response.drift]} · ${Math.round(response.similarity * 100)}% match</span>
+        <span class="ai-translator-provider">back via ${escapeHtml(response.provider.name)}</span>
+      </div>
+      <div class="ai-translator-back-text">${response.segments.map(segment => {
+        if (!segment.changed) return escapeHtml(segment.text);
+        if (!segment.text) return `<del title="Left out">${escapeHtml(segment.original)}</del>`;
+        const title = segment.original ? `Original: ${segment.original}` : 'Not in the original';
+        return `<mark title="${escapeHtml(title).replace(/"/g, '&quot;')}">${escapeHtml(segment.text)}</mark>`;
+      }).join('')}</div>
+    `;
+  }
+
+  /**
+   * Show candidate translations as cards
+   * The card the user picks is saved to history; until then nothing is.
+   * @param {HTMLElement} tip - Tooltip element
+   * @param {{alternatives?: Object[]|null, historyEntry?: Object|null}} result - From the background worker
+   */
+  function renderAlternatives(tip, result = {}) {
+    const { alternatives, historyEntry } = result;
+    const container = tip?.querySelector('.ai-translator-alternatives');
+    if (!container) return;
+    if (!alternatives?.length) {
+      container.innerHTML = '';
+      return;
+    }
+
+    container.innerHTML = `
+      <span class="ai-translator-alternatives-title">Pick one to save it to history</span>
+      ${alternatives.map((alternative, index) => `
+        <button class="ai-translator-alternative" data-index="${index}">
+          <span class="ai-translator-alternative-text">${escapeHtml(alternative.translation)}</span>
+          ${alternative.note ? `<span class="ai-translator-alternative-note">${escapeHtml(alternative.note)}</span>` : ''}
+          ${alternative.glossaryViolations?.length ? `
+            <span class="ai-translator-alternative-warning">Glossary not followed: ${alternative.glossaryViolations.map(v => escapeHtml(v.source)).join(', ')}</span>
+          ` : ''}
+        </button>
+      `).join('')}
+    `;
+
+    const title = container.querySelector('.ai-translator-alternatives-title');
+    const cards = container.querySelectorAll('.ai-translator-alternative');
+    cards.forEach(card => {
+      card.addEventListener('click', async () => {
+        const alternative = alternatives[Number(card.dataset.index)];
+        cards.forEach(other => {
+          other.classList.toggle('selected', other === card);
+          other.disabled = true;
+        });
+        bindCopyButton(tip, alternative.translation);
+        title.textContent = 'Saving...';
+
+        const response = await browserAPI.runtime.sendMessage({
+          action: 'saveAlternative',
+          historyEntry,
+          translation: alternative.translation,
+          note: alternative.note
+        }).catch(() => null);
+        title.textContent = response?.success ? 'Saved to history' : 'Could not save to history';
+        const picked = {
+          ...result,
+          alternatives: null,
+          translation: alternative.translation,
+          historyItem: response?.historyItem || null
+        };
+        bindExplainButton(tip, picked);
+        renderBackTranslation(tip, picked);
+      });
+    });
+  }
+
+  /**
+   * Flag glossary terms the translation did not use
+   * @param {HTMLElement} tip - Tooltip element
+   * @param {{source: string, expected: string, doNotTranslate: boolean}[]} [violations] - From the background worker
+   */
+  function renderGlossaryViolations(tip, violations) {
+    const container = tip?.querySelector('.ai-translator-glossary');
+    if (!container) return;
+    container.innerHTML = violations?.length ? `
+      <span class="ai-translator-glossary-title">Glossary not followed</span>
+      ${violations.map(violation => `
+        <div class="ai-translator-glossary-item">
+          ${violation.doNotTranslate
+            ? `"${escapeHtml(violation.source)}" should stay untranslated`
+            : `"${escapeHtml(violation.source)}" should be "${escapeHtml(violation.expected)}"`}
+        </div>
+      `).join('')}
+    ` : '';
+  }
+
+  /**
+   * Buttons offered under an error message, chosen by its error code
+   * @param {string} [errorCode] - Code from the background worker
+   */
+  function errorActionsHtml(errorCode) {
+    const actions = ERROR_ACTIONS[errorCode] || ['retry'];
+    return `
+      <div class="ai-translator-actions">
+        ${actions.map(action => `
+          <button class="ai-translator-action" data-action="${action}">${ERROR_ACTION_LABELS[action]}</button>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Wire the buttons under an error message
+   * @param {HTMLElement} tip - Tooltip element
+   * @param {string} [engine] - Provider that failed
+   */
+  function bindErrorActions(tip, engine) {
+    const actionsEl = tip.querySelector('.ai-translator-actions');
+    if (!actionsEl) return;
+
+    actionsEl.addEventListener('click', async (e) => {
+      const button = e.target.closest('.ai-translator-action');
+      if (!button) return;
+
+      if (button.dataset.action === 'retry') {
+        handleTranslate({ engine });
+      } else if (button.dataset.action === 'settings') {
+        browserAPI.runtime.sendMessage({ action: 'openSettings' });
+      } else if (button.dataset.action === 'switch') {
+        await showSwitchProviders(actionsEl, engine);
+      } else if (button.dataset.provider) {
+        handleTranslate({ engine: button.dataset.provider });
+      }
+    });
+  }
+
+  /**
+   * Replace the error actions with the providers the translation can be retried on
+   * @param {HTMLElement} actionsEl - Actions container
+   * @param {string} [engine] - Provider that failed
+   */
+  async function showSwitchProviders(actionsEl, engine) {
+    const response = await browserAPI.runtime.sendMessage({ action: 'listSwitchProviders', engine });
+    // Providers that cannot take the selection either are left out
+    const sourceLang = cachedSettings?.sourceLang || 'auto';
+    const targetLang = cachedSettings?.targetLang || 'en';
+    const providers = (response?.success ? response.providers : []).filter(provider =>
+      !describeUnsupportedInput(provider.capabilities, provider.name, { text: selectedText, sourceLang, targetLang })
+    );
+
+    actionsEl.innerHTML = providers.length > 0
+      ? providers.map(provider => `
+          <button class="ai-translator-action" data-provider="${escapeHtml(provider.id)}">${escapeHtml(provider.name)}</button>
+        `).join('')
+      : `
+          <span class="ai-translator-action-note">No other provider is set up.</span>
+          <button class="ai-translator-action" data-action="settings">${ERROR_ACTION_LABELS.settings}</button>
+        `;
+  }
+
+  /**
+   * Text of the block around the selection, for prompt templates that use {context}
+   * @param {Selection} selection - Current selection
+   * @param {string} text - Selected text
+   * @returns {string} - Empty when the block holds nothing beyond the selection
+   */
+  function getSelectionContext(selection, text) {
+    if (!selection.rangeCount) return '';
+    let node = selection.getRangeAt(0).commonAncestorContainer;
+    if (node.nodeType !== Node.ELEMENT_NODE) node = node.parentElement;
+    const block = node?.closest('p, li, td, th, blockquote, h1, h2, h3, h4, h5, h6, article, section, div');
+
+    const context = (block?.innerText || '').replace(/\s+/g, ' ').trim();
+    if (!context || context === text) return '';
+    if (context.length <= MAX_CONTEXT_LENGTH) return context;
+
+    // Keep the part of a long block centred on the selection
+    const index = Math.max(0, context.indexOf(text));
+    const start = Math.max(0, index - Math.floor((MAX_CONTEXT_LENGTH - text.length) / 2));
+    return context.slice(start, start + MAX_CONTEXT_LENGTH);
+  }
+
   function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
     return div.innerHTML;
   }
 
-  async function saveToHistory(original, translation, engine, sourceLang, targetLang) {
-    const result = await browserAPI.storage.local.get(['translationHistory']);
-    const history = result.translationHistory || [];
-    
-    history.unshift({
-      id: Date.now(),
-      original,
-      translation,
-      engine,
-      sourceLang,
-      targetLang,
-      timestamp: new Date().toISOString()
+  /**
+   * Show partial streamed output, building a bare result view on the first chunk
+   */
+  function showStreaming(partial) {
+    if (!tooltip) return;
+
+    let textEl = tooltip.querySelector('.ai-translator-result .ai-translator-text');
+    if (!textEl) {
+      tooltip.innerHTML = `
+        <div class="ai-translator-result">
+          <div class="ai-translator-result-header">
+            <span class="ai-translator-result-title">Translation</span>
+            <button class="ai-translator-close">&times;</button>
+          </div>
+          <div class="ai-translator-text"></div>
+        </div>
+      `;
+      tooltip.querySelector('.ai-translator-close').addEventListener('click', removeTooltip);
+      textEl = tooltip.querySelector('.ai-translator-text');
+    }
+
+    textEl.textContent = partial;
+    textEl.classList.remove('ai-translator-error');
+    textEl.classList.add('streaming');
+  }
+
+  /**
+   * Show a waiting message in place of the translation (or the loading label)
+   */
+  function showPendingStatus(message) {
+    if (!tooltip) return;
+
+    const textEl = tooltip.querySelector('.ai-translator-text');
+    if (textEl) {
+      textEl.classList.remove('streaming', 'ai-translator-error');
+      textEl.innerHTML = `<div class="ai-translator-spinner-inline"></div> ${escapeHtml(message)}`;
+      return;
+    }
+
+    const loadingLabel = tooltip.querySelector('.ai-translator-btn.loading span');
+    if (loadingLabel) loadingLabel.textContent = message;
+  }
+
+  function clearRetryTimer() {
+    if (retryTimer) {
+      clearInterval(retryTimer);
+      retryTimer = null;
+    }
+  }
+
+  /**
+   * Show that the selected provider failed and a fallback is being tried
+   */
+  function showFallback(provider) {
+    clearRetryTimer();
+    showPendingStatus(`Trying ${provider.name}...`);
+  }
+
+  /**
+   * Count down to the next retry of a rate-limited or failed request
+   */
+  function showRetrying({ attempt, maxRetries, delay }) {
+    clearRetryTimer();
+    const retryAt = Date.now() + delay;
+    const render = () => {
+      const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+      showPendingStatus(`Busy, retrying in ${seconds}s (${attempt}/${maxRetries})`);
+      if (seconds === 0) clearRetryTimer();
+    };
+    render();
+    retryTimer = setInterval(render, 250);
+  }
+
+  /**
+   * Request a streamed translation from the background service worker
+   * Resolves with the same shape as a one-shot 'translate' message response.
+   * @param {Object} message - Translation parameters
+   * @param {Object} handlers
+   * @param {function(string): void} handlers.onChunk - Receives the translation so far
+   * @param {function({id: string, name: string}): void} [handlers.onFallback] - Receives the fallback provider
+   * @returns {Promise<Object>} - Resolves with `{cancelled: true}` if cancelled before finishing
+   */
+  function requestTranslation(message, { onChunk, onFallback }) {
+    // Only one translation runs at a time; a new one replaces the old
+    cancelActiveTranslation();
+
+    return new Promise((resolve, reject) => {
+      const requestId = createRequestId();
+      const port = browserAPI.runtime.connect({ name: 'translate-stream' });
+      let settled = false;
+
+      const request = {
+        id: requestId,
+        cancel: () => {
+          if (settled) return;
+          settled = true;
+          clearRetryTimer();
+          port.postMessage({ action: 'cancel', requestId });
+          port.disconnect();
+          resolve({ success: false, cancelled: true });
+        }
+      };
+      activeRequest = request;
+
+      port.onMessage.addListener((msg) => {
+        if (msg.type === 'retry') {
+          showRetrying(msg);
+          return;
+        }
+        clearRetryTimer();
+        if (msg.type === 'chunk') {
+          onChunk(msg.translation);
+          return;
+        }
+        if (msg.type === 'fallback') {
+          onFallback?.(msg.provider);
+          return;
+        }
+        settled = true;
+        port.disconnect();
+        if (activeRequest === request) activeRequest = null;
+        if (msg.type === 'done') {
+          resolve({
+            success: true,
+            translation: msg.translation,
+            detectedLanguage: msg.detectedLanguage,
+            confidence: msg.confidence,
+            historyItem: msg.historyItem,
+            provider: msg.provider,
+            fallbackFrom: msg.fallbackFrom,
+            glossaryViolations: msg.glossaryViolations,
+            sameLanguage: msg.sameLanguage,
+            alternatives: msg.alternatives,
+            historyEntry: msg.historyEntry,
+            dictionary: msg.dictionary
+          });
+        } else {
+          resolve({ success: false, error: msg.error, errorCode: msg.errorCode });
+        }
+      });
+
+      port.onDisconnect.addListener(() => {
+        clearRetryTimer();
+        if (activeRequest === request) activeRequest = null;
+        if (!settled) reject(new Error('Translation was interrupted. Please try again.'));
+      });
+
+      port.postMessage({ action: 'translate', requestId, ...message });
+    });
+  }
+
+  /**
+   * Ask the background worker to translate with every configured provider
+   * Registered as the active request, so closing the tooltip cancels it.
+   * @param {Object} message - Comparison request fields
+   * @returns {Promise<Object>} - Background response, or {success: false, cancelled: true}
+   */
+  function requestComparison(message) {
+    cancelActiveTranslation();
+
+    return new Promise((resolve) => {
+      const requestId = createRequestId();
+      let settled = false;
+      const settle = (response) => {
+        if (settled) return;
+        settled = true;
+        if (activeRequest === request) activeRequest = null;
+        resolve(response);
+      };
+
+      const request = {
+        id: requestId,
+        cancel: () => {
+          browserAPI.runtime.sendMessage({ action: 'cancelTranslate', requestId }).catch(() => {});
+          settle({ success: false, cancelled: true });
+        }
+      };
+      activeRequest = request;
+
+      browserAPI.runtime.sendMessage({ action: 'compare', requestId, ...message })
+        .then(response => settle(response || { success: false, error: 'Comparison failed' }))
+        .catch(error => settle({ success: false, error: error.message }));
     });
-    
-    if (history.length > 50) history.pop();
-    await browserAPI.storage.local.set({ translationHistory: history });
   }
 
-  async function handleTranslate() {
+  /**
+   * @returns {string} - Id the background worker tracks a request by, for cancelling
+   */
+  function createRequestId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Cancel the in-flight translation, if any
+   * The background worker aborts the provider call and saves nothing to history.
+   */
+  function cancelActiveTranslation() {
+    if (!activeRequest) return;
+    const request = activeRequest;
+    activeRequest = null;
+    request.cancel();
+  }
+
+  /**
+   * Translate the current selection
+   * @param {Object} [options]
+   * @param {string} [options.engine] - Use this provider instead of the saved one, e.g. after "Switch provider"
+   */
+  async function handleTranslate({ engine: engineOverride } = {}) {
     if (!selectedText) return;
     
     showLoading();
     
+    let engine;
     try {
       const settings = await browserAPI.storage.local.get([
-        'engine', 'apiKeys', 'sourceLang', 'targetLang', 'tone'
+        'engine', 'apiKeys', 'sourceLang', 'targetLang', 'tone', 'translationMode', 'backTranslation'
       ]);
       cachedSettings = settings;
       currentTone = settings.tone || 'neutral';
+      engine = engineOverride || settings.engine;
+      currentEngine = engine;
       
-      if (!settings.engine || !settings.apiKeys || !settings.apiKeys[settings.engine]) {
-        showResult('Please configure your API key in the extension settings.', true);
+      if (!engine) {
+        showResult('Please configure your API key in the extension settings.', true, { errorCode: 'configuration' });
+        return;
+      }
+
+      const unsupported = await describeUnsupportedSelection(engine, settings);
+      if (unsupported) {
+        showResult(unsupported, true, { errorCode: 'unsupported_input', engine });
         return;
       }
       
-      const response = await browserAPI.runtime.sendMessage({
-        action: 'translate',
+      // Key presence is checked by the background worker, which knows
+      // which providers can run without one
+      const response = await requestTranslation({
         text: selectedText,
-        engine: settings.engine,
-        apiKey: settings.apiKeys[settings.engine],
+        engine,
+        apiKey: settings.apiKeys?.[engine],
         sourceLang: settings.sourceLang || 'auto',
         targetLang: settings.targetLang || 'en',
-        tone: currentTone
+        tone: currentTone,
+        context: selectedContext,
+        mode: settings.translationMode || 'single'
+      }, {
+        onChunk: showStreaming,
+        onFallback: showFallback
       });
       
+      if (response.cancelled) return;
       if (response.success) {
-        showResult(response.translation);
-        await saveToHistory(
-          selectedText,
-          response.translation,
-          settings.engine,
-          settings.sourceLang || 'auto',
-          settings.targetLang || 'en'
-        );
+        showResult(response.translation, false, response);
       } else {
-        showResult(response.error || 'Translation failed', true);
+        showResult(response.error || 'Translation failed', true, { errorCode: response.errorCode, engine });
       }
     } catch (error) {
-      showResult(error.message || 'Translation failed. Please try again.', true);
+      showResult(error.message || 'Translation failed. Please try again.', true, { engine });
+    }
+  }
+
+  /**
+   * Translate the current selection with every configured provider side by side
+   * @param {Object} [options]
+   * @param {string} [options.tone] - Tone to compare in; defaults to the saved tone
+   */
+  async function handleCompare({ tone } = {}) {
+    if (!selectedText) return;
+
+    showLoading('Comparing providers...');
+
+    let engine;
+    try {
+      const settings = await browserAPI.storage.local.get(['engine', 'sourceLang', 'targetLang', 'tone']);
+      engine = settings.engine;
+      if (!engine) {
+        showResult('Please configure your API key in the extension settings.', true, { errorCode: 'configuration' });
+        return;
+      }
+
+      const response = await requestComparison({
+        text: selectedText,
+        engine,
+        sourceLang: settings.sourceLang || 'auto',
+        targetLang: settings.targetLang || 'en',
+        tone: tone || settings.tone || 'neutral',
+        context: selectedContext
+      });
+
+      if (response.cancelled) return;
+      if (response.success) {
+        showComparison(response);
+      } else {
+        showResult(response.error || 'Comparison failed', true, { errorCode: response.errorCode, engine });
+      }
+    } catch (error) {
+      showResult(error.message || 'Comparison failed. Please try again.', true, { engine });
     }
   }
 
@@ -221,47 +1010,72 @@
     // Show loading in the text area only
     const textEl = tooltip?.querySelector('.ai-translator-text');
     if (textEl) {
+      textEl.hidden = false;
       textEl.innerHTML = '<div class="ai-translator-spinner-inline"></div> Translating...';
     }
+    renderAlternatives(tooltip);
+    bindExplainButton(tooltip, { translation: '' });
+    renderBackTranslation(tooltip, { translation: '' });
     
     try {
-      const response = await browserAPI.runtime.sendMessage({
-        action: 'translate',
+      const response = await requestTranslation({
         text: selectedText,
-        engine: cachedSettings.engine,
-        apiKey: cachedSettings.apiKeys[cachedSettings.engine],
+        engine: currentEngine,
+        apiKey: cachedSettings.apiKeys?.[currentEngine],
         sourceLang: cachedSettings.sourceLang || 'auto',
         targetLang: cachedSettings.targetLang || 'en',
-        tone: tone
+        tone: tone,
+        context: selectedContext,
+        mode: cachedSettings.translationMode || 'single'
+      }, {
+        onChunk: (partial) => {
+          if (textEl) {
+            textEl.textContent = partial;
+            textEl.classList.add('streaming');
+          }
+        },
+        onFallback: showFallback
       });
       
+      if (response.cancelled) return;
+      textEl?.classList.remove('streaming');
       if (response.success && textEl) {
         textEl.textContent = response.translation;
         textEl.classList.remove('ai-translator-error');
+        textEl.hidden = Boolean(response.alternatives);
         
-        // Update copy button to copy new translation
-        const copyBtn = tooltip?.querySelector('.ai-translator-copy');
-        if (copyBtn) {
-          copyBtn.onclick = () => {
-            navigator.clipboard.writeText(response.translation);
-            copyBtn.textContent = 'Copied!';
-            setTimeout(() => copyBtn.textContent = 'Copy to clipboard', 2000);
-          };
+        const providerEl = tooltip?.querySelector('.ai-translator-provider');
+        if (providerEl) {
+          providerEl.textContent = providerLabel(response.provider, response.fallbackFrom);
         }
+        renderDetectedLanguage(tooltip, response);
+        renderGlossaryViolations(tooltip, response.alternatives ? [] : response.glossaryViolations);
+        renderAlternatives(tooltip, response);
+        
+        // Update copy button to copy new translation
+        bindCopyButton(tooltip, response.translation);
+        bindExplainButton(tooltip, response);
+        renderBackTranslation(tooltip, response);
       } else if (textEl) {
         textEl.textContent = response.error || 'Translation failed';
         textEl.classList.add('ai-translator-error');
       }
     } catch (error) {
       if (textEl) {
+        textEl.classList.remove('streaming');
         textEl.textContent = error.message || 'Translation failed';
         textEl.classList.add('ai-translator-error');
       }
     }
   }
 
-  // Keyboard shortcut: Ctrl+Shift+T
+  // Keyboard shortcuts: Ctrl+Shift+T translates, Escape closes the tooltip
   document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && tooltip) {
+      removeTooltip();
+      return;
+    }
+
     if (e.ctrlKey && e.shiftKey && e.key === 'T') {
       e.preventDefault();
       const selection = window.getSelection();
@@ -269,6 +1083,7 @@
       
       if (text && text.length > 0) {
         selectedText = text;
+        selectedContext = getSelectionContext(selection, text);
         const range = selection.getRangeAt(0);
         const rect = range.getBoundingClientRect();
         removeTooltip();
@@ -290,7 +1105,13 @@
     const text = selection.toString().trim();
     
     if (text && text.length > 0) {
+      // A new selection abandons the translation still in progress
+      if (activeRequest && text !== selectedText) {
+        removeTooltip();
+      }
+      
       selectedText = text;
+      selectedContext = getSelectionContext(selection, text);
       const range = selection.getRangeAt(0);
       const rect = range.getBoundingClientRect();
       
@@ -305,14 +1126,19 @@
 
   // Context menu translate handler
   browserAPI.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.action === 'contextMenuTranslate' && request.text) {
+    if ((request.action === 'contextMenuTranslate' || request.action === 'contextMenuCompare') && request.text) {
       selectedText = request.text;
+      const selection = window.getSelection();
+      selectedContext = selection.toString().trim() === request.text
+        ? getSelectionContext(selection, request.text)
+        : '';
       removeTooltip();
       
       const x = window.innerWidth / 2 - 100 + window.scrollX;
       const y = window.innerHeight / 2 - 50 + window.scrollY;
       
-      handleTranslate().then(() => {
+      const run = request.action === 'contextMenuCompare' ? handleCompare() : handleTranslate();
+      run.then(() => {
         if (tooltip) {
           tooltip.style.left = `${x}px`;
           tooltip.style.top = `${y}px`;
@@ -3,21 +3,52 @@
  * Settings UI and history management
  * Requirements: 1.1, 1.2, 1.3, 1.4, 2.1-2.4, 3.1-3.4, 4.3, 4.4, 7.1-7.4
  */
-import { LANGUAGES, PROVIDERS, FREE_HISTORY_LIMIT } from '../utils/constants.js';
+import { LANGUAGES, PROVIDERS, FREE_HISTORY_LIMIT, STORAGE_KEYS } from '../utils/constants.js';
 import { licenseManager } from '../utils/license.js';
 import { featureGate } from '../utils/featureGate.js';
+import { requestHostPermission } from '../utils/permissions.js';
+import { usageTracker } from '../utils/usage.js';
+import { PROMPT_VARIABLES, DEFAULT_PROMPT_TEMPLATE, renderPrompt, validatePromptTemplate } from '../utils/prompts.js';
+import { toneManager, createCustomTone, validateCustomTone, isToneSupported, describeToneSupport } from '../utils/tones.js';
+import { historyItemType } from '../utils/history.js';
+import { supportsLanguage, describeUnsupportedInput, summarizeCapabilities } from '../providers/capabilities.js';
+import {
+  glossaryManager,
+  createGlossaryEntry,
+  validateGlossaryEntry,
+  glossaryToCsv,
+  glossaryToTbx,
+  parseGlossaryCsv,
+  parseGlossaryTbx
+} from '../utils/glossary.js';
 
 // Get browser API (Chrome/Firefox compatibility)
 const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 
 document.addEventListener('DOMContentLoaded', async () => {
   const engineSelect = document.getElementById('engine');
+  const engineSummary = document.getElementById('engineSummary');
   const apiKeyInput = document.getElementById('apiKey');
   const apiKeyHint = document.getElementById('apiKeyHint');
+  const testKeyBtn = document.getElementById('testKeyBtn');
+  const apiKeyStatus = document.getElementById('apiKeyStatus');
   const sourceLangSelect = document.getElementById('sourceLang');
   const targetLangSelect = document.getElementById('targetLang');
   const swapLangBtn = document.getElementById('swapLangBtn');
+  const languageSupportNote = document.getElementById('languageSupportNote');
+  const secondaryLangSelect = document.getElementById('secondaryLang');
   const toneSelect = document.getElementById('tone');
+  const toneSupportNote = document.getElementById('toneSupportNote');
+  const translationModeSelect = document.getElementById('translationMode');
+  const backTranslationSelect = document.getElementById('backTranslation');
+  const editToneBtn = document.getElementById('editToneBtn');
+  const newToneBtn = document.getElementById('newToneBtn');
+  const toneEditor = document.getElementById('toneEditor');
+  const toneNameInput = document.getElementById('toneName');
+  const toneInstructionInput = document.getElementById('toneInstruction');
+  const saveToneBtn = document.getElementById('saveToneBtn');
+  const deleteToneBtn = document.getElementById('deleteToneBtn');
+  const cancelToneBtn = document.getElementById('cancelToneBtn');
   const themeSelect = document.getElementById('theme');
   const themeToggle = document.getElementById('themeToggle');
   const saveBtn = document.getElementById('saveBtn');
@@ -25,6 +56,57 @@ document.addEventListener('DOMContentLoaded', async () => {
   const tabs = document.querySelectorAll('.tab');
   const historyList = document.getElementById('history-list');
   const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+  const historyFilterBtns = document.querySelectorAll('.history-filter-btn');
+  const providerSettingsGroups = document.querySelectorAll('.provider-settings');
+  const customBaseUrlInput = document.getElementById('customBaseUrl');
+  const customModelInput = document.getElementById('customModel');
+  const customHeadersInput = document.getElementById('customHeaders');
+  const apiKeyGroup = document.getElementById('apiKeyGroup');
+  const ollamaBaseUrlInput = document.getElementById('ollamaBaseUrl');
+  const libretranslateBaseUrlInput = document.getElementById('libretranslateBaseUrl');
+  const azureEndpointInput = document.getElementById('azureEndpoint');
+  const azureDeploymentInput = document.getElementById('azureDeployment');
+  const azureApiVersionInput = document.getElementById('azureApiVersion');
+  const modelGroup = document.getElementById('modelGroup');
+  const modelSelect = document.getElementById('model');
+  const refreshModelsBtn = document.getElementById('refreshModelsBtn');
+  const modelStatus = document.getElementById('modelStatus');
+  const fallbackList = document.getElementById('fallbackList');
+  const maxRetriesSelect = document.getElementById('maxRetries');
+  const usageSummary = document.getElementById('usageSummary');
+  const priceTable = document.getElementById('priceTable');
+  const addPriceBtn = document.getElementById('addPriceBtn');
+  const resetPricesBtn = document.getElementById('resetPricesBtn');
+  const savePricesBtn = document.getElementById('savePricesBtn');
+  const usageStatus = document.getElementById('usageStatus');
+  const clearUsageBtn = document.getElementById('clearUsageBtn');
+  const promptTemplateSelect = document.getElementById('promptTemplate');
+  const editTemplateBtn = document.getElementById('editTemplateBtn');
+  const newTemplateBtn = document.getElementById('newTemplateBtn');
+  const templateEditor = document.getElementById('templateEditor');
+  const templateNameInput = document.getElementById('templateName');
+  const templateSystemInput = document.getElementById('templateSystem');
+  const templateUserInput = document.getElementById('templateUser');
+  const templateVariables = document.getElementById('templateVariables');
+  const templatePreview = document.getElementById('templatePreview');
+  const saveTemplateBtn = document.getElementById('saveTemplateBtn');
+  const deleteTemplateBtn = document.getElementById('deleteTemplateBtn');
+  const cancelTemplateBtn = document.getElementById('cancelTemplateBtn');
+  const glossaryList = document.getElementById('glossaryList');
+  const glossarySourceInput = document.getElementById('glossarySource');
+  const glossaryTargetInput = document.getElementById('glossaryTarget');
+  const glossarySourceLangSelect = document.getElementById('glossarySourceLang');
+  const glossaryTargetLangSelect = document.getElementById('glossaryTargetLang');
+  const glossaryCaseSensitiveInput = document.getElementById('glossaryCaseSensitive');
+  const glossaryDoNotTranslateInput = document.getElementById('glossaryDoNotTranslate');
+  const saveGlossaryBtn = document.getElementById('saveGlossaryBtn');
+  const cancelGlossaryBtn = document.getElementById('cancelGlossaryBtn');
+  const importGlossaryBtn = document.getElementById('importGlossaryBtn');
+  const exportCsvBtn = document.getElementById('exportCsvBtn');
+  const exportTbxBtn = document.getElementById('exportTbxBtn');
+  const glossaryFileInput = document.getElementById('glossaryFile');
+  const glossaryStatus = document.getElementById('glossaryStatus');
+  const clearGlossaryBtn = document.getElementById('clearGlossaryBtn');
   
   // License UI elements
   const licenseBadge = document.getElementById('licenseBadge');
@@ -36,8 +118,39 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Current license status
   let currentLicenseStatus = null;
 
+  // Chosen model per provider, as stored next to apiKeys
+  let storedModels = {};
+
+  // Saved provider configuration, used to decide which providers can act as fallbacks
+  let storedApiKeys = {};
+  let storedProviderSettings = {};
+  let fallbackOrder = [];
+
+  // Price table being edited on the Usage tab
+  let priceRows = [];
+
+  // User prompt templates, and the id of the one open in the editor (null for a new one)
+  let promptTemplates = [];
+  let editingTemplateId = null;
+
+  // Premium users' own tones, and the id of the one open in the editor (null for a new one)
+  let customTones = [];
+  let editingToneId = null;
+
+  // History tab shows either sentence translations or word lookups
+  let historyFilter = 'translation';
+
+  // Glossary shown on the Glossary tab, and the id of the entry in the form (null when adding)
+  let glossaryEntries = [];
+  let editingGlossaryId = null;
+
+  // Names and capabilities of the registered providers, by id
+  const providerDetails = await loadProviderDetails();
+
   // Initialize license status and populate dropdowns
   await initializeLicenseStatus();
+  customTones = await toneManager.getCustomTones();
+  featureGate.updateCustomTones(customTones);
   populateDropdowns();
 
   // Apply theme
@@ -51,6 +164,15 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  /**
+   * Ask the background worker which providers exist and what each can do
+   * @returns {Promise<Object<string, {id: string, name: string, capabilities: Object}>>} - Empty when it cannot answer
+   */
+  async function loadProviderDetails() {
+    const response = await browserAPI.runtime.sendMessage({ action: 'listProviders' }).catch(() => null);
+    return Object.fromEntries((response?.providers || []).map(provider => [provider.id, provider]));
+  }
+
   /**
    * Initialize license status on popup load
    * Requirements: 1.5, 7.1, 7.2, 7.3
@@ -147,6 +269,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         updateLicenseBadge();
         checkExpirationWarning();
         populateDropdowns(); // Refresh dropdowns with premium options
+        renderFallbackList();
       } else {
         // Invalid license (Requirement 1.4)
         showLicenseStatus(result.error || 'Invalid license key', 'error');
@@ -205,14 +328,106 @@ document.addEventListener('DOMContentLoaded', async () => {
     sourceLangSelect.innerHTML = langOptions;
     targetLangSelect.innerHTML = LANGUAGES.filter(l => l.code !== 'auto')
       .map(l => `<option value="${l.code}">${l.name}</option>`).join('');
+    secondaryLangSelect.innerHTML = `
+      <option value="">Show the original</option>
+    ` + LANGUAGES.filter(l => l.code !== 'auto')
+      .map(l => `<option value="${l.code}">Translate to ${l.name}</option>`).join('');
+
+    // Glossary language pairs may apply to any language
+    const glossaryLangOptions = '<option value="*">Any language</option>' + LANGUAGES.filter(l => l.code !== 'auto')
+      .map(l => `<option value="${l.code}">${l.name}</option>`).join('');
+    glossarySourceLangSelect.innerHTML = glossaryLangOptions;
+    glossaryTargetLangSelect.innerHTML = glossaryLangOptions;
+
+    renderToneOptions();
+    renderModeOptions();
+    renderProviderSupport();
+
+    // Back-translation can use any provider the license covers
+    const selectedBackTranslation = backTranslationSelect.value;
+    backTranslationSelect.innerHTML = `
+      <option value="">Off</option>
+      <option value="same">With the same provider</option>
+    ` + providers.map(p => {
+      const proLabel = p.isPremium && !p.available ? ' (Pro)' : '';
+      const disabled = !p.available ? 'disabled' : '';
+      return `<option value="${p.id}" ${disabled}>With ${p.name}${proLabel}</option>`;
+    }).join('');
+    if (providers.some(p => p.id === selectedBackTranslation && p.available) || selectedBackTranslation === 'same') {
+      backTranslationSelect.value = selectedBackTranslation;
+    }
+  }
 
-    // Tones with feature gating (Requirements: 3.1, 3.2, 3.3)
+  /**
+   * Tones with feature gating, custom tones included (Requirements: 3.1, 3.2, 3.3)
+   * Tones the selected engine cannot follow are disabled, with the reason below the select.
+   */
+  function renderToneOptions(selectedId = toneSelect.value) {
+    const isPremium = currentLicenseStatus?.isPremium || false;
     const tones = featureGate.getAvailableTones(isPremium);
+    const provider = providerDetails[engineSelect.value];
+    const capabilities = provider?.capabilities;
+    const usable = (t) => t.available && isToneSupported(t.id, capabilities);
     toneSelect.innerHTML = tones.map(t => {
       const proLabel = t.isPremium && !t.available ? ' (Pro)' : '';
-      const disabled = !t.available ? 'disabled' : '';
-      return `<option value="${t.id}" ${disabled} class="${t.isPremium ? 'premium-option' : ''}">${t.name}${proLabel}</option>`;
+      const disabled = !usable(t) ? 'disabled' : '';
+      return `<option value="${t.id}" ${disabled} class="${t.isPremium ? 'premium-option' : ''}">${escapeHtml(t.name)}${proLabel}</option>`;
+    }).join('');
+    if (tones.some(t => t.id === selectedId && usable(t))) toneSelect.value = selectedId;
+
+    toneSelect.disabled = Boolean(capabilities && !capabilities.tones && !capabilities.formality);
+    toneSupportNote.textContent = describeToneSupport(capabilities, provider?.name);
+    toneSupportNote.hidden = !toneSupportNote.textContent;
+    updateToneButtons();
+  }
+
+  /**
+   * Translation modes with feature gating
+   * Alternatives need a provider that answers prompts; without one the mode falls back to a single translation.
+   */
+  function renderModeOptions(selectedId = translationModeSelect.value) {
+    const isPremium = currentLicenseStatus?.isPremium || false;
+    const modes = featureGate.getAvailableModes(isPremium);
+    const capabilities = providerDetails[engineSelect.value]?.capabilities;
+    const supported = (m) => m.id !== 'alternatives' || capabilities?.prompts !== false;
+    translationModeSelect.innerHTML = modes.map(m => {
+      const proLabel = m.isPremium && !m.available ? ' (Pro)' : '';
+      const unsupportedLabel = m.available && !supported(m) ? ' (needs an AI provider)' : '';
+      const disabled = !m.available || !supported(m) ? 'disabled' : '';
+      return `<option value="${m.id}" ${disabled} class="${m.isPremium ? 'premium-option' : ''}">${m.name}${proLabel}${unsupportedLabel}</option>`;
     }).join('');
+    translationModeSelect.value = modes.some(m => m.id === selectedId && m.available && supported(m)) ? selectedId : 'single';
+  }
+
+  /**
+   * Summarize the selected engine and disable the languages it cannot translate
+   * The note below the languages explains a saved pair the engine cannot handle.
+   */
+  function renderProviderSupport() {
+    const provider = providerDetails[engineSelect.value];
+    const capabilities = provider?.capabilities;
+    engineSummary.textContent = summarizeCapabilities(capabilities);
+
+    [sourceLangSelect, targetLangSelect, secondaryLangSelect].forEach(select => {
+      Array.from(select.options)
+        .filter(option => LANGUAGES.some(l => l.code === option.value))
+        .forEach(option => { option.disabled = !supportsLanguage(capabilities, option.value); });
+    });
+
+    languageSupportNote.textContent = describeUnsupportedInput(capabilities, provider?.name, {
+      sourceLang: sourceLangSelect.value,
+      targetLang: targetLangSelect.value
+    });
+    languageSupportNote.hidden = !languageSupportNote.textContent;
+  }
+
+  /**
+   * Whether the engine needs a key, per its capabilities
+   * @param {string} engine
+   * @returns {'required'|'optional'|'none'}
+   */
+  function keyRequirementOf(engine) {
+    return providerDetails[engine]?.capabilities.keyRequirement || 'required';
   }
 
   function updateApiKeyHint() {
@@ -220,6 +435,275 @@ document.addEventListener('DOMContentLoaded', async () => {
     apiKeyHint.textContent = provider ? provider.hint : '';
   }
 
+  /**
+   * Show only the settings group belonging to the selected engine
+   */
+  function updateProviderSettingsVisibility() {
+    providerSettingsGroups.forEach(group => {
+      group.classList.toggle('active', group.dataset.provider === engineSelect.value);
+    });
+
+    // Keyless providers (local servers) have nothing to enter here
+    apiKeyGroup.style.display = keyRequirementOf(engineSelect.value) === 'none' ? 'none' : '';
+
+    modelGroup.style.display = hasModelList(engineSelect.value) ? '' : 'none';
+  }
+
+  /**
+   * Whether the engine's model is picked from a list, per its modelList capability
+   * Unknown providers get the list, which falls back to the provider default.
+   * @param {string} engine
+   * @returns {boolean}
+   */
+  function hasModelList(engine) {
+    return providerDetails[engine]?.capabilities?.modelList !== false;
+  }
+
+  /**
+   * Unsaved endpoint inputs to list models with, for self-hosted providers
+   * @returns {Object|undefined}
+   */
+  function getEndpointSettings(engine) {
+    if (engine === 'ollama') {
+      return { baseUrl: ollamaBaseUrlInput.value.trim() || ollamaBaseUrlInput.placeholder };
+    }
+    return undefined;
+  }
+
+  /**
+   * Fill the model select with the models the selected engine offers
+   * @param {string} [selectedModel] - Model to keep selected; kept even if no longer listed
+   * @param {boolean} [refresh] - Bypass the cached model list
+   */
+  async function loadModels(selectedModel = modelSelect.value, refresh = false) {
+    const engine = engineSelect.value;
+    if (!hasModelList(engine)) return;
+
+    const keyRequired = keyRequirementOf(engine) === 'required';
+    const apiKey = apiKeyInput.value.trim();
+
+    // Local servers have no default model, so one must be picked from the list
+    const defaultOption = engine === 'ollama' ? '' : '<option value="">Provider default</option>';
+    const renderOptions = (models) => {
+      const options = selectedModel && !models.includes(selectedModel) ? [selectedModel, ...models] : models;
+      modelSelect.innerHTML = defaultOption + options
+        .map(model => `<option value="${escapeAttr(model)}">${escapeHtml(model)}</option>`)
+        .join('');
+      modelSelect.value = selectedModel || modelSelect.options[0]?.value || '';
+    };
+
+    if (!apiKey && keyRequired) {
+      renderOptions([]);
+      modelStatus.textContent = 'Enter an API key to load the model list';
+      return;
+    }
+
+    modelStatus.textContent = 'Loading models...';
+    const response = await browserAPI.runtime.sendMessage({
+      action: 'listModels',
+      engine,
+      apiKey,
+      settings: getEndpointSettings(engine),
+      refresh
+    });
+
+    // The user may have switched engines while the list was loading
+    if (engineSelect.value !== engine) return;
+
+    if (!response?.success) {
+      renderOptions([]);
+      modelStatus.textContent = response?.error || 'Could not load models';
+      return;
+    }
+
+    renderOptions(response.models);
+    modelStatus.textContent = response.models.length
+      ? `${response.models.length} model${response.models.length !== 1 ? 's' : ''} available`
+      : engine === 'ollama' ? 'No models installed. Run "ollama pull <model>" first.' : 'No models listed';
+  }
+
+  refreshModelsBtn.addEventListener('click', async () => {
+    const endpointSettings = getEndpointSettings(engineSelect.value);
+    if (endpointSettings) {
+      try {
+        await requestHostPermission(endpointSettings.baseUrl);
+      } catch (error) {
+        modelStatus.textContent = error.message;
+        return;
+      }
+    }
+    loadModels(modelSelect.value, true);
+  });
+
+  apiKeyInput.addEventListener('change', () => {
+    showKeyStatus('');
+    loadModels();
+  });
+
+  /**
+   * Show the outcome of a key test below the key input
+   * @param {string} message - Empty hides it
+   * @param {'valid'|'invalid'} [kind]
+   */
+  function showKeyStatus(message, kind) {
+    apiKeyStatus.textContent = message;
+    apiKeyStatus.className = kind || '';
+    apiKeyStatus.hidden = !message;
+  }
+
+  /**
+   * Describe the rate-limit windows reported for a key
+   * @param {import('../providers/retry.js').RateLimits|null} rateLimits
+   * @returns {string} - Empty when the provider reported none
+   */
+  function formatRateLimits(rateLimits) {
+    if (!rateLimits) return '';
+    return ['requests', 'tokens', 'characters']
+      .filter(kind => rateLimits[kind] && (rateLimits[kind].limit !== null || rateLimits[kind].remaining !== null))
+      .map(kind => {
+        const { limit, remaining, reset } = rateLimits[kind];
+        const count = limit !== null
+          ? `${(remaining ?? limit).toLocaleString()} of ${limit.toLocaleString()} ${kind} left`
+          : `${remaining.toLocaleString()} ${kind} left`;
+        return reset ? `${count}, resets in ${formatDuration(reset)}` : count;
+      })
+      .join('; ');
+  }
+
+  /**
+   * @param {number} ms
+   * @returns {string}
+   */
+  function formatDuration(ms) {
+    if (ms < 60000) return `${Math.ceil(ms / 1000)}s`;
+    if (ms < 3600000) return `${Math.ceil(ms / 60000)} min`;
+    return `${Math.ceil(ms / 3600000)} h`;
+  }
+
+  testKeyBtn.addEventListener('click', async () => {
+    const engine = engineSelect.value;
+    const { settings, error } = await collectProviderSettings(engine);
+    if (error) {
+      showKeyStatus(error, 'invalid');
+      return;
+    }
+
+    testKeyBtn.disabled = true;
+    showKeyStatus('Testing...');
+    const model = hasModelList(engine) ? modelSelect.value : '';
+    const response = await browserAPI.runtime.sendMessage({
+      action: 'testConnection',
+      engine,
+      apiKey: apiKeyInput.value.trim(),
+      settings: model ? { ...settings, model } : settings
+    }).catch(sendError => ({ success: false, error: sendError.message }));
+    testKeyBtn.disabled = false;
+
+    // The user may have switched engines while the test was running
+    if (engineSelect.value !== engine) return;
+    if (!response?.success) {
+      showKeyStatus(response?.error || 'Could not test the key', 'invalid');
+      return;
+    }
+    const limits = formatRateLimits(response.rateLimits);
+    showKeyStatus(limits ? `${response.message} ${limits}.` : response.message, response.status === 'valid' ? 'valid' : 'invalid');
+  });
+  ollamaBaseUrlInput.addEventListener('change', () => loadModels());
+
+  /**
+   * Read the enabled fallback providers in their displayed order
+   * @returns {string[]}
+   */
+  function readFallbackOrder() {
+    return [...fallbackList.querySelectorAll('.fallback-item')]
+      .filter(item => item.querySelector('input').checked)
+      .map(item => item.dataset.provider);
+  }
+
+  /**
+   * Render the fallback list: configured providers other than the selected engine,
+   * enabled ones first in their saved order
+   */
+  function renderFallbackList() {
+    const isPremium = currentLicenseStatus?.isPremium || false;
+    const configured = PROVIDERS.filter(p =>
+      p.id !== engineSelect.value && (storedApiKeys[p.id] || storedProviderSettings[p.id])
+    );
+    const enabled = fallbackOrder
+      .map(id => configured.find(p => p.id === id))
+      .filter(Boolean);
+    const ordered = [...enabled, ...configured.filter(p => !fallbackOrder.includes(p.id))];
+
+    if (ordered.length === 0) {
+      fallbackList.innerHTML = '<div class="fallback-empty">Save a key for another provider to use it as a fallback</div>';
+      return;
+    }
+
+    fallbackList.innerHTML = ordered.map(p => {
+      const available = featureGate.isProviderAvailable(p.id, isPremium);
+      const checked = available && fallbackOrder.includes(p.id) ? 'checked' : '';
+      return `
+        <div class="fallback-item ${available ? '' : 'unavailable'}" data-provider="${p.id}">
+          <label><input type="checkbox" ${checked} ${available ? '' : 'disabled'}> ${p.name}${available ? '' : ' (Pro)'}</label>
+          <button class="fallback-move" data-direction="up" title="Try earlier">↑</button>
+          <button class="fallback-move" data-direction="down" title="Try later">↓</button>
+        </div>
+      `;
+    }).join('');
+  }
+
+  fallbackList.addEventListener('click', (e) => {
+    const button = e.target.closest('.fallback-move');
+    if (!button) return;
+
+    const item = button.closest('.fallback-item');
+    if (button.dataset.direction === 'up' && item.previousElementSibling) {
+      item.parentNode.insertBefore(item, item.previousElementSibling);
+    } else if (button.dataset.direction === 'down' && item.nextElementSibling) {
+      item.parentNode.insertBefore(item.nextElementSibling, item);
+    }
+  });
+
+  /**
+   * Fill provider-specific inputs from stored settings
+   */
+  function loadProviderSettings(providerSettings = {}) {
+    const custom = providerSettings.custom || {};
+    customBaseUrlInput.value = custom.baseUrl || '';
+    customModelInput.value = custom.model || '';
+    customHeadersInput.value = formatHeaderLines(custom.headers);
+
+    const ollama = providerSettings.ollama || {};
+    ollamaBaseUrlInput.value = ollama.baseUrl || '';
+
+    const libretranslate = providerSettings.libretranslate || {};
+    libretranslateBaseUrlInput.value = libretranslate.baseUrl || '';
+
+    const azure = providerSettings.azure || {};
+    azureEndpointInput.value = azure.endpoint || '';
+    azureDeploymentInput.value = azure.deployment || '';
+    azureApiVersionInput.value = azure.apiVersion || '';
+  }
+
+  /**
+   * Parse "Name: value" lines into a headers object
+   */
+  function parseHeaderLines(text) {
+    const headers = {};
+    for (const line of text.split('\n')) {
+      const separator = line.indexOf(':');
+      if (separator <= 0) continue;
+      const name = line.slice(0, separator).trim();
+      const value = line.slice(separator + 1).trim();
+      if (name) headers[name] = value;
+    }
+    return headers;
+  }
+
+  function formatHeaderLines(headers = {}) {
+    return Object.entries(headers).map(([name, value]) => `${name}: ${value}`).join('\n');
+  }
+
   /**
    * Show upgrade prompt when user tries to select premium feature
    * Requirements: 2.4, 3.4
@@ -267,9 +751,17 @@ document.addEventListener('DOMContentLoaded', async () => {
       engineSelect.value = engineSelect.dataset.previousValue || 'gemini';
     }
     updateApiKeyHint();
+    updateProviderSettingsVisibility();
+    renderToneOptions();
+    renderModeOptions();
+    renderProviderSupport();
+    fallbackOrder = readFallbackOrder();
+    renderFallbackList();
+    showKeyStatus('');
     browserAPI.storage.local.get(['apiKeys'], (result) => {
       const apiKeys = result.apiKeys || {};
       apiKeyInput.value = apiKeys[engineSelect.value] || '';
+      loadModels(storedModels[engineSelect.value] || '');
     });
   });
 
@@ -289,6 +781,19 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
 
+  // Handle premium translation mode selection attempt
+  translationModeSelect.addEventListener('mousedown', () => {
+    translationModeSelect.dataset.previousValue = translationModeSelect.value;
+  });
+
+  translationModeSelect.addEventListener('change', () => {
+    const isPremium = currentLicenseStatus?.isPremium || false;
+    if (!featureGate.isModeAvailable(translationModeSelect.value, isPremium)) {
+      showUpgradePrompt(translationModeSelect, 'translation mode');
+      translationModeSelect.value = translationModeSelect.dataset.previousValue || 'single';
+    }
+  });
+
   // Tab switching
   tabs.forEach(tab => {
     tab.addEventListener('click', () => {
@@ -299,23 +804,46 @@ document.addEventListener('DOMContentLoaded', async () => {
       document.getElementById(`${tab.dataset.tab}-tab`).classList.add('active');
       
       if (tab.dataset.tab === 'history') loadHistory();
+      if (tab.dataset.tab === 'glossary') loadGlossary();
+      if (tab.dataset.tab === 'usage') loadUsage();
     });
   });
 
   // Load saved settings
-  browserAPI.storage.local.get(['engine', 'apiKeys', 'sourceLang', 'targetLang', 'tone', 'theme'], (result) => {
+  browserAPI.storage.local.get(['engine', 'apiKeys', 'sourceLang', 'targetLang', 'tone', 'theme', STORAGE_KEYS.PROVIDER_SETTINGS, STORAGE_KEYS.MODELS, STORAGE_KEYS.FALLBACK_PROVIDERS, STORAGE_KEYS.MAX_RETRIES, STORAGE_KEYS.PROMPT_TEMPLATES, STORAGE_KEYS.PROMPT_TEMPLATE, STORAGE_KEYS.SECONDARY_LANG, STORAGE_KEYS.TRANSLATION_MODE, STORAGE_KEYS.BACK_TRANSLATION], (result) => {
     if (result.engine) engineSelect.value = result.engine;
     if (result.apiKeys && result.apiKeys[engineSelect.value]) {
       apiKeyInput.value = result.apiKeys[engineSelect.value];
     }
     if (result.sourceLang) sourceLangSelect.value = result.sourceLang;
     if (result.targetLang) targetLangSelect.value = result.targetLang;
-    if (result.tone) toneSelect.value = result.tone;
+    secondaryLangSelect.value = result[STORAGE_KEYS.SECONDARY_LANG] || '';
+    renderModeOptions(result[STORAGE_KEYS.TRANSLATION_MODE] || 'single');
+    const backTranslation = result[STORAGE_KEYS.BACK_TRANSLATION] || '';
+    if (['', 'same'].includes(backTranslation) || featureGate.isProviderAvailable(backTranslation, currentLicenseStatus?.isPremium || false)) {
+      backTranslationSelect.value = backTranslation;
+    }
+    // Rendered again for the saved engine, which may not follow every tone or language
+    renderToneOptions(result.tone || toneSelect.value);
+    renderProviderSupport();
     if (result.theme) {
       themeSelect.value = result.theme;
       applyTheme(result.theme);
     }
+    loadProviderSettings(result[STORAGE_KEYS.PROVIDER_SETTINGS]);
+    storedModels = result[STORAGE_KEYS.MODELS] || {};
+    storedApiKeys = result.apiKeys || {};
+    storedProviderSettings = result[STORAGE_KEYS.PROVIDER_SETTINGS] || {};
+    fallbackOrder = result[STORAGE_KEYS.FALLBACK_PROVIDERS] || [];
+    if (result[STORAGE_KEYS.MAX_RETRIES] !== undefined) {
+      maxRetriesSelect.value = String(result[STORAGE_KEYS.MAX_RETRIES]);
+    }
+    promptTemplates = result[STORAGE_KEYS.PROMPT_TEMPLATES] || [];
+    renderTemplateOptions(result[STORAGE_KEYS.PROMPT_TEMPLATE]);
     updateApiKeyHint();
+    updateProviderSettingsVisibility();
+    renderFallbackList();
+    loadModels(storedModels[engineSelect.value] || '');
   });
 
   // Note: Engine change handler is now combined with feature gating above
@@ -332,6 +860,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     sourceLangSelect.value = target;
     targetLangSelect.value = source;
+    renderProviderSupport();
+  });
+
+  [sourceLangSelect, targetLangSelect].forEach(select => {
+    select.addEventListener('change', renderProviderSupport);
   });
 
   // Theme toggle
@@ -347,27 +880,303 @@ document.addEventListener('DOMContentLoaded', async () => {
     browserAPI.storage.local.set({ theme: themeSelect.value });
   });
 
+  /**
+   * Collect and validate the selected engine's extra settings
+   * Requests host access for user-supplied endpoints while still inside the click gesture.
+   * @returns {Promise<{settings?: Object, error?: string}>}
+   */
+  /**
+   * Read the selected engine's endpoint settings and ask for access to its host
+   * Must be called before any await in a click handler, see requestHostPermission.
+   * @param {string} engine
+   * @returns {Promise<{settings?: Object, error?: string}>}
+   */
+  function collectProviderSettings(engine) {
+    if (engine === 'custom') {
+      const baseUrl = customBaseUrlInput.value.trim();
+      const model = customModelInput.value.trim();
+      if (!baseUrl || !model) {
+        return Promise.resolve({ error: 'Please enter the endpoint URL and model' });
+      }
+      return requestEndpointAccess(customBaseUrlInput, 'Access to the endpoint host was not granted', {
+        baseUrl, model, headers: parseHeaderLines(customHeadersInput.value)
+      });
+    }
+    if (engine === 'ollama') {
+      if (!modelSelect.value) {
+        return Promise.resolve({ error: 'Please select an Ollama model' });
+      }
+      return requestEndpointAccess(ollamaBaseUrlInput, 'Access to the Ollama server was not granted');
+    }
+    if (engine === 'azure') {
+      const deployment = azureDeploymentInput.value.trim();
+      const apiVersion = azureApiVersionInput.value.trim();
+      if (!azureEndpointInput.value.trim() || !deployment) {
+        return Promise.resolve({ error: 'Please enter the Azure endpoint and deployment' });
+      }
+      // Every tenant has its own resource host, so access is asked for at runtime
+      return requestEndpointAccess(azureEndpointInput, 'Access to the Azure endpoint host was not granted', {
+        endpoint: azureEndpointInput.value.trim(), deployment, ...(apiVersion && { apiVersion })
+      });
+    }
+    if (engine === 'libretranslate') {
+      return requestEndpointAccess(libretranslateBaseUrlInput, 'Access to the LibreTranslate server was not granted');
+    }
+    return Promise.resolve({});
+  }
+
+  /**
+   * Ask for access to the host entered in an endpoint input
+   * The permission request starts synchronously, so this keeps the user gesture.
+   * @param {HTMLInputElement} urlInput - Falls back to its placeholder when empty
+   * @param {string} deniedError - Shown when access is refused
+   * @param {Object} [settings] - Settings to save; defaults to { baseUrl } from the input
+   * @returns {Promise<{settings?: Object, error?: string}>}
+   */
+  function requestEndpointAccess(urlInput, deniedError, settings) {
+    const url = urlInput.value.trim() || urlInput.placeholder;
+    let request;
+    try {
+      request = requestHostPermission(url);
+    } catch (error) {
+      return Promise.resolve({ error: error.message });
+    }
+    return request.then(
+      granted => (granted ? { settings: settings || { baseUrl: url } } : { error: deniedError }),
+      error => ({ error: error.message })
+    );
+  }
+
+  // Custom tones (premium): created and edited next to the tone select
+  function updateToneButtons() {
+    editToneBtn.hidden = !customTones.some(tone => tone.id === toneSelect.value);
+  }
+
+  function openToneEditor(tone) {
+    editingToneId = tone?.id || null;
+    toneNameInput.value = tone?.name || '';
+    toneInstructionInput.value = tone?.instruction || '';
+    deleteToneBtn.hidden = editingToneId === null;
+    toneEditor.hidden = false;
+    toneNameInput.focus();
+  }
+
+  toneSelect.addEventListener('change', updateToneButtons);
+
+  newToneBtn.addEventListener('click', () => {
+    if (!(currentLicenseStatus?.isPremium || false)) {
+      showUpgradePrompt(newToneBtn, 'custom tone');
+      return;
+    }
+    openToneEditor(null);
+  });
+
+  editToneBtn.addEventListener('click', () => {
+    openToneEditor(customTones.find(tone => tone.id === toneSelect.value));
+  });
+
+  cancelToneBtn.addEventListener('click', () => {
+    toneEditor.hidden = true;
+  });
+
+  saveToneBtn.addEventListener('click', async () => {
+    const tone = createCustomTone({
+      id: editingToneId,
+      name: toneNameInput.value,
+      instruction: toneInstructionInput.value
+    });
+    const error = validateCustomTone(tone, customTones);
+    if (error) {
+      showStatus(error, 'error');
+      return;
+    }
+
+    customTones = await toneManager.saveCustomTone(tone);
+    featureGate.updateCustomTones(customTones);
+    renderToneOptions(tone.id);
+    toneEditor.hidden = true;
+    updateTemplatePreview();
+    showStatus('Tone saved! Save Settings to use it.', 'success');
+  });
+
+  deleteToneBtn.addEventListener('click', async () => {
+    if (!editingToneId || !confirm('Delete this tone?')) return;
+    customTones = await toneManager.deleteCustomTone(editingToneId);
+    featureGate.updateCustomTones(customTones);
+    // Translations with a deleted tone read as Neutral until another is saved
+    renderToneOptions();
+    toneEditor.hidden = true;
+    updateTemplatePreview();
+  });
+
+  // Prompt templates: the built-in default plus the user's own, edited in place
+  templateVariables.textContent = 'Variables: ' + PROMPT_VARIABLES.map(v => `{${v.name}} ${v.description.toLowerCase()}`).join('; ') +
+    '. Text inside [[ ]] is dropped when a variable in it is empty.';
+
+  function renderTemplateOptions(selectedId = promptTemplateSelect.value) {
+    const templates = [DEFAULT_PROMPT_TEMPLATE, ...promptTemplates];
+    promptTemplateSelect.innerHTML = templates.map(template => `
+      <option value="${escapeAttr(template.id)}">${escapeHtml(template.name)}</option>
+    `).join('');
+    promptTemplateSelect.value = templates.some(template => template.id === selectedId) ? selectedId : DEFAULT_PROMPT_TEMPLATE.id;
+  }
+
+  /**
+   * Open the editor on a template; the default can only be copied
+   */
+  function openTemplateEditor(template, { copy = false } = {}) {
+    editingTemplateId = copy ? null : template.id;
+    templateNameInput.value = copy ? `${template.name} copy` : template.name;
+    templateSystemInput.value = template.system || '';
+    templateUserInput.value = template.user;
+    deleteTemplateBtn.hidden = editingTemplateId === null;
+    templateEditor.hidden = false;
+    updateTemplatePreview();
+  }
+
+  function readTemplateEditor() {
+    return {
+      id: editingTemplateId || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      name: templateNameInput.value.trim(),
+      system: templateSystemInput.value,
+      user: templateUserInput.value
+    };
+  }
+
+  // Rendered with a sample sentence and the languages and tone chosen above
+  function updateTemplatePreview() {
+    if (templateEditor.hidden) return;
+    const template = readTemplateEditor();
+    const error = validatePromptTemplate(template);
+    const { system, user } = renderPrompt(template, {
+      text: 'The meeting has been moved to Thursday afternoon.',
+      sourceLang: sourceLangSelect.value,
+      targetLang: targetLangSelect.value,
+      tone: toneSelect.value,
+      customTones,
+      context: 'Quick update for the team: the meeting has been moved to Thursday afternoon. Please bring the draft budget.'
+    });
+    templatePreview.textContent = (error ? `⚠ ${error}\n\n` : '') +
+      (system ? `System:\n${system}\n\n` : '') + `User:\n${user}`;
+  }
+
+  [templateNameInput, templateSystemInput, templateUserInput].forEach(input => {
+    input.addEventListener('input', updateTemplatePreview);
+  });
+  [sourceLangSelect, targetLangSelect, toneSelect].forEach(select => {
+    select.addEventListener('change', updateTemplatePreview);
+  });
+
+  editTemplateBtn.addEventListener('click', () => {
+    const template = promptTemplates.find(t => t.id === promptTemplateSelect.value);
+    openTemplateEditor(template || DEFAULT_PROMPT_TEMPLATE, { copy: !template });
+  });
+
+  newTemplateBtn.addEventListener('click', () => {
+    openTemplateEditor(DEFAULT_PROMPT_TEMPLATE, { copy: true });
+    templateNameInput.value = '';
+    updateTemplatePreview();
+  });
+
+  cancelTemplateBtn.addEventListener('click', () => {
+    templateEditor.hidden = true;
+  });
+
+  saveTemplateBtn.addEventListener('click', () => {
+    const template = readTemplateEditor();
+    const error = validatePromptTemplate(template);
+    if (error) {
+      showStatus(error, 'error');
+      return;
+    }
+
+    const index = promptTemplates.findIndex(t => t.id === template.id);
+    promptTemplates = index === -1
+      ? [...promptTemplates, template]
+      : promptTemplates.map(t => (t.id === template.id ? template : t));
+
+    browserAPI.storage.local.set({ [STORAGE_KEYS.PROMPT_TEMPLATES]: promptTemplates }, () => {
+      renderTemplateOptions(template.id);
+      templateEditor.hidden = true;
+      showStatus('Template saved! Save Settings to use it.', 'success');
+    });
+  });
+
+  deleteTemplateBtn.addEventListener('click', () => {
+    if (!editingTemplateId || !confirm('Delete this template?')) return;
+    promptTemplates = promptTemplates.filter(t => t.id !== editingTemplateId);
+
+    // Translations fall back to the default when the saved choice no longer exists
+    browserAPI.storage.local.set({ [STORAGE_KEYS.PROMPT_TEMPLATES]: promptTemplates }, () => {
+      renderTemplateOptions();
+      templateEditor.hidden = true;
+    });
+  });
+
   // Save settings
-  saveBtn.addEventListener('click', () => {
+  saveBtn.addEventListener('click', async () => {
     const engine = engineSelect.value;
     const apiKey = apiKeyInput.value.trim();
     const sourceLang = sourceLangSelect.value;
     const targetLang = targetLangSelect.value;
     const tone = toneSelect.value;
     const theme = themeSelect.value;
+    const maxRetries = parseInt(maxRetriesSelect.value, 10);
+    const promptTemplate = promptTemplateSelect.value;
+    const secondaryLang = secondaryLangSelect.value;
+    const translationMode = translationModeSelect.value;
+    const backTranslation = backTranslationSelect.value;
+    const provider = providerDetails[engine];
+    const keyRequired = keyRequirementOf(engine) === 'required';
 
-    if (!apiKey) {
+    if (!apiKey && keyRequired) {
       showStatus('Please enter an API key', 'error');
       return;
     }
 
-    browserAPI.storage.local.get(['apiKeys'], (result) => {
+    const unsupported = describeUnsupportedInput(provider?.capabilities, provider?.name, { sourceLang, targetLang }) ||
+      (!secondaryLang ? '' : describeUnsupportedInput(provider?.capabilities, provider?.name, { targetLang: secondaryLang }));
+    if (unsupported) {
+      showStatus(unsupported, 'error');
+      return;
+    }
+
+    const { settings, error } = await collectProviderSettings(engine);
+    if (error) {
+      showStatus(error, 'error');
+      return;
+    }
+
+    browserAPI.storage.local.get(['apiKeys', STORAGE_KEYS.PROVIDER_SETTINGS, STORAGE_KEYS.MODELS], (result) => {
       const apiKeys = result.apiKeys || {};
       apiKeys[engine] = apiKey;
+      const providerSettings = result[STORAGE_KEYS.PROVIDER_SETTINGS] || {};
+      if (settings) {
+        providerSettings[engine] = settings;
+      }
+      const models = result[STORAGE_KEYS.MODELS] || {};
+      if (hasModelList(engine)) {
+        models[engine] = modelSelect.value;
+      }
+      storedModels = models;
+      storedApiKeys = apiKeys;
+      storedProviderSettings = providerSettings;
+      fallbackOrder = readFallbackOrder();
 
       browserAPI.storage.local.set({
-        engine, apiKeys, sourceLang, targetLang, tone, theme
-      }, () => showStatus('Settings saved!', 'success'));
+        engine, apiKeys, sourceLang, targetLang, tone, theme,
+        [STORAGE_KEYS.PROVIDER_SETTINGS]: providerSettings,
+        [STORAGE_KEYS.MODELS]: models,
+        [STORAGE_KEYS.FALLBACK_PROVIDERS]: fallbackOrder,
+        [STORAGE_KEYS.MAX_RETRIES]: maxRetries,
+        [STORAGE_KEYS.PROMPT_TEMPLATE]: promptTemplate,
+        [STORAGE_KEYS.SECONDARY_LANG]: secondaryLang,
+        [STORAGE_KEYS.TRANSLATION_MODE]: translationMode,
+        [STORAGE_KEYS.BACK_TRANSLATION]: backTranslation
+      }, () => {
+        renderFallbackList();
+        showStatus('Settings saved!', 'success');
+      });
     });
   });
 
@@ -377,7 +1186,9 @@ document.addEventListener('DOMContentLoaded', async () => {
    */
   function loadHistory() {
     browserAPI.storage.local.get(['translationHistory'], (result) => {
-      const history = result.translationHistory || [];
+      // Word lookups are kept apart from sentence translations
+      const history = (result.translationHistory || []).filter(item => historyItemType(item) === historyFilter);
+      const itemsLabel = historyFilter === 'dictionary' ? 'word lookups' : 'translations';
       const isPremium = currentLicenseStatus?.isPremium || false;
       
       // Build history limit message for freemium users (Requirements: 4.3, 4.4)
@@ -385,14 +1196,15 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (!isPremium) {
         limitMessageHtml = `
           <div class="history-limit-message">
-            📋 Showing last ${FREE_HISTORY_LIMIT} translations (Free plan limit). 
+            📋 Showing last ${FREE_HISTORY_LIMIT} ${itemsLabel} (Free plan limit). 
             <a href="https://zlate.app/upgrade" target="_blank">Upgrade to Premium</a> for unlimited history with cloud sync.
           </div>
         `;
       }
       
       if (history.length === 0) {
-        historyList.innerHTML = limitMessageHtml + '<div class="history-empty">No translation history yet</div>';
+        const emptyMessage = historyFilter === 'dictionary' ? 'No word lookups yet' : 'No translation history yet';
+        historyList.innerHTML = limitMessageHtml + `<div class="history-empty">${emptyMessage}</div>`;
         return;
       }
       
@@ -400,10 +1212,12 @@ document.addEventListener('DOMContentLoaded', async () => {
       
       const historyItemsHtml = history.map(item => `
         <div class="history-item" data-translation="${escapeAttr(item.translation)}">
-          <div class="history-original">${escapeHtml(truncate(item.original, 100))}</div>
+          <div class="history-original">${item.dictionary ? dictionaryHeadingHtml(item.dictionary) : escapeHtml(truncate(item.original, 100))}</div>
           <div class="history-translation">${escapeHtml(item.translation)}</div>
+          ${item.note ? `<div class="history-note">${escapeHtml(item.note)}</div>` : ''}
+          ${item.explanation ? explanationDetailsHtml(item.explanation) : ''}
           <div class="history-meta">
-            <span>${item.engine.toUpperCase()} · ${langMap[item.sourceLang] || item.sourceLang} → ${langMap[item.targetLang] || item.targetLang}</span>
+            <span>${item.engine.toUpperCase()}${item.model ? ` (${escapeHtml(item.model)})` : ''}${item.fallbackFrom ? ` ↩ ${item.fallbackFrom.toUpperCase()}` : ''} · ${langMap[item.sourceLang] || item.sourceLang} → ${langMap[item.targetLang] || item.targetLang}${usageLabel(item)}</span>
             <button class="history-copy">Copy</button>
           </div>
         </div>
@@ -422,6 +1236,44 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
+  /**
+   * Lemma, part of speech and pronunciation of a word lookup
+   * @param {import('../providers/dictionary.js').DictionaryEntry} entry
+   */
+  function dictionaryHeadingHtml(entry) {
+    const details = [entry.partOfSpeech, entry.pronunciation].filter(Boolean).join(' · ');
+    return `${escapeHtml(entry.lemma)}${details ? ` <span class="history-pos">${escapeHtml(details)}</span>` : ''}`;
+  }
+
+  /**
+   * Collapsed explanation saved from the tooltip's Explain button
+   * @param {import('../providers/explanation.js').Explanation} explanation
+   */
+  function explanationDetailsHtml(explanation) {
+    return `
+      <details class="history-explanation">
+        <summary>Explanation</summary>
+        ${explanation.segments.map(segment => `
+          <div class="history-segment">
+            ${escapeHtml(segment.source)} → <strong>${escapeHtml(segment.target)}</strong>
+            ${segment.note ? `<span class="history-segment-note">${escapeHtml(segment.note)}</span>` : ''}
+          </div>
+        `).join('')}
+        ${explanation.notes.map(note => `
+          <div class="history-segment"><strong>${escapeHtml(note.point)}</strong> ${escapeHtml(note.explanation)}</div>
+        `).join('')}
+      </details>
+    `;
+  }
+
+  historyFilterBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+      historyFilterBtns.forEach(b => b.classList.toggle('active', b === btn));
+      historyFilter = btn.dataset.type;
+      loadHistory();
+    });
+  });
+
   // Clear history
   clearHistoryBtn.addEventListener('click', () => {
     if (confirm('Clear all translation history?')) {
@@ -429,6 +1281,281 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
 
+  /**
+   * Tokens and cost of a history item, when the provider reported usage
+   */
+  function usageLabel(item) {
+    if (!item.usage) return '';
+    const tokens = formatTokens(item.usage.inputTokens + item.usage.outputTokens);
+    return ` · ${tokens} tok${typeof item.cost === 'number' ? ` · ${formatCost(item.cost)}` : ''}`;
+  }
+
+  function formatTokens(count) {
+    if (count >= 1e6) return `${(count / 1e6).toFixed(1)}M`;
+    if (count >= 1e3) return `${(count / 1e3).toFixed(1)}k`;
+    return String(count);
+  }
+
+  // Small amounts keep enough digits to stay visible
+  function formatCost(cost) {
+    return `$${cost > 0 && cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+  }
+
+  // Glossary tab: term list, add/edit form, CSV and TBX import/export
+  async function loadGlossary() {
+    glossaryEntries = await glossaryManager.getEntries();
+    renderGlossaryList();
+  }
+
+  function renderGlossaryList() {
+    if (glossaryEntries.length === 0) {
+      glossaryList.innerHTML = '<div class="fallback-empty">No glossary terms yet</div>';
+      return;
+    }
+
+    const langLabel = (code) => code === '*' ? 'Any' : (LANGUAGES.find(l => l.code === code)?.shortName || code.toUpperCase());
+    glossaryList.innerHTML = glossaryEntries.map(entry => `
+      <div class="glossary-item" data-id="${escapeAttr(entry.id)}">
+        <div class="glossary-terms">
+          <strong>${escapeHtml(entry.source)}</strong>
+          → ${entry.doNotTranslate ? '<em>do not translate</em>' : escapeHtml(entry.target)}
+          <span class="glossary-meta">${langLabel(entry.sourceLang)} → ${langLabel(entry.targetLang)}${entry.caseSensitive ? ' · Aa' : ''}</span>
+        </div>
+        <button class="fallback-move" data-action="edit" title="Edit">✎</button>
+        <button class="fallback-move" data-action="delete" title="Delete">✕</button>
+      </div>
+    `).join('');
+  }
+
+  function resetGlossaryForm() {
+    editingGlossaryId = null;
+    glossarySourceInput.value = '';
+    glossaryTargetInput.value = '';
+    glossarySourceLangSelect.value = '*';
+    glossaryTargetLangSelect.value = '*';
+    glossaryCaseSensitiveInput.checked = false;
+    glossaryDoNotTranslateInput.checked = false;
+    glossaryTargetInput.disabled = false;
+    saveGlossaryBtn.textContent = 'Add Term';
+    cancelGlossaryBtn.hidden = true;
+  }
+
+  glossaryDoNotTranslateInput.addEventListener('change', () => {
+    glossaryTargetInput.disabled = glossaryDoNotTranslateInput.checked;
+  });
+
+  glossaryList.addEventListener('click', async (e) => {
+    const action = e.target.dataset.action;
+    const id = e.target.closest('.glossary-item')?.dataset.id;
+    const entry = glossaryEntries.find(item => item.id === id);
+    if (!action || !entry) return;
+
+    if (action === 'delete') {
+      glossaryEntries = await glossaryManager.deleteEntry(id);
+      if (editingGlossaryId === id) resetGlossaryForm();
+      renderGlossaryList();
+      return;
+    }
+
+    editingGlossaryId = id;
+    glossarySourceInput.value = entry.source;
+    glossaryTargetInput.value = entry.doNotTranslate ? '' : entry.target;
+    glossarySourceLangSelect.value = entry.sourceLang;
+    glossaryTargetLangSelect.value = entry.targetLang;
+    glossaryCaseSensitiveInput.checked = entry.caseSensitive;
+    glossaryDoNotTranslateInput.checked = entry.doNotTranslate;
+    glossaryTargetInput.disabled = entry.doNotTranslate;
+    saveGlossaryBtn.textContent = 'Save Term';
+    cancelGlossaryBtn.hidden = false;
+    glossarySourceInput.focus();
+  });
+
+  saveGlossaryBtn.addEventListener('click', async () => {
+    const entry = createGlossaryEntry({
+      id: editingGlossaryId,
+      source: glossarySourceInput.value,
+      target: glossaryTargetInput.value,
+      sourceLang: glossarySourceLangSelect.value,
+      targetLang: glossaryTargetLangSelect.value,
+      caseSensitive: glossaryCaseSensitiveInput.checked,
+      doNotTranslate: glossaryDoNotTranslateInput.checked
+    });
+    const error = validateGlossaryEntry(entry);
+    if (error) {
+      showGlossaryStatus(error, 'error');
+      return;
+    }
+
+    glossaryEntries = await glossaryManager.saveEntry(entry);
+    resetGlossaryForm();
+    renderGlossaryList();
+    showGlossaryStatus('Term saved!', 'success');
+  });
+
+  cancelGlossaryBtn.addEventListener('click', resetGlossaryForm);
+
+  importGlossaryBtn.addEventListener('click', () => glossaryFileInput.click());
+
+  glossaryFileInput.addEventListener('change', async () => {
+    const file = glossaryFileInput.files[0];
+    glossaryFileInput.value = '';
+    if (!file) return;
+
+    const text = await file.text();
+    const isTbx = /\.(tbx|xml)$/i.test(file.name) || /^\s*<\?xml|<martif|<tbx/i.test(text);
+    const imported = isTbx ? parseGlossaryTbx(text) : parseGlossaryCsv(text);
+    if (imported.length === 0) {
+      showGlossaryStatus('No glossary terms found in the file', 'error');
+      return;
+    }
+
+    glossaryEntries = await glossaryManager.importEntries(imported);
+    renderGlossaryList();
+    showGlossaryStatus(`Imported ${imported.length} term${imported.length === 1 ? '' : 's'}`, 'success');
+  });
+
+  exportCsvBtn.addEventListener('click', () => {
+    downloadFile('zlate-glossary.csv', glossaryToCsv(glossaryEntries), 'text/csv');
+  });
+
+  exportTbxBtn.addEventListener('click', () => {
+    downloadFile('zlate-glossary.tbx', glossaryToTbx(glossaryEntries), 'application/x-tbx+xml');
+  });
+
+  clearGlossaryBtn.addEventListener('click', async () => {
+    if (confirm('Delete all glossary terms?')) {
+      await glossaryManager.setEntries([]);
+      resetGlossaryForm();
+      await loadGlossary();
+    }
+  });
+
+  function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function showGlossaryStatus(message, type) {
+    glossaryStatus.textContent = message;
+    glossaryStatus.className = 'status ' + type;
+    setTimeout(() => glossaryStatus.className = 'status', 3000);
+  }
+
+  // Usage tab: spend summary and price table
+  async function loadUsage() {
+    const [summary, table] = await Promise.all([usageTracker.getSummary(), usageTracker.getPriceTable()]);
+    renderUsageSummary(summary);
+    priceRows = table.map(entry => ({ ...entry }));
+    renderPriceTable();
+  }
+
+  function renderUsageSummary(summary) {
+    const providerIds = Object.keys(summary).filter(id => summary[id].month.requests > 0);
+    if (providerIds.length === 0) {
+      usageSummary.innerHTML = '<div class="fallback-empty">No usage in the last 30 days</div>';
+      return;
+    }
+
+    const providerNames = Object.fromEntries(PROVIDERS.map(p => [p.id, p.name]));
+    const periodCell = (totals) => `
+      <td>
+        ${formatCost(totals.cost)}${totals.unpriced > 0 ? '*' : ''}
+        <span class="usage-tokens">${formatTokens(totals.inputTokens + totals.outputTokens)} tok</span>
+      </td>
+    `;
+    const hasUnpriced = providerIds.some(id => summary[id].month.unpriced > 0);
+
+    usageSummary.innerHTML = `
+      <table>
+        <tr><th>Provider</th><th>Today</th><th>7 days</th><th>30 days</th></tr>
+        ${providerIds.map(id => `
+          <tr>
+            <td>${escapeHtml(providerNames[id] || id)}</td>
+            ${periodCell(summary[id].day)}
+            ${periodCell(summary[id].week)}
+            ${periodCell(summary[id].month)}
+          </tr>
+        `).join('')}
+      </table>
+      ${hasUnpriced ? '<div class="fallback-empty">* Some translations had no usage data or price and are not included</div>' : ''}
+    `;
+  }
+
+  function renderPriceTable() {
+    const providerOptions = (selected) => PROVIDERS.map(p => `
+      <option value="${p.id}" ${p.id === selected ? 'selected' : ''}>${escapeHtml(p.name)}</option>
+    `).join('');
+
+    priceTable.innerHTML = `
+      <table>
+        <tr><th>Provider</th><th>Model</th><th>Input</th><th>Output</th><th></th></tr>
+        ${priceRows.map((row, index) => `
+          <tr data-index="${index}">
+            <td><select data-field="provider">${providerOptions(row.provider)}</select></td>
+            <td><input type="text" data-field="model" value="${escapeAttr(row.model)}" placeholder="*"></td>
+            <td><input type="number" data-field="input" value="${row.input}" min="0" step="any"></td>
+            <td><input type="number" data-field="output" value="${row.output}" min="0" step="any"></td>
+            <td><button class="price-remove" title="Remove">✕</button></td>
+          </tr>
+        `).join('')}
+      </table>
+    `;
+  }
+
+  priceTable.addEventListener('input', (e) => {
+    const field = e.target.dataset.field;
+    const row = priceRows[e.target.closest('tr')?.dataset.index];
+    if (!field || !row) return;
+    row[field] = field === 'input' || field === 'output' ? parseFloat(e.target.value) : e.target.value.trim();
+  });
+
+  priceTable.addEventListener('click', (e) => {
+    if (!e.target.classList.contains('price-remove')) return;
+    priceRows.splice(Number(e.target.closest('tr').dataset.index), 1);
+    renderPriceTable();
+  });
+
+  addPriceBtn.addEventListener('click', () => {
+    priceRows.push({ provider: engineSelect.value, model: '*', input: 0, output: 0 });
+    renderPriceTable();
+  });
+
+  resetPricesBtn.addEventListener('click', async () => {
+    await usageTracker.resetPriceTable();
+    await loadUsage();
+    showUsageStatus('Default prices restored', 'success');
+  });
+
+  savePricesBtn.addEventListener('click', async () => {
+    const invalid = priceRows.find(row =>
+      !row.model || !Number.isFinite(row.input) || !Number.isFinite(row.output) || row.input < 0 || row.output < 0
+    );
+    if (invalid) {
+      showUsageStatus('Every row needs a model (or *) and non-negative prices', 'error');
+      return;
+    }
+
+    await usageTracker.setPriceTable(priceRows);
+    showUsageStatus('Prices saved! They apply to new translations.', 'success');
+  });
+
+  clearUsageBtn.addEventListener('click', async () => {
+    if (confirm('Clear all recorded usage?')) {
+      await usageTracker.clearUsage();
+      await loadUsage();
+    }
+  });
+
+  function showUsageStatus(message, type) {
+    usageStatus.textContent = message;
+    usageStatus.className = 'status ' + type;
+    setTimeout(() => usageStatus.className = 'status', 3000);
+  }
+
   function showStatus(message, type) {
     status.textContent = message;
     status.className = 'status ' + type;
@@ -0,0 +1,75 @@
+/**
+ * Alternative Translation Helpers
+ * In alternatives mode the model answers with several candidate translations,
+ * each with a short note on how it differs from the others, so the tooltip
+ * can offer a choice instead of a single rendering.
+ */
+
+import { normalizeLanguageCode, normalizeConfidence } from './detection.js';
+import { extractJson } from './json.js';
+
+export const MIN_ALTERNATIVES = 2;
+export const MAX_ALTERNATIVES = 4;
+
+/**
+ * @typedef {Object} Alternative
+ * @property {string} translation - Candidate translation
+ * @property {string} note - How it differs, e.g. "more literal"; may be empty
+ */
+
+/**
+ * @typedef {Object} AlternativesResult
+ * @property {Alternative[]} alternatives - Candidates in the model's order of preference
+ * @property {string|null} detectedLanguage - ISO 639 code of the source text when it was auto-detected
+ * @property {number|null} confidence - Detection confidence from 0 to 1, when the model gave one
+ */
+
+/**
+ * System prompt instructions asking for candidate translations as JSON
+ * @param {boolean} detect - Also ask for the source language, for an auto-detected source
+ * @returns {string}
+ */
+export function alternativesInstructions(detect) {
+  const detection = detect
+    ? '"detected_language": "<ISO 639-1 code of the source text>", "confidence": <number from 0 to 1>, '
+    : '';
+  return `Give ${MIN_ALTERNATIVES} to ${MAX_ALTERNATIVES} different translations, best first. ` +
+    'Each note says in a few words how that translation differs from the others, for example "more literal" ' +
+    'or "idiomatic, drops the pun". Reply with only a JSON object of the form ' +
+    `{${detection}"alternatives": [{"translation": "<a translation>", "note": "<short note>"}]}.`;
+}
+
+/**
+ * Read the candidates out of a model's answer
+ * Accepts the requested object or a bare array, optionally wrapped in a Markdown
+ * code fence. Answers that are not JSON are taken as a single plain translation.
+ * @param {string} text - Raw model output
+ * @returns {AlternativesResult}
+ */
+export function parseAlternatives(text) {
+  if (typeof text !== 'string') return { alternatives: [], detectedLanguage: null, confidence: null };
+
+  const data = extractJson(text, { arrays: true });
+
+  if (!data) {
+    const translation = text.trim();
+    return { alternatives: translation ? [{ translation, note: '' }] : [], detectedLanguage: null, confidence: null };
+  }
+
+  const candidates = Array.isArray(data) ? data : data.alternatives;
+  const alternatives = [];
+  for (const candidate of Array.isArray(candidates) ? candidates : []) {
+    const translation = typeof candidate === 'string' ? candidate : candidate?.translation;
+    if (typeof translation !== 'string' || !translation.trim()) continue;
+    // Candidates differing only in whitespace are the same answer
+    if (alternatives.some(existing => existing.translation.trim() === translation.trim())) continue;
+    const note = typeof candidate?.note === 'string' ? candidate.note.trim() : '';
+    alternatives.push({ translation, note });
+  }
+
+  return {
+    alternatives: alternatives.slice(0, MAX_ALTERNATIVES),
+    detectedLanguage: normalizeLanguageCode(data.detected_language ?? data.detectedLanguage),
+    confidence: normalizeConfidence(data.confidence)
+  };
+}
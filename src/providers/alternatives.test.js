@@ -0,0 +1,80 @@
+/**
+ * Tests for alternative translations
+ * Covers reading candidate answers, BaseProvider.translateAlternatives and the premium gate
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { parseAlternatives, alternativesInstructions, MAX_ALTERNATIVES } from './alternatives.js';
+import { MalformedResponseError } from './errors.js';
+import { StubProvider, stubFetch, requestBody } from './testProvider.js';
+import { FeatureGate } from '../utils/featureGate.js';
+
+describe('parseAlternatives', () => {
+  it('reads candidates, notes and the detected language', () => {
+    const answer = '```json\n{"detected_language": "de", "confidence": 0.9, "alternatives": [' +
+      '{"translation": "Break a leg", "note": "idiomatic"}, {"translation": "Neck and leg break", "note": "literal"}]}\n```';
+    expect(parseAlternatives(answer)).toEqual({
+      alternatives: [
+        { translation: 'Break a leg', note: 'idiomatic' },
+        { translation: 'Neck and leg break', note: 'literal' }
+      ],
+      detectedLanguage: 'de',
+      confidence: 0.9
+    });
+  });
+
+  it('drops empty and repeated candidates and keeps at most the maximum', () => {
+    const candidates = ['A', ' A ', '', 'B', 'C', 'D', 'E'].map(translation => ({ translation, note: 'n' }));
+    const { alternatives } = parseAlternatives(JSON.stringify(candidates));
+    expect(alternatives.map(alternative => alternative.translation)).toEqual(['A', 'B', 'C', 'D']);
+    expect(alternatives).toHaveLength(MAX_ALTERNATIVES);
+  });
+
+  it('takes a plain answer as a single candidate', () => {
+    expect(parseAlternatives(' Hello ').alternatives).toEqual([{ translation: 'Hello', note: '' }]);
+    expect(parseAlternatives('{"alternatives": []}').alternatives).toEqual([]);
+  });
+
+  it('only asks for the source language when it is auto-detected', () => {
+    expect(alternativesInstructions(true)).toContain('detected_language');
+    expect(alternativesInstructions(false)).not.toContain('detected_language');
+  });
+});
+
+describe('BaseProvider.translateAlternatives', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('asks for JSON candidates in one request', async () => {
+    const answer = { alternatives: [{ translation: 'Good morning', note: 'neutral' }, { translation: 'Morning!', note: 'casual' }] };
+    const fetchMock = stubFetch({ text: JSON.stringify(answer), usage: { inputTokens: 40, outputTokens: 30 } });
+
+    const provider = new StubProvider('key');
+    const result = await provider.translateAlternatives('Guten Morgen', 'de', 'en', 'neutral');
+
+    expect(result.alternatives).toEqual(answer.alternatives);
+    expect(provider.lastUsage).toEqual({ inputTokens: 40, outputTokens: 30 });
+    const body = requestBody(fetchMock);
+    expect(body).toMatchObject({ stream: false, json: true });
+    expect(body.prompt.system).toContain(alternativesInstructions(false));
+  });
+
+  it('fails when no candidate came back', async () => {
+    stubFetch({ text: '{"alternatives": []}' });
+
+    await expect(new StubProvider('key').translateAlternatives('Hallo', 'de', 'en', 'neutral'))
+      .rejects.toBeInstanceOf(MalformedResponseError);
+  });
+});
+
+describe('FeatureGate translation modes', () => {
+  it('keeps alternatives for premium users', () => {
+    const featureGate = new FeatureGate({ _cachedStatus: { isPremium: false } });
+    expect(featureGate.isModeAvailable('single', false)).toBe(true);
+    expect(featureGate.isModeAvailable('alternatives', false)).toBe(false);
+    expect(featureGate.isModeAvailable('alternatives', true)).toBe(true);
+    expect(featureGate.getAvailableModes(false).find(mode => mode.id === 'alternatives'))
+      .toMatchObject({ available: false, isPremium: true });
+  });
+});
@@ -0,0 +1,67 @@
+import { OpenAIProvider } from './openai.js';
+import { ConfigurationError } from './errors.js';
+
+/**
+ * Azure OpenAI Provider
+ * OpenAI models deployed in the customer's own Azure resource. Requests go
+ * to a named deployment on the resource endpoint and authenticate with an
+ * `api-key` header instead of a bearer token. The request body is OpenAI's,
+ * including max_completion_tokens, which o-series and gpt-5 deployments require
+ * (api-version 2024-09-01-preview and later accept it).
+ */
+export class AzureOpenAIProvider extends OpenAIProvider {
+  /**
+   * @param {string} apiKey - Key of the Azure OpenAI resource
+   * @param {Object} options
+   * @param {string} options.endpoint - Resource endpoint, e.g. https://contoso.openai.azure.com
+   * @param {string} options.deployment - Deployment name, which selects the model
+   * @param {string} [options.apiVersion] - Value of the api-version query parameter
+   */
+  constructor(apiKey, options = {}) {
+    super(apiKey, options);
+    if (!options.endpoint || !options.deployment) {
+      throw new ConfigurationError('Azure OpenAI is not configured. Please set the endpoint and deployment in the extension settings.');
+    }
+    const endpoint = options.endpoint.trim().replace(/\/+$/, '');
+    const apiVersion = options.apiVersion || AzureOpenAIProvider.defaultApiVersion;
+    this.baseUrl = `${endpoint}/openai/deployments/${encodeURIComponent(options.deployment)}/chat/completions` +
+      `?api-version=${encodeURIComponent(apiVersion)}`;
+    // Azure routes by deployment; its name stands in for the model in history and usage
+    this.model = options.deployment;
+  }
+
+  static get displayName() {
+    return 'Azure OpenAI';
+  }
+
+  static get id() {
+    return 'azure';
+  }
+
+  // Price and model depend on the deployment
+  static get capabilities() {
+    return { ...super.capabilities, vision: false, modelList: false, costTier: null };
+  }
+
+  static get defaultApiVersion() {
+    return '2024-10-21';
+  }
+
+  buildHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['api-key'] = this.apiKey;
+    }
+    return headers;
+  }
+
+  // Deployments are usually named after their model, e.g. "o3-mini" or "gpt-5-prod"
+  isReasoningModel() {
+    return /^(o\d|gpt-5)/i.test(this.model);
+  }
+
+  // Deployments are managed in the Azure portal, not listed through the data plane
+  async listModels() {
+    return [];
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * Tests for the Azure OpenAI provider
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getProvider } from './index.js';
+import { ConfigurationError } from './errors.js';
+
+describe('AzureOpenAIProvider', () => {
+  const settings = { endpoint: 'https://contoso.openai.azure.com/', deployment: 'gpt 4o' };
+
+  it('posts to the deployment with the api-version and an api-key header', () => {
+    const { url, headers } = getProvider('azure', 'key', settings).buildRequest({ system: '', user: 'Hallo' }, { stream: false });
+    expect(url).toBe('https://contoso.openai.azure.com/openai/deployments/gpt%204o/chat/completions?api-version=2024-10-21');
+    expect(headers).toEqual({ 'Content-Type': 'application/json', 'api-key': 'key' });
+  });
+
+  it('uses the configured api-version and names the deployment as the model', () => {
+    const provider = getProvider('azure', 'key', { ...settings, apiVersion: '2025-01-01-preview' });
+    expect(provider.baseUrl).toMatch(/\?api-version=2025-01-01-preview$/);
+    expect(provider.model).toBe('gpt 4o');
+  });
+
+  it('sends max_completion_tokens and gives reasoning deployments their full budget', () => {
+    const { body } = getProvider('azure', 'key', settings).buildRequest({ system: '', user: 'Hallo' }, { stream: false, maxTokens: 500 });
+    expect(body.max_completion_tokens).toBe(500);
+    expect(body).not.toHaveProperty('max_tokens');
+
+    const reasoning = getProvider('azure', 'key', { ...settings, deployment: 'o3-mini' });
+    expect(reasoning.isReasoningModel()).toBe(true);
+    expect(reasoning.outputTokensFor('Hallo')).toBe(reasoning.maxOutputTokens);
+  });
+
+  it('requires an endpoint and a deployment', () => {
+    expect(() => getProvider('azure', 'key', { endpoint: settings.endpoint })).toThrow(ConfigurationError);
+  });
+});
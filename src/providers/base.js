@@ -1,47 +1,690 @@
+import { ProviderError, NetworkError, MalformedResponseError, createProviderError } from './errors.js';
+import { DEFAULT_RETRY_POLICY, parseRetryAfter, parseRetryHint, parseRateLimits, computeBackoff, sleep } from './retry.js';
+import { estimateTranslationTokens, createBatchItems, planBatches, parseBatchTranslations } from './batch.js';
+import { DEFAULT_PROMPT_TEMPLATE, renderPrompt, renderTemplate, buildPromptVariables } from '../utils/prompts.js';
+import { findGlossaryMatches, formatGlossaryInstructions } from '../utils/glossary.js';
+import { DETECTION_INSTRUCTIONS, parseDetectedTranslation, extractStreamingTranslation } from './detection.js';
+import { MAX_ALTERNATIVES, alternativesInstructions, parseAlternatives } from './alternatives.js';
+import { DICTIONARY_MAX_TOKENS, buildDictionaryPrompt, parseDictionaryEntry } from './dictionary.js';
+import { buildExplanationPrompt, parseExplanation } from './explanation.js';
+import { DEFAULT_CAPABILITIES } from './capabilities.js';
+
+// Extra rounds translateBatch spends re-requesting segments a model left out
+const BATCH_MISSING_RETRIES = 2;
+
+// Room for the model's wording around the translation itself
+const RESPONSE_TOKEN_MARGIN = 256;
+
+// Output limit a single translation always gets: scripts such as Hindi, Thai
+// or Arabic take many tokens per character, and detection adds a JSON wrapper
+const TRANSLATE_MIN_OUTPUT_TOKENS = 2000;
+
 /**
  * Base AI Provider - Abstract class for all AI translation providers
  * Implements Strategy Pattern for easy provider switching
  */
 export class BaseProvider {
-  constructor(apiKey) {
+  /**
+   * @param {string} apiKey - API key for the vendor (may be empty for keyless providers)
+   * @param {Object} [options] - Provider-specific settings saved from the popup
+   */
+  constructor(apiKey, options = {}) {
     if (new.target === BaseProvider) {
       throw new Error('BaseProvider is abstract and cannot be instantiated directly');
     }
     this.apiKey = apiKey;
+    this.options = options;
+    /** @type {{inputTokens: number, outputTokens: number}|null} Tokens reported for the last translate or translateBatch call */
+    this.lastUsage = null;
+  }
+
+  /**
+   * Build the system and user messages for a translation from a prompt template
+   * With an auto-detected source language the system prompt asks for a JSON
+   * answer that also names the detected language, see detection.js.
+   * @param {string} text - Text to translate
+   * @param {string} sourceLang - Source language code
+   * @param {string} targetLang - Target language code
+   * @param {string} tone - Translation tone
+   * @param {Object} [options]
+   * @param {import('../utils/prompts.js').PromptTemplate} [options.template] - Defaults to DEFAULT_PROMPT_TEMPLATE
+   * @param {string} [options.context] - Text around the selection, for templates that use {context}
+   * @param {import('../utils/glossary.js').GlossaryEntry[]} [options.glossary] - Entries found in the text are added to the system prompt
+   * @param {import('../utils/tones.js').Tone[]} [options.customTones] - User tones, when tone is a custom tone id
+   * @returns {{system: string, user: string}}
+   */
+  buildPrompt(text, sourceLang, targetLang, tone, { template = DEFAULT_PROMPT_TEMPLATE, context, glossary, customTones } = {}) {
+    const prompt = renderPrompt(template, { text, sourceLang, targetLang, tone, customTones, context });
+    const withTerms = this.withGlossary(prompt, findGlossaryMatches(glossary, text, sourceLang, targetLang));
+    if (sourceLang !== 'auto') return withTerms;
+    return { ...withTerms, system: [withTerms.system, DETECTION_INSTRUCTIONS].filter(Boolean).join('\n\n') };
+  }
+
+  /**
+   * Build a prompt asking for several candidate translations with notes, see alternatives.js
+   * Takes the same arguments as buildPrompt; the answer format replaces the detection one.
+   * @returns {{system: string, user: string}}
+   */
+  buildAlternativesPrompt(text, sourceLang, targetLang, tone, { template = DEFAULT_PROMPT_TEMPLATE, context, glossary, customTones } = {}) {
+    const prompt = renderPrompt(template, { text, sourceLang, targetLang, tone, customTones, context });
+    const withTerms = this.withGlossary(prompt, findGlossaryMatches(glossary, text, sourceLang, targetLang));
+    const instructions = alternativesInstructions(sourceLang === 'auto');
+    return { ...withTerms, system: [withTerms.system, instructions].filter(Boolean).join('\n\n') };
+  }
+
+  /**
+   * Append glossary instructions to the system prompt
+   * @param {{system: string, user: string}} prompt
+   * @param {import('../utils/glossary.js').GlossaryEntry[]} matches - Entries that apply to the text
+   * @returns {{system: string, user: string}}
+   */
+  withGlossary(prompt, matches) {
+    const instructions = formatGlossaryInstructions(matches);
+    if (!instructions) return prompt;
+    return { ...prompt, system: [prompt.system, instructions].filter(Boolean).join('\n\n') };
+  }
+
+  /**
+   * Build a prompt asking for several segments at once, answered as JSON keyed by segment id
+   * The template's system prompt still applies; its user message is replaced by the batch instructions.
+   * @param {{id: string, text: string}[]} segments - Segments to translate
+   * @returns {{system: string, user: string}}
+   */
+  buildBatchPrompt(segments, sourceLang, targetLang, tone, { template = DEFAULT_PROMPT_TEMPLATE, glossary, customTones } = {}) {
+    const { system } = renderPrompt(template, { text: '', sourceLang, targetLang, tone, customTones });
+    const variables = buildPromptVariables({ text: '', sourceLang, targetLang, tone, customTones });
+    const instructions = renderTemplate(
+      'Translate the text of each segment in the JSON array below [[from {source} ]]to {target}.[[ {tone}]] ',
+      variables
+    );
+    const user = instructions +
+      'Translate every segment on its own and keep its id. Respond with only a JSON object mapping each id to its translation, ' +
+      `for example {"1": "...", "2": "..."}:\n\n${JSON.stringify(segments)}`;
+    const text = segments.map(segment => segment.text).join('\n');
+    return this.withGlossary({ system, user }, findGlossaryMatches(glossary, text, sourceLang, targetLang));
+  }
+
+  /**
+   * Most output tokens one request may ask for; override per vendor or model
+   * @returns {number}
+   */
+  get maxOutputTokens() {
+    return 4096;
+  }
+
+  /**
+   * Output token limit for a batch request translating the given text
+   * Single translations get at least TRANSLATE_MIN_OUTPUT_TOKENS on top of this.
+   * @param {string} text - All segments of the batch
+   * @returns {number}
+   */
+  outputTokensFor(text) {
+    // Reasoning models spend part of the limit thinking, so they get all of it
+    if (this.isReasoningModel()) {
+      return this.maxOutputTokens;
+    }
+    return Math.min(this.maxOutputTokens, estimateTranslationTokens(text) + RESPONSE_TOKEN_MARGIN);
+  }
+
+  /**
+   * Whether the configured model counts hidden reasoning against the output limit
+   * @returns {boolean}
+   */
+  isReasoningModel() {
+    return false;
+  }
+
+  /**
+   * Translate text
+   * When options.onChunk is given the response is streamed and the callback
+   * receives each text delta along with the translation accumulated so far.
+   * With sourceLang 'auto' the model answers in JSON mode (where the vendor has
+   * one) and the result names the language it detected.
+   * @param {string} text - Text to translate
+   * @param {string} sourceLang - Source language code
+   * @param {string} targetLang - Target language code
+   * @param {string} tone - Translation tone
+   * @param {Object} [options]
+   * @param {function(string, string): void} [options.onChunk] - Streaming callback (delta, translation)
+   * @param {number} [options.maxRetries] - Retry limit for rate-limited or failed requests
+   * @param {function(Object): void} [options.onRetry] - Called before each retry, see postWithRetry
+   * @param {AbortSignal} [options.signal] - Cancels the request, including retry waits and streaming
+   * @param {import('../utils/prompts.js').PromptTemplate} [options.template] - Prompt template, see buildPrompt
+   * @param {string} [options.context] - Text around the selection, see buildPrompt
+   * @param {import('../utils/glossary.js').GlossaryEntry[]} [options.glossary] - Glossary, see buildPrompt
+   * @param {import('../utils/tones.js').Tone[]} [options.customTones] - User tones, see buildPrompt
+   * @returns {Promise<import('./detection.js').TranslationResult>}
+   * @throws {ProviderError} A subclass from errors.js describing what went wrong
+   */
+  async translate(text, sourceLang, targetLang, tone, options = {}) {
+    const prompt = this.buildPrompt(text, sourceLang, targetLang, tone, options);
+    const stream = typeof options.onChunk === 'function';
+    const detect = sourceLang === 'auto';
+    const maxTokens = Math.max(Math.min(this.maxOutputTokens, TRANSLATE_MIN_OUTPUT_TOKENS), this.outputTokensFor(text));
+    const { url, headers, body } = this.buildRequest(prompt, { stream, json: detect, maxTokens });
+    const provider = this.constructor.id;
+    this.lastUsage = null;
+
+    const response = await this.postWithRetry(url, headers, body, options);
+
+    let output = '';
+    let truncated = false;
+    if (!stream) {
+      const data = await response.json().catch(() => {
+        throw new MalformedResponseError(`${this.constructor.displayName} sent a response that is not valid JSON`, { provider });
+      });
+      output = this.parseResponse(data);
+      this.recordUsage(data);
+      truncated = this.isLengthStop(data);
+    } else {
+      let shown = '';
+      try {
+        await this.readStream(response, (data) => {
+          const delta = this.parseStreamChunk(data);
+          this.recordUsage(data);
+          truncated ||= this.isLengthStop(data);
+          if (!delta) return;
+          output += delta;
+          // Only the translation inside a detection answer is passed on
+          const readable = detect ? extractStreamingTranslation(output) : output;
+          if (readable.length > shown.length && readable.startsWith(shown)) {
+            options.onChunk(readable.slice(shown.length), readable);
+            shown = readable;
+          }
+        });
+      } catch (error) {
+        if (error instanceof ProviderError || error.name === 'AbortError') throw error;
+        if (error instanceof SyntaxError) {
+          throw new MalformedResponseError(`${this.constructor.displayName} sent an unreadable stream`, { provider });
+        }
+        throw new NetworkError(`Lost connection to ${this.constructor.displayName}: ${error.message}`, { provider });
+      }
+    }
+
+    // A cut-off translation is never shown or saved; a fallback provider may finish it
+    if (truncated) {
+      throw this.createTruncatedError();
+    }
+
+    const result = detect
+      ? parseDetectedTranslation(output || '')
+      : { translation: output, detectedLanguage: null, confidence: null };
+    if (!result.translation) {
+      throw new MalformedResponseError(`${this.constructor.displayName} returned an empty translation`, { provider });
+    }
+    return result;
+  }
+
+  /**
+   * Translate text into several candidates, each with a note on how it differs
+   * The answer is always a single JSON response, never streamed.
+   * @param {string} text - Text to translate
+   * @param {string} sourceLang - Source language code
+   * @param {string} targetLang - Target language code
+   * @param {string} tone - Translation tone
+   * @param {Object} [options] - Same as translate, without onChunk
+   * @returns {Promise<import('./alternatives.js').AlternativesResult>}
+   * @throws {ProviderError} A subclass from errors.js describing what went wrong
+   */
+  async translateAlternatives(text, sourceLang, targetLang, tone, options = {}) {
+    const prompt = this.buildAlternativesPrompt(text, sourceLang, targetLang, tone, options);
+    const output = await this.completeJson(
+      prompt,
+      estimateTranslationTokens(text) * MAX_ALTERNATIVES + RESPONSE_TOKEN_MARGIN * 2,
+      options
+    );
+
+    const result = parseAlternatives(output);
+    if (result.alternatives.length === 0) {
+      throw new MalformedResponseError(`${this.constructor.displayName} returned no translations`, {
+        provider: this.constructor.id
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Look up a word or short phrase: senses with glosses, examples and collocations
+   * @param {string} text - One to three words, see isDictionaryLookup
+   * @param {string} sourceLang - Source language code, or 'auto'
+   * @param {string} targetLang - Language of glosses and definitions
+   * @param {Object} [options] - Retry and cancel options, see postWithRetry
+   * @returns {Promise<import('./dictionary.js').DictionaryEntry>}
+   * @throws {ProviderError} A subclass from errors.js describing what went wrong
+   */
+  async lookupWord(text, sourceLang, targetLang, options = {}) {
+    const output = await this.completeJson(buildDictionaryPrompt(text, sourceLang, targetLang), DICTIONARY_MAX_TOKENS, options);
+
+    const entry = parseDictionaryEntry(output, text);
+    if (!entry) {
+      throw new MalformedResponseError(`${this.constructor.displayName} returned no dictionary entry`, {
+        provider: this.constructor.id
+      });
+    }
+    return entry;
+  }
+
+  /**
+   * Break a translation down into aligned phrases with grammar and idiom notes
+   * @param {string} text - Original text
+   * @param {string} translation - Translation to explain
+   * @param {string} sourceLang - Source language code, or 'auto'
+   * @param {string} targetLang - Target language code; the notes are written in it
+   * @param {Object} [options] - Retry and cancel options, see postWithRetry
+   * @returns {Promise<import('./explanation.js').Explanation>}
+   * @throws {ProviderError} A subclass from errors.js describing what went wrong
+   */
+  async explainTranslation(text, translation, sourceLang, targetLang, options = {}) {
+    const prompt = buildExplanationPrompt(text, translation, sourceLang, targetLang);
+    // Each phrase comes back twice plus a note
+    const output = await this.completeJson(prompt, estimateTranslationTokens(text) * 3 + RESPONSE_TOKEN_MARGIN * 2, options);
+
+    const explanation = parseExplanation(output);
+    if (!explanation) {
+      throw new MalformedResponseError(`${this.constructor.displayName} returned no explanation`, {
+        provider: this.constructor.id
+      });
+    }
+    return explanation;
+  }
+
+  /**
+   * Send a prompt that expects a JSON answer and return the model's text
+   * Never streamed; lastUsage covers this request alone.
+   * @param {{system: string, user: string}} prompt
+   * @param {number} maxTokens - Output limit, raised to the whole budget for reasoning models
+   * @param {Object} [options] - Retry and cancel options, see postWithRetry
+   * @returns {Promise<string>}
+   */
+  async completeJson(prompt, maxTokens, options = {}) {
+    const limit = this.isReasoningModel() ? this.maxOutputTokens : Math.min(this.maxOutputTokens, maxTokens);
+    const { url, headers, body } = this.buildRequest(prompt, { stream: false, json: true, maxTokens: limit });
+    this.lastUsage = null;
+
+    const response = await this.postWithRetry(url, headers, body, options);
+    const data = await response.json().catch(() => {
+      throw new MalformedResponseError(`${this.constructor.displayName} sent a response that is not valid JSON`, {
+        provider: this.constructor.id
+      });
+    });
+    this.recordUsage(data);
+    if (this.isLengthStop(data)) {
+      throw this.createTruncatedError();
+    }
+    return this.parseResponse(data) || '';
+  }
+
+  /**
+   * Translate many segments with as few requests as the provider's token budget allows
+   * Segments are sent as JSON with stable ids and the model answers with JSON keyed
+   * by id. Segments missing from an answer are requested again on their own batch,
+   * up to BATCH_MISSING_RETRIES more rounds.
+   * @param {Array<string|{id: string|number, text: string}>} segments - Plain strings get ids from their position
+   * @param {Object} [options]
+   * @param {string} [options.sourceLang] - Source language code, 'auto' by default
+   * @param {string} options.targetLang - Target language code
+   * @param {string} [options.tone] - Translation tone
+   * @param {import('../utils/prompts.js').PromptTemplate} [options.template] - Supplies the system prompt
+   * @param {import('../utils/glossary.js').GlossaryEntry[]} [options.glossary] - Entries found in a batch are added to its prompt
+   * @param {import('../utils/tones.js').Tone[]} [options.customTones] - User tones, see buildPrompt
+   * @param {number} [options.maxRetries] - Retry limit per request, see postWithRetry
+   * @param {function(Object): void} [options.onRetry] - Called before each retry, see postWithRetry
+   * @param {AbortSignal} [options.signal] - Cancels the remaining requests
+   * @param {function(number, number): void} [options.onProgress] - Called with (translated, total) after each request
+   * @returns {Promise<string[]>} - Translations in the same order as the segments
+   * @throws {MalformedResponseError} When some segments are still missing after the last round
+   */
+  async translateBatch(segments, options = {}) {
+    const { sourceLang = 'auto', targetLang, tone, onProgress } = options;
+    const items = createBatchItems(segments);
+    this.lastUsage = null;
+
+    // Blank segments need no model to translate them
+    const results = new Map();
+    items.filter(item => !item.text?.trim()).forEach(item => results.set(item.id, item.text || ''));
+
+    let pending = items.filter(item => !results.has(item.id));
+    for (let round = 0; pending.length > 0; round++) {
+      if (round > BATCH_MISSING_RETRIES) {
+        throw new MalformedResponseError(
+          `${this.constructor.displayName} left ${pending.length} of ${items.length} segments untranslated`,
+          { provider: this.constructor.id }
+        );
+      }
+
+      for (const batch of planBatches(pending, this.maxOutputTokens - RESPONSE_TOKEN_MARGIN)) {
+        const translations = await this.requestBatch(batch, sourceLang, targetLang, tone, options);
+        for (const item of batch) {
+          const translation = translations[item.id];
+          if (typeof translation === 'string' && translation.trim()) {
+            results.set(item.id, translation);
+          }
+        }
+        onProgress?.(results.size, items.length);
+      }
+
+      pending = pending.filter(item => !results.has(item.id));
+    }
+
+    return items.map(item => results.get(item.id));
   }
 
   /**
-   * Build translation prompt with tone instructions
+   * Send one batch and read the id → translation map from the answer
+   * @param {{id: string, text: string}[]} batch - Segments that fit one request
+   * @returns {Promise<Object<string, string>>} - Possibly incomplete; missing ids are retried by the caller
    */
-  buildPrompt(text, sourceLang, targetLang, tone) {
-    const langNames = {
-      auto: 'auto-detect', en: 'English', id: 'Indonesian', zh: 'Chinese',
-      ja: 'Japanese', ko: 'Korean', es: 'Spanish', fr: 'French',
-      de: 'German', pt: 'Portuguese', ru: 'Russian', ar: 'Arabic',
-      hi: 'Hindi', th: 'Thai', vi: 'Vietnamese'
+  async requestBatch(batch, sourceLang, targetLang, tone, options) {
+    const prompt = this.buildBatchPrompt(batch, sourceLang, targetLang, tone, options);
+    const maxTokens = this.outputTokensFor(batch.map(item => item.text).join('\n'));
+    const { url, headers, body } = this.buildRequest(prompt, { stream: false, json: true, maxTokens });
+
+    const response = await this.postWithRetry(url, headers, body, options);
+    const data = await response.json().catch(() => {
+      throw new MalformedResponseError(`${this.constructor.displayName} sent a response that is not valid JSON`, {
+        provider: this.constructor.id
+      });
+    });
+
+    // Batches add up, unlike stream events which repeat running totals
+    const usage = this.parseUsage(data);
+    if (usage) {
+      this.lastUsage = {
+        inputTokens: (this.lastUsage?.inputTokens || 0) + (usage.inputTokens || 0),
+        outputTokens: (this.lastUsage?.outputTokens || 0) + (usage.outputTokens || 0)
+      };
+    }
+    return parseBatchTranslations(this.parseResponse(data));
+  }
+
+  /**
+   * Whether a response body or stream event says the output hit the token limit; override per vendor
+   * @param {Object} data - Parsed response body or stream payload
+   * @returns {boolean}
+   */
+  isLengthStop(data) {
+    return false;
+  }
+
+  /**
+   * Error for an answer cut off at the output token limit
+   * @returns {MalformedResponseError}
+   */
+  createTruncatedError() {
+    return new MalformedResponseError(
+      `${this.constructor.displayName} stopped at its output limit before finishing the translation`,
+      { provider: this.constructor.id }
+    );
+  }
+
+  /**
+   * Read token usage from a response body or stream event; override per vendor
+   * Stream events may report only one of the counts, or running totals.
+   * @param {Object} data - Parsed response body or stream payload
+   * @returns {{inputTokens?: number, outputTokens?: number}|null}
+   */
+  parseUsage(data) {
+    return null;
+  }
+
+  /**
+   * Update lastUsage from a response body or stream event
+   * Counts missing from the event keep their earlier value.
+   * @param {Object} data - Parsed response body or stream payload
+   */
+  recordUsage(data) {
+    const usage = this.parseUsage(data);
+    if (!usage) return;
+    this.lastUsage = {
+      inputTokens: usage.inputTokens ?? this.lastUsage?.inputTokens ?? 0,
+      outputTokens: usage.outputTokens ?? this.lastUsage?.outputTokens ?? 0
     };
+  }
+
+  /**
+   * POST a JSON body, retrying rate-limited (429), failed (5xx) and unreachable requests
+   * Waits as long as the server asks via Retry-After or its error body, otherwise
+   * backs off exponentially with jitter. Waits longer than the policy's maxDelay
+   * (e.g. an exhausted daily quota) fail straight away so a fallback can take over.
+   * @param {string} url - Request URL
+   * @param {Object} headers - Request headers
+   * @param {Object} body - JSON request body
+   * @param {Object} [options]
+   * @param {number} [options.maxRetries] - Overrides DEFAULT_RETRY_POLICY.maxRetries
+   * @param {function({attempt: number, maxRetries: number, delay: number, error: ProviderError}): void} [options.onRetry]
+   * @param {AbortSignal} [options.signal] - Aborts the request and any pending retry
+   * @returns {Promise<Response>} - A successful response
+   * @throws {ProviderError} When the request fails and retries are exhausted
+   * @throws {DOMException} AbortError when the signal aborts
+   */
+  async postWithRetry(url, headers, body, { maxRetries, onRetry, signal } = {}) {
+    const policy = { ...DEFAULT_RETRY_POLICY };
+    if (Number.isInteger(maxRetries) && maxRetries >= 0) {
+      policy.maxRetries = maxRetries;
+    }
+    const provider = this.constructor.id;
+
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      let error = null;
+      let retryAfter = null;
+
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(body),
+          signal
+        });
+      } catch (fetchError) {
+        if (fetchError.name === 'AbortError') {
+          throw fetchError;
+        }
+        const reason = fetchError.name === 'TimeoutError' ? 'the request timed out' : fetchError.message;
+        error = new NetworkError(`Could not reach ${this.constructor.displayName}: ${reason}`, { provider });
+      }
+
+      if (response?.ok) {
+        return response;
+      }
+
+      if (response) {
+        const errorBody = await this.readErrorBody(response);
+        error = this.createResponseError(response, errorBody);
+        retryAfter = parseRetryAfter(response.headers) ?? parseRetryHint(errorBody);
+      }
+
+      if (!error.retryable || attempt >= policy.maxRetries) {
+        throw error;
+      }
+
+      const delay = retryAfter ?? computeBackoff(attempt, policy);
+      if (delay > policy.maxDelay) {
+        throw error;
+      }
+
+      onRetry?.({ attempt: attempt + 1, maxRetries: policy.maxRetries, delay, error });
+      await sleep(delay, signal);
+    }
+  }
+
+  /**
+   * Build the HTTP request for a prompt - must be implemented by subclasses
+   * The system message should go wherever the vendor expects one (a system role,
+   * Gemini's systemInstruction, Claude's system field) and be left out when empty.
+   * @param {{system: string, user: string}} prompt - Prompt produced by buildPrompt or buildBatchPrompt
+   * @param {Object} options
+   * @param {boolean} options.stream - Whether a streamed (SSE) response is wanted
+   * @param {boolean} [options.json] - Ask for a JSON answer, using the vendor's JSON mode if it has one
+   * @param {number} [options.maxTokens] - Output token limit for this request
+   * @returns {{url: string, headers: Object, body: Object}}
+   */
+  buildRequest(prompt, { stream, json, maxTokens }) {
+    throw new Error("Method 'buildRequest' must be implemented by subclass");
+  }
+
+  /**
+   * Extract the translation from a complete JSON response - must be implemented by subclasses
+   * @param {Object} data - Parsed response body
+   * @returns {string|undefined}
+   */
+  parseResponse(data) {
+    throw new Error("Method 'parseResponse' must be implemented by subclass");
+  }
+
+  /**
+   * Extract the text delta from one streamed event - must be implemented by subclasses
+   * @param {Object} data - Parsed `data:` payload of a server-sent event
+   * @returns {string|undefined}
+   */
+  parseStreamChunk(data) {
+    throw new Error("Method 'parseStreamChunk' must be implemented by subclass");
+  }
+
+  /**
+   * List model ids the configured account or server can use
+   * Providers without a listing endpoint return an empty array.
+   * @returns {Promise<string[]>}
+   */
+  async listModels() {
+    return [];
+  }
+
+  /**
+   * Check the key and settings with the smallest authenticated request
+   * A tiny completion rather than a model listing: listings succeed for
+   * accounts without credit and carry no rate-limit headers.
+   * @returns {Promise<{rateLimits: import('./retry.js').RateLimits|null}>}
+   * @throws {ProviderError} A subclass from errors.js describing what is wrong, without retries
+   */
+  async testConnection() {
+    const { url, headers, body } = this.buildRequest({ system: '', user: 'Hi' }, { stream: false, maxTokens: 5 });
+    const response = await this.postWithRetry(url, headers, body, { maxRetries: 0 });
+    return { rateLimits: parseRateLimits(response.headers) };
+  }
+
+  /**
+   * GET a JSON document from the vendor API, throwing on HTTP errors
+   * @param {string} url - Request URL
+   * @param {Object} [headers] - Request headers
+   * @returns {Promise<Object>}
+   */
+  async getJson(url, headers = {}) {
+    let response;
+    try {
+      response = await fetch(url, { headers });
+    } catch (fetchError) {
+      throw new NetworkError(`Could not reach ${this.constructor.displayName}: ${fetchError.message}`, {
+        provider: this.constructor.id
+      });
+    }
+    if (!response.ok) {
+      throw this.createResponseError(response, await this.readErrorBody(response));
+    }
+    return response.json().catch(() => {
+      throw new MalformedResponseError(`${this.constructor.displayName} sent a response that is not valid JSON`, {
+        provider: this.constructor.id
+      });
+    });
+  }
+
+  /**
+   * Read the body of a failed response
+   * Gateways and proxies often answer with HTML or plain text rather than JSON;
+   * short plain text is kept as the error message, anything else is dropped.
+   * @param {Response} response - Non-ok fetch response
+   * @returns {Promise<Object>} - Parsed body, `{}` when nothing useful was sent
+   */
+  async readErrorBody(response) {
+    const text = (await response.text().catch(() => '')).trim();
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text && text.length <= 200 && !text.startsWith('<') ? { error: { message: text } } : {};
+    }
+  }
+
+  /**
+   * Turn a failed response into the matching ProviderError subclass
+   * @param {Response} response - Non-ok fetch response
+   * @param {Object} body - Body from readErrorBody
+   * @returns {ProviderError}
+   */
+  createResponseError(response, body) {
+    const message = (typeof body.error === 'string' ? body.error : body.error?.message) ||
+      `${this.constructor.displayName} API error (${response.status})`;
+    return createProviderError(message, { provider: this.constructor.id, status: response.status, body });
+  }
+
+  /**
+   * Read a streamed response body; SSE by default, override for other framings
+   * @param {Response} response - Fetch response with a streaming body
+   * @param {function(Object): void} onData - Called for every parsed payload
+   * @returns {Promise<void>}
+   */
+  async readStream(response, onData) {
+    return this.readEventStream(response, onData);
+  }
+
+  /**
+   * Read a server-sent events body and hand each JSON `data:` payload to onData
+   * Stops at the OpenAI-style `[DONE]` sentinel or at the end of the body; the body
+   * is cancelled however reading ends, including when onData throws.
+   * @param {Response} response - Fetch response with a streaming body
+   * @param {function(Object): void} onData - Called for every parsed payload
+   * @returns {Promise<void>}
+   */
+  async readEventStream(response, onData) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
 
-    const toneInstructions = {
-      neutral: '',
-      formal: 'Use formal and polite language.',
-      casual: 'Use casual and relaxed language.',
-      friendly: 'Use warm and friendly language.',
-      professional: 'Use professional business language.',
-      academic: 'Use academic and scholarly language.',
-      simple: 'Use simple words that are easy to understand.'
+    const handleLine = (line) => {
+      if (!line.startsWith('data:')) return true;
+      const payload = line.slice(5).trim();
+      if (!payload) return true;
+      if (payload === '[DONE]') return false;
+
+      let data;
+      try {
+        data = JSON.parse(payload);
+      } catch {
+        // Ignore keep-alive comments and partial garbage
+        return true;
+      }
+      onData(data);
+      return true;
     };
 
-    const sourceLabel = sourceLang === 'auto' ? '' : `from ${langNames[sourceLang]} `;
-    const toneLabel = tone && tone !== 'neutral' ? ` ${toneInstructions[tone]}` : '';
-    
-    return `Translate the following text ${sourceLabel}to ${langNames[targetLang]}.${toneLabel} Only respond with the translation, nothing else:\n\n${text}`;
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          if (!handleLine(line)) return;
+        }
+      }
+
+      buffer += decoder.decode();
+      if (buffer) handleLine(buffer);
+    } finally {
+      // A failed read already errored the body; keep that error rather than the cancel's
+      await reader.cancel().catch(() => {});
+    }
   }
 
   /**
-   * Translate text - must be implemented by subclasses
+   * What the provider can handle; the background worker and the UI adapt to it
+   * Subclasses spread `super.capabilities` and override what differs.
+   * @returns {import('./capabilities.js').ProviderCapabilities}
    */
-  async translate(text, sourceLang, targetLang, tone) {
-    throw new Error("Method 'translate' must be implemented by subclass");
+  static get capabilities() {
+    return { ...DEFAULT_CAPABILITIES };
   }
 
   /**
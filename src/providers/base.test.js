@@ -0,0 +1,53 @@
+/**
+ * Tests for BaseProvider.readEventStream, the server-sent events reader most providers stream through
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { StubProvider, chunkedResponse } from './testProvider.js';
+
+describe('BaseProvider.readEventStream', () => {
+  const read = async (pieces, onCancel) => {
+    const payloads = [];
+    await new StubProvider('key').readEventStream(chunkedResponse(pieces, onCancel), data => payloads.push(data));
+    return payloads;
+  };
+
+  it('joins events split across chunks', async () => {
+    expect(await read(['da', 'ta: {"delta": "Go', 'od"}\n', '\ndata: {"delta": " morning"}\n\n'])).toEqual([
+      { delta: 'Good' },
+      { delta: ' morning' }
+    ]);
+  });
+
+  it('reads CRLF line endings, even when a chunk ends between CR and LF', async () => {
+    expect(await read(['data: {"n": 1}\r', '\n\r\ndata: {"n": 2}\r\n\r\n'])).toEqual([{ n: 1 }, { n: 2 }]);
+  });
+
+  it('reads a last event without a trailing newline', async () => {
+    expect(await read(['data: {"n": 1}'])).toEqual([{ n: 1 }]);
+  });
+
+  it('skips comments, keep-alives and other fields', async () => {
+    const pieces = [': keep-alive\n\n', 'event: message\nid: 7\ndata: {"n": 1}\n\n', 'data:\n\n', 'retry: 1000\n'];
+    expect(await read(pieces)).toEqual([{ n: 1 }]);
+  });
+
+  it('stops at [DONE] and cancels the rest of the body', async () => {
+    const onCancel = vi.fn();
+    const payloads = await read(['data: {"n": 1}\n\ndata: [DONE]\n\n', 'data: {"n": 2}\n\n'], onCancel);
+
+    expect(payloads).toEqual([{ n: 1 }]);
+    expect(onCancel).toHaveBeenCalledTimes(1);
+  });
+
+  it('cancels the body when onData throws', async () => {
+    const onCancel = vi.fn();
+    const response = chunkedResponse(['data: {"n": 1}\n\n', 'data: {"n": 2}\n\n'], onCancel);
+    const onData = () => {
+      throw new Error('bad payload');
+    };
+
+    await expect(new StubProvider('key').readEventStream(response, onData)).rejects.toThrow('bad payload');
+    expect(onCancel).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Batch Translation Helpers
+ * Token estimates, batch planning and parsing of the JSON a model returns
+ * when several segments are translated in one request
+ */
+
+import { extractJson } from './json.js';
+
+// Scripts written without spaces, where a token covers roughly one character
+const DENSE_SCRIPT_PATTERN = /[\u0E00-\u0E7F\u3040-\u30FF\u3400-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF]/g;
+
+// Per-segment cost of the id, quotes and separators in the JSON answer
+const SEGMENT_OVERHEAD_TOKENS = 8;
+
+/**
+ * Roughly estimate how many tokens a text uses
+ * About four characters per token for space-separated scripts, one per
+ * character for Chinese, Japanese, Korean and Thai. Errs on the high side.
+ * @param {string} text - Any text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  const denseChars = (text.match(DENSE_SCRIPT_PATTERN) || []).length;
+  return denseChars + Math.ceil((text.length - denseChars) / 4);
+}
+
+/**
+ * Estimate the output tokens a translation of the text may need
+ * Translations into a denser script can take up to twice the tokens.
+ * @param {string} text - Source text
+ * @returns {number}
+ */
+export function estimateTranslationTokens(text) {
+  return estimateTokens(text) * 2 + SEGMENT_OVERHEAD_TOKENS;
+}
+
+/**
+ * Give every segment of a batch translation a string id
+ * @param {Array<string|{id: string|number, text: string}>} segments - Plain strings get ids from their position
+ * @returns {{id: string, text: string}[]}
+ * @throws {Error} When two segments share an id
+ */
+export function createBatchItems(segments) {
+  const items = segments.map((segment, index) => (
+    typeof segment === 'string'
+      ? { id: String(index + 1), text: segment }
+      : { id: String(segment.id), text: segment.text }
+  ));
+  if (new Set(items.map(item => item.id)).size !== items.length) {
+    throw new Error('Batch segment ids must be unique');
+  }
+  return items;
+}
+
+/**
+ * Split segments into consecutive batches whose estimated output fits the budget
+ * A segment too large for the budget on its own gets a batch to itself.
+ * @param {{id: string, text: string}[]} segments - Segments in order
+ * @param {number} tokenBudget - Output tokens available per request
+ * @returns {{id: string, text: string}[][]}
+ */
+export function planBatches(segments, tokenBudget) {
+  const batches = [];
+  let current = [];
+  let used = 0;
+
+  for (const segment of segments) {
+    const cost = estimateTranslationTokens(segment.text);
+    if (current.length > 0 && used + cost > tokenBudget) {
+      batches.push(current);
+      current = [];
+      used = 0;
+    }
+    current.push(segment);
+    used += cost;
+  }
+
+  if (current.length > 0) {
+    batches.push(current);
+  }
+  return batches;
+}
+
+/**
+ * Read the id → translation map out of a model's answer
+ * Accepts an object keyed by id or an array of `{id, translation}`, optionally
+ * wrapped in a Markdown code fence or surrounded by chatter. Unreadable answers
+ * yield an empty map so that every segment counts as missing.
+ * @param {string} text - Raw model output
+ * @returns {Object<string, string>}
+ */
+export function parseBatchTranslations(text) {
+  if (typeof text !== 'string') return {};
+
+  const data = extractJson(text, { arrays: true });
+  if (data === null) return {};
+
+  const entries = Array.isArray(data)
+    ? data.map(entry => [entry?.id, entry?.translation])
+    : Object.entries(data?.translations && typeof data.translations === 'object' ? data.translations : data || {});
+
+  const translations = {};
+  for (const [id, translation] of entries) {
+    if (id !== undefined && id !== null && typeof translation === 'string') {
+      translations[String(id)] = translation;
+    }
+  }
+  return translations;
+}
@@ -0,0 +1,162 @@
+/**
+ * Tests for batch translation
+ * Covers token estimates, batch planning, answer parsing, BaseProvider.translateBatch and
+ * the output limit of single translations
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import { estimateTokens, estimateTranslationTokens, planBatches, parseBatchTranslations } from './batch.js';
+import { getProvider } from './index.js';
+import { MalformedResponseError } from './errors.js';
+import { StubProvider, stubFetch, sseResponse, requestBody } from './testProvider.js';
+
+describe('estimateTokens', () => {
+  it('counts about four Latin characters per token', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens('abcd')).toBe(1);
+    expect(estimateTokens('Hello world')).toBe(3);
+  });
+
+  it('counts one token per character for dense scripts', () => {
+    expect(estimateTokens('你好世界')).toBe(4);
+    expect(estimateTokens('こんにちは')).toBe(5);
+    expect(estimateTokens('안녕')).toBe(2);
+  });
+});
+
+describe('planBatches', () => {
+  const segmentsArb = fc.array(
+    fc.record({ id: fc.uuid(), text: fc.string({ maxLength: 200 }) }),
+    { maxLength: 40 }
+  );
+
+  it('keeps every segment, in order', () => {
+    fc.assert(
+      fc.property(segmentsArb, fc.integer({ min: 1, max: 500 }), (segments, budget) => {
+        expect(planBatches(segments, budget).flat()).toEqual(segments);
+      })
+    );
+  });
+
+  it('only exceeds the budget with a single oversized segment', () => {
+    fc.assert(
+      fc.property(segmentsArb, fc.integer({ min: 1, max: 500 }), (segments, budget) => {
+        for (const batch of planBatches(segments, budget)) {
+          const cost = batch.reduce((total, segment) => total + estimateTranslationTokens(segment.text), 0);
+          expect(cost <= budget || batch.length === 1).toBe(true);
+        }
+      })
+    );
+  });
+});
+
+describe('parseBatchTranslations', () => {
+  it('reads an object keyed by id', () => {
+    expect(parseBatchTranslations('{"1": "Halo", "2": "Dunia"}')).toEqual({ 1: 'Halo', 2: 'Dunia' });
+  });
+
+  it('reads an array of {id, translation} and a translations wrapper', () => {
+    expect(parseBatchTranslations('[{"id": 1, "translation": "Halo"}]')).toEqual({ 1: 'Halo' });
+    expect(parseBatchTranslations('{"translations": {"a": "Halo"}}')).toEqual({ a: 'Halo' });
+  });
+
+  it('strips code fences and chatter around the JSON', () => {
+    expect(parseBatchTranslations('Here you go:\n```json\n{"1": "Halo"}\n```')).toEqual({ 1: 'Halo' });
+  });
+
+  it('returns an empty map for unreadable answers', () => {
+    expect(parseBatchTranslations('Sorry, I cannot help.')).toEqual({});
+    expect(parseBatchTranslations('{"1": "Halo"')).toEqual({});
+    expect(parseBatchTranslations(undefined)).toEqual({});
+  });
+});
+
+describe('BaseProvider.translateBatch', () => {
+  const segmentsIn = (init) => JSON.parse(JSON.parse(init.body).prompt.user.split('\n\n').pop());
+
+  const respondWith = (answer) => stubFetch(init => ({ text: answer(segmentsIn(init)) }));
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('returns translations in segment order and skips blank segments', async () => {
+    const fetchMock = respondWith(segments => JSON.stringify(
+      Object.fromEntries(segments.map(segment => [segment.id, segment.text.toUpperCase()]))
+    ));
+
+    const result = await new StubProvider('key').translateBatch(['one', ' ', 'two'], { targetLang: 'id' });
+
+    expect(result).toEqual(['ONE', ' ', 'TWO']);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(requestBody(fetchMock).json).toBe(true);
+  });
+
+  it('requests only the segments missing from an answer', async () => {
+    let call = 0;
+    const fetchMock = respondWith(segments => {
+      call++;
+      // The first answer drops the second segment
+      const answered = call === 1 ? segments.filter(segment => segment.id !== 'b') : segments;
+      return JSON.stringify(Object.fromEntries(answered.map(segment => [segment.id, `${segment.text}!`])));
+    });
+
+    const result = await new StubProvider('key').translateBatch(
+      [{ id: 'a', text: 'x' }, { id: 'b', text: 'y' }, { id: 'c', text: 'z' }],
+      { targetLang: 'id' }
+    );
+
+    expect(result).toEqual(['x!', 'y!', 'z!']);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(segmentsIn(fetchMock.mock.calls[1][1])).toEqual([{ id: 'b', text: 'y' }]);
+  });
+
+  it('gives up when segments stay missing', async () => {
+    respondWith(() => '{}');
+
+    await expect(new StubProvider('key').translateBatch(['one'], { targetLang: 'id' }))
+      .rejects.toBeInstanceOf(MalformedResponseError);
+  });
+
+  it('rejects duplicate ids', async () => {
+    await expect(new StubProvider('key').translateBatch(
+      [{ id: 1, text: 'a' }, { id: '1', text: 'b' }],
+      { targetLang: 'id' }
+    )).rejects.toThrow('unique');
+  });
+});
+
+describe('single translation output limit', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('gives short texts at least 2000 output tokens', async () => {
+    const fetchMock = stubFetch({ choices: [{ message: { content: 'Halo' }, finish_reason: 'stop' }] });
+
+    await getProvider('openai', 'key').translate('Hello', 'en', 'id', 'neutral');
+
+    expect(requestBody(fetchMock).max_completion_tokens).toBeGreaterThanOrEqual(2000);
+  });
+
+  it('refuses translations cut off at the output limit', async () => {
+    stubFetch({ choices: [{ message: { content: 'Halo du' }, finish_reason: 'length' }] });
+    await expect(getProvider('openai', 'key').translate('Hello', 'en', 'id', 'neutral'))
+      .rejects.toBeInstanceOf(MalformedResponseError);
+
+    stubFetch(() => sseResponse([
+      { candidates: [{ content: { parts: [{ text: 'Halo' }] } }] },
+      { candidates: [{ content: { parts: [{ text: ' du' }] }, finishReason: 'MAX_TOKENS' }] }
+    ]));
+    await expect(getProvider('gemini', 'key').translate('Hello', 'en', 'id', 'neutral', { onChunk: () => {} }))
+      .rejects.toBeInstanceOf(MalformedResponseError);
+
+    stubFetch(() => sseResponse([
+      { type: 'content_block_delta', delta: { text: 'Halo' } },
+      { type: 'message_delta', delta: { stop_reason: 'max_tokens' } }
+    ]));
+    await expect(getProvider('claude', 'key').translate('Hello', 'en', 'id', 'neutral', { onChunk: () => {} }))
+      .rejects.toBeInstanceOf(MalformedResponseError);
+  });
+});
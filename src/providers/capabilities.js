@@ -0,0 +1,112 @@
+/**
+ * Provider Capabilities
+ * What a provider can handle, declared as a static `capabilities` descriptor
+ * on each provider class. The background worker, the popup and the tooltip
+ * read it to offer only what the selected provider supports.
+ */
+
+import { LANGUAGES } from '../utils/constants.js';
+
+/**
+ * @typedef {Object} ProviderCapabilities
+ * @property {boolean} tones - Follows every tone, custom tones included
+ * @property {boolean} formality - Can switch between formal and informal language
+ * @property {boolean} glossary - Applies glossary entries to the translation
+ * @property {boolean} batch - Translates many segments per request
+ * @property {boolean} prompts - Answers free-form prompts: templates, alternatives, word lookups, explanations
+ * @property {number|null} maxInputCharacters - Longest text one translation takes; null when the server decides
+ * @property {string[]|null} languages - Codes from LANGUAGES it translates between; null for all of them
+ * @property {boolean} streaming - Shows the translation while it is written
+ * @property {boolean} jsonMode - Has a JSON answer mode; otherwise only the prompt asks for JSON
+ * @property {boolean} vision - The default model reads images
+ * @property {boolean} modelList - The model is picked from the list listModels returns; otherwise the settings name it, or there is none
+ * @property {'required'|'optional'|'none'} keyRequirement - 'optional' for self-hosted endpoints, 'none' for local servers
+ * @property {'local'|'low'|'medium'|'high'|null} costTier - Rough price with the default model; null when it depends on the setup
+ */
+
+// Language models: every feature, about two characters of text per output
+// token (see estimateTranslationTokens) within the default 4096-token limit
+export const DEFAULT_CAPABILITIES = Object.freeze({
+  tones: true,
+  formality: true,
+  glossary: true,
+  batch: true,
+  prompts: true,
+  maxInputCharacters: 7500,
+  languages: null,
+  streaming: true,
+  jsonMode: true,
+  vision: false,
+  modelList: true,
+  keyRequirement: 'required',
+  costTier: 'low'
+});
+
+export const COST_TIER_LABELS = {
+  local: 'free, runs on your own machine or server',
+  low: 'low',
+  medium: 'medium',
+  high: 'high'
+};
+
+/**
+ * Whether a provider translates from or into a language; 'auto' is always accepted
+ * @param {ProviderCapabilities} [capabilities] - Everything is supported when unknown
+ * @param {string} code - Language code
+ * @returns {boolean}
+ */
+export function supportsLanguage(capabilities, code) {
+  return !capabilities?.languages || code === 'auto' || capabilities.languages.includes(code);
+}
+
+/**
+ * @param {string} code
+ * @returns {string}
+ */
+function capabilityLanguageName(code) {
+  return LANGUAGES.find(language => language.code === code)?.name || code.toUpperCase();
+}
+
+/**
+ * Explain why a provider cannot translate a text between two languages
+ * @param {ProviderCapabilities} [capabilities] - Nothing is refused when unknown
+ * @param {string} providerName - Display name of the provider
+ * @param {Object} input
+ * @param {string} [input.text] - Text to translate
+ * @param {string} [input.sourceLang] - Source language code, or 'auto'
+ * @param {string} [input.targetLang] - Target language code
+ * @returns {string} - Empty when the provider can handle it
+ */
+export function describeUnsupportedInput(capabilities, providerName, { text = '', sourceLang, targetLang } = {}) {
+  if (!capabilities) return '';
+  const limit = capabilities.maxInputCharacters;
+  if (limit && text.length > limit) {
+    return `The selection is too long for ${providerName}: ${text.length.toLocaleString('en-US')} characters, ` +
+      `at most ${limit.toLocaleString('en-US')}. Select less text or switch provider.`;
+  }
+  const unsupported = [sourceLang, targetLang].filter(code => code && !supportsLanguage(capabilities, code));
+  if (unsupported.length > 0) {
+    return `${providerName} does not translate ${[...new Set(unsupported)].map(capabilityLanguageName).join(' or ')}.`;
+  }
+  return '';
+}
+
+/**
+ * One-line summary of a provider for the settings page
+ * @param {ProviderCapabilities} [capabilities]
+ * @returns {string} - Empty when unknown
+ */
+export function summarizeCapabilities(capabilities) {
+  if (!capabilities) return '';
+  const parts = [
+    capabilities.costTier ? `Cost: ${COST_TIER_LABELS[capabilities.costTier]}` : 'Cost depends on your setup',
+    capabilities.maxInputCharacters
+      ? `up to ${capabilities.maxInputCharacters.toLocaleString('en-US')} characters per selection`
+      : 'length limit set by the server',
+    capabilities.languages ? `${capabilities.languages.length} languages` : 'all languages',
+    capabilities.streaming ? 'streams as it translates' : 'no streaming'
+  ];
+  if (!capabilities.prompts) parts.push('no alternatives, word lookups or explanations');
+  if (capabilities.vision) parts.push('reads images');
+  return parts.join(' · ');
+}
@@ -0,0 +1,94 @@
+/**
+ * Tests for the provider capability descriptors
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { getAvailableProviders } from './index.js';
+import {
+  DEFAULT_CAPABILITIES,
+  supportsLanguage,
+  describeUnsupportedInput,
+  summarizeCapabilities
+} from './capabilities.js';
+import { LANGUAGES } from '../utils/constants.js';
+
+const capabilitiesOf = (id) => getAvailableProviders().find(provider => provider.id === id).capabilities;
+
+describe('provider capabilities', () => {
+  it('describes every field for every provider', () => {
+    for (const { capabilities } of getAvailableProviders()) {
+      expect(Object.keys(capabilities).sort()).toEqual(Object.keys(DEFAULT_CAPABILITIES).sort());
+    }
+  });
+
+  it('only lists known languages', () => {
+    const codes = LANGUAGES.map(language => language.code);
+    for (const { capabilities } of getAvailableProviders()) {
+      expect(capabilities.languages === null || capabilities.languages.every(code => codes.includes(code))).toBe(true);
+    }
+  });
+
+  it('tells keyless and self-hosted providers apart', () => {
+    expect(capabilitiesOf('ollama')).toMatchObject({ keyRequirement: 'none', costTier: 'local' });
+    expect(capabilitiesOf('custom').keyRequirement).toBe('optional');
+    expect(capabilitiesOf('libretranslate')).toMatchObject({ keyRequirement: 'optional', streaming: false });
+    expect(capabilitiesOf('claude')).toMatchObject({ keyRequirement: 'required', jsonMode: false });
+  });
+
+  it('only offers a model list where the model is not named in the settings', () => {
+    const withList = getAvailableProviders().filter(({ capabilities }) => capabilities.modelList).map(({ id }) => id);
+    expect(withList).toEqual(['gemini', 'openai', 'deepseek', 'claude', 'groq', 'mistral', 'openrouter', 'ollama']);
+  });
+});
+
+describe('supportsLanguage', () => {
+  it('accepts auto-detection and every language when none are listed', () => {
+    fc.assert(fc.property(fc.constantFrom(...LANGUAGES.map(language => language.code)), (code) => {
+      expect(supportsLanguage(DEFAULT_CAPABILITIES, code)).toBe(true);
+      expect(supportsLanguage(undefined, code)).toBe(true);
+    }));
+    expect(supportsLanguage(capabilitiesOf('deepl'), 'auto')).toBe(true);
+  });
+
+  it('rejects languages missing from the list', () => {
+    expect(supportsLanguage(capabilitiesOf('deepl'), 'de')).toBe(true);
+    expect(supportsLanguage(capabilitiesOf('deepl'), 'th')).toBe(false);
+  });
+});
+
+describe('describeUnsupportedInput', () => {
+  it('accepts text within the limit in supported languages', () => {
+    fc.assert(fc.property(fc.string({ maxLength: DEFAULT_CAPABILITIES.maxInputCharacters }), (text) => {
+      expect(describeUnsupportedInput(DEFAULT_CAPABILITIES, 'Gemini', { text, sourceLang: 'auto', targetLang: 'th' })).toBe('');
+    }));
+  });
+
+  it('explains text over the limit', () => {
+    const text = 'a'.repeat(DEFAULT_CAPABILITIES.maxInputCharacters + 1);
+    expect(describeUnsupportedInput(DEFAULT_CAPABILITIES, 'Gemini', { text }))
+      .toBe('The selection is too long for Gemini: 7,501 characters, at most 7,500. Select less text or switch provider.');
+  });
+
+  it('names each unsupported language once', () => {
+    expect(describeUnsupportedInput(capabilitiesOf('deepl'), 'DeepL', { sourceLang: 'th', targetLang: 'vi' }))
+      .toBe('DeepL does not translate Thai or Vietnamese.');
+    expect(describeUnsupportedInput(capabilitiesOf('deepl'), 'DeepL', { sourceLang: 'th', targetLang: 'th' }))
+      .toBe('DeepL does not translate Thai.');
+  });
+
+  it('refuses nothing when the capabilities are unknown', () => {
+    expect(describeUnsupportedInput(null, 'DeepL', { text: 'a'.repeat(100000), targetLang: 'th' })).toBe('');
+  });
+});
+
+describe('summarizeCapabilities', () => {
+  it('sums up cost, limits and missing features', () => {
+    expect(summarizeCapabilities(capabilitiesOf('deepl'))).toBe(
+      'Cost: medium · up to 30,000 characters per selection · 11 languages · no streaming · ' +
+      'no alternatives, word lookups or explanations'
+    );
+    expect(summarizeCapabilities(capabilitiesOf('ollama'))).toContain('Cost: free, runs on your own machine or server');
+    expect(summarizeCapabilities(undefined)).toBe('');
+  });
+});
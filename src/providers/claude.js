@@ -1,14 +1,15 @@
 import { BaseProvider } from './base.js';
+import { ContentBlockedError, createProviderError } from './errors.js';
 
 /**
  * Anthropic Claude Provider
  * High-quality nuanced translations using Claude
  */
 export class ClaudeProvider extends BaseProvider {
-  constructor(apiKey) {
-    super(apiKey);
+  constructor(apiKey, options = {}) {
+    super(apiKey, options);
     this.baseUrl = 'https://api.anthropic.com/v1/messages';
-    this.model = 'claude-3-5-haiku-latest';
+    this.model = options.model || 'claude-3-5-haiku-latest';
   }
 
   static get displayName() {
@@ -19,30 +20,87 @@ export class ClaudeProvider extends BaseProvider {
     return 'claude';
   }
 
-  async translate(text, sourceLang, targetLang, tone) {
-    const prompt = this.buildPrompt(text, sourceLang, targetLang, tone);
-    
-    const response = await fetch(this.baseUrl, {
-      method: 'POST',
+  // Claude has no JSON mode; the prompt alone asks for JSON
+  static get capabilities() {
+    return { ...super.capabilities, maxInputCharacters: 15000, jsonMode: false, costTier: 'medium' };
+  }
+
+  // Claude 3 models stop at 4096 output tokens; 3.5 and later allow at least 8192
+  get maxOutputTokens() {
+    return /^claude-3-(haiku|sonnet|opus)/.test(this.model) ? 4096 : 8192;
+  }
+
+  buildRequest({ system, user }, { stream, maxTokens }) {
+    const body = {
+      model: this.model,
+      max_tokens: maxTokens || this.maxOutputTokens,
+      messages: [{ role: 'user', content: user }],
+      stream
+    };
+    if (system) {
+      body.system = system;
+    }
+
+    return {
+      url: this.baseUrl,
       headers: {
         'Content-Type': 'application/json',
         'x-api-key': this.apiKey,
         'anthropic-version': '2023-06-01',
         'anthropic-dangerous-direct-browser-access': 'true'
       },
-      body: JSON.stringify({
-        model: this.model,
-        max_tokens: 2000,
-        messages: [{ role: 'user', content: prompt }]
-      })
-    });
+      body
+    };
+  }
 
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error?.message || 'Claude API error');
+  parseResponse(data) {
+    if (data.stop_reason === 'refusal') {
+      throw new ContentBlockedError('Claude declined to translate this text', { provider: ClaudeProvider.id });
     }
+    return data.content?.[0]?.text;
+  }
 
-    const data = await response.json();
-    return data.content?.[0]?.text || 'No translation returned';
+  // Complete responses carry stop_reason at the top level, streams in message_delta
+  isLengthStop(data) {
+    return (data.type === 'message_delta' ? data.delta?.stop_reason : data.stop_reason) === 'max_tokens';
+  }
+
+  // Streams report input tokens in message_start and the output total in message_delta
+  parseUsage(data) {
+    const usage = data.type === 'message_start' ? data.message?.usage : data.usage;
+    if (!usage) return null;
+    return { inputTokens: usage.input_tokens, outputTokens: usage.output_tokens };
+  }
+
+  /**
+   * List models from the Anthropic models endpoint
+   * @returns {Promise<string[]>}
+   */
+  async listModels() {
+    const data = await this.getJson('https://api.anthropic.com/v1/models?limit=1000', {
+      'x-api-key': this.apiKey,
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true'
+    });
+    return (data.data || []).map(model => model.id);
+  }
+
+  parseStreamChunk(data) {
+    if (data.type === 'error') {
+      // Mid-stream errors arrive after a 200, so map the error type back to its HTTP status
+      const statusByType = { rate_limit_error: 429, api_error: 500, overloaded_error: 529 };
+      throw createProviderError(data.error?.message || 'Claude API error', {
+        provider: ClaudeProvider.id,
+        status: statusByType[data.error?.type] || 400,
+        body: data
+      });
+    }
+    if (data.type === 'message_delta' && data.delta?.stop_reason === 'refusal') {
+      throw new ContentBlockedError('Claude declined to translate this text', { provider: ClaudeProvider.id });
+    }
+    if (data.type === 'content_block_delta') {
+      return data.delta?.text;
+    }
+    return undefined;
   }
 }
@@ -0,0 +1,63 @@
+import { OpenAICompatibleProvider } from './openaiCompatible.js';
+import { ConfigurationError } from './errors.js';
+
+/**
+ * Custom OpenAI-compatible Provider
+ * Any self-hosted or gateway endpoint that speaks `/chat/completions`
+ * (vLLM, LM Studio, LiteLLM, internal proxies). The API key is optional.
+ */
+export class CustomProvider extends OpenAICompatibleProvider {
+  /**
+   * @param {string} [apiKey] - Optional bearer token
+   * @param {Object} options
+   * @param {string} options.baseUrl - Endpoint base URL, e.g. http://localhost:8000/v1
+   * @param {string} options.model - Model name served by the endpoint
+   * @param {Object<string, string>} [options.headers] - Extra request headers
+   */
+  constructor(apiKey, options = {}) {
+    super(apiKey, options);
+    if (!options.baseUrl || !options.model) {
+      throw new ConfigurationError('Custom endpoint is not configured. Please set a base URL and model in the extension settings.');
+    }
+    this.baseUrl = CustomProvider.resolveChatUrl(options.baseUrl);
+    this.model = options.model;
+    this.extraHeaders = options.headers || {};
+  }
+
+  static get displayName() {
+    return 'Custom (OpenAI-compatible)';
+  }
+
+  static get id() {
+    return 'custom';
+  }
+
+  // Price and model depend on the endpoint
+  static get capabilities() {
+    return { ...super.capabilities, modelList: false, keyRequirement: 'optional', costTier: null };
+  }
+
+  /**
+   * Accept either the API root (".../v1") or the full completions URL
+   * @param {string} baseUrl - URL entered by the user
+   * @returns {string}
+   */
+  static resolveChatUrl(baseUrl) {
+    const trimmed = baseUrl.trim().replace(/\/+$/, '');
+    return trimmed.endsWith('/chat/completions') ? trimmed : `${trimmed}/chat/completions`;
+  }
+
+  buildHeaders() {
+    return { ...super.buildHeaders(), ...this.extraHeaders };
+  }
+
+  // Not every compatible server implements response_format or stream_options,
+  // so rely on the prompt alone and on whatever usage the server volunteers
+  get supportsJsonMode() {
+    return false;
+  }
+
+  get supportsStreamUsage() {
+    return false;
+  }
+}
@@ -0,0 +1,190 @@
+import { MachineTranslationProvider } from './machineTranslation.js';
+import { MalformedResponseError, QuotaExceededError } from './errors.js';
+import { normalizeLanguageCode } from './detection.js';
+import { findGlossaryMatches } from '../utils/glossary.js';
+
+// Languages of LANGUAGES that DeepL translates
+const DEEPL_LANGUAGES = ['en', 'id', 'zh', 'ja', 'ko', 'es', 'fr', 'de', 'pt', 'ru', 'ar'];
+
+// DeepL wants a regional variant for some target languages
+const DEEPL_TARGET_CODES = { en: 'EN-US', pt: 'PT-BR', zh: 'ZH-HANS' };
+
+// Prefix of the glossaries this extension uploads, followed by the language pair
+const DEEPL_GLOSSARY_PREFIX = 'Zlate';
+
+// Uploaded glossary ids by name, so each version of a glossary is looked up once per session
+const deeplGlossaryIds = new Map();
+
+/**
+ * Short stable hash of a text, to name a glossary after its entries
+ * @param {string} text
+ * @returns {string}
+ */
+function hashGlossary(text) {
+  // FNV-1a
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * DeepL Provider
+ * DeepL's translation API. Free plan keys (ending in ":fx") use the free
+ * endpoint. Tones are mapped to DeepL's formality setting and glossary
+ * entries are uploaded as a DeepL glossary for the language pair.
+ */
+export class DeepLProvider extends MachineTranslationProvider {
+  /**
+   * @param {string} apiKey - DeepL authentication key
+   * @param {Object} [options] - Unused
+   */
+  constructor(apiKey, options = {}) {
+    super(apiKey, options);
+    this.baseUrl = apiKey?.trim().endsWith(':fx') ? 'https://api-free.deepl.com/v2' : 'https://api.deepl.com/v2';
+  }
+
+  static get displayName() {
+    return 'DeepL';
+  }
+
+  static get id() {
+    return 'deepl';
+  }
+
+  static get capabilities() {
+    return {
+      ...super.capabilities,
+      formality: true,
+      glossary: true,
+      maxInputCharacters: 30000,
+      languages: DEEPL_LANGUAGES,
+      costTier: 'medium'
+    };
+  }
+
+  buildHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'Authorization': `DeepL-Auth-Key ${this.apiKey}`
+    };
+  }
+
+  async requestTranslations(texts, sourceLang, targetLang, tone, options = {}) {
+    const body = { text: texts, target_lang: DEEPL_TARGET_CODES[targetLang] || targetLang.toUpperCase() };
+    if (sourceLang !== 'auto') {
+      body.source_lang = sourceLang.toUpperCase();
+    }
+    // "prefer_" falls back to the default for target languages without formality
+    const formality = this.formalityFor(tone);
+    if (formality) {
+      body.formality = `prefer_${formality}`;
+    }
+    if (options.context) {
+      body.context = options.context;
+    }
+    const glossaryId = await this.findGlossaryId(texts, sourceLang, targetLang, options);
+    if (glossaryId) {
+      body.glossary_id = glossaryId;
+    }
+
+    const data = await this.postJson(`${this.baseUrl}/translate`, this.buildHeaders(), body, options);
+    if (!Array.isArray(data.translations) || data.translations.length !== texts.length) {
+      throw new MalformedResponseError('DeepL returned a different number of translations than requested', {
+        provider: DeepLProvider.id
+      });
+    }
+    return data.translations.map(translation => ({
+      translation: translation?.text || '',
+      detectedLanguage: normalizeLanguageCode(translation?.detected_source_language),
+      confidence: null
+    }));
+  }
+
+  /**
+   * Check the key against the usage endpoint, which also tells how much of the
+   * character quota is left; no characters are spent
+   * @returns {Promise<{rateLimits: import('./retry.js').RateLimits}>}
+   * @throws {QuotaExceededError} When the billing period's characters are used up
+   */
+  async testConnection() {
+    const { character_count: used, character_limit: limit } = await this.getJson(`${this.baseUrl}/usage`, this.buildHeaders());
+    if (Number.isFinite(limit) && Number.isFinite(used) && used >= limit) {
+      throw new QuotaExceededError('DeepL character quota exceeded', { provider: DeepLProvider.id });
+    }
+    const characters = Number.isFinite(limit) ? { limit, remaining: Math.max(0, limit - (used || 0)), reset: null } : null;
+    return { rateLimits: characters ? { requests: null, tokens: null, characters } : null };
+  }
+
+  /**
+   * Id of a DeepL glossary holding the user's entries for the language pair
+   * Only used when the texts contain a glossary term. DeepL glossaries cannot be
+   * edited, so each version is uploaded under a name hashed from its entries and
+   * older versions for the pair are deleted.
+   * @param {string[]} texts - Texts about to be translated
+   * @param {string} sourceLang - DeepL needs a known source language for glossaries
+   * @param {string} targetLang
+   * @param {Object} options - `glossary` plus retry and cancel options
+   * @returns {Promise<string|null>}
+   */
+  async findGlossaryId(texts, sourceLang, targetLang, options) {
+    if (sourceLang === 'auto' || !findGlossaryMatches(options.glossary, texts.join('\n'), sourceLang, targetLang).length) {
+      return null;
+    }
+
+    // DeepL allows each source term once; tabs and line breaks would break the TSV
+    const clean = (term) => term.replace(/\s+/g, ' ').trim();
+    const entries = new Map();
+    for (const entry of options.glossary) {
+      const applies = (entry.sourceLang === '*' || entry.sourceLang === sourceLang) &&
+        (entry.targetLang === '*' || entry.targetLang === targetLang);
+      if (applies && !entries.has(clean(entry.source))) {
+        entries.set(clean(entry.source), clean(entry.target));
+      }
+    }
+    const tsv = [...entries].map(([source, target]) => `${source}\t${target}`).join('\n');
+    const pairName = `${DEEPL_GLOSSARY_PREFIX} ${sourceLang}-${targetLang}`;
+    const name = `${pairName} ${hashGlossary(tsv)}`;
+    if (deeplGlossaryIds.has(name)) {
+      return deeplGlossaryIds.get(name);
+    }
+
+    const { glossaries = [] } = await this.getJson(`${this.baseUrl}/glossaries`, this.buildHeaders());
+    let glossaryId = glossaries.find(glossary => glossary.name === name)?.glossary_id;
+    if (!glossaryId) {
+      const created = await this.postJson(`${this.baseUrl}/glossaries`, this.buildHeaders(), {
+        name,
+        source_lang: sourceLang,
+        target_lang: targetLang,
+        entries: tsv,
+        entries_format: 'tsv'
+      }, options);
+      glossaryId = created.glossary_id;
+      if (!glossaryId) {
+        throw new MalformedResponseError('DeepL did not return the id of the uploaded glossary', { provider: DeepLProvider.id });
+      }
+
+      const stale = glossaries.filter(glossary => glossary.name?.startsWith(`${pairName} `));
+      await Promise.all(stale.map(glossary => fetch(`${this.baseUrl}/glossaries/${glossary.glossary_id}`, {
+        method: 'DELETE',
+        headers: this.buildHeaders()
+      }).catch(() => null)));
+    }
+
+    deeplGlossaryIds.set(name, glossaryId);
+    return glossaryId;
+  }
+
+  // DeepL puts the message in `message` and reports an exhausted quota as 456
+  createResponseError(response, body) {
+    if (response.status === 456) {
+      return new QuotaExceededError(body.message || 'DeepL character quota exceeded', {
+        provider: DeepLProvider.id,
+        status: response.status
+      });
+    }
+    return super.createResponseError(response, body.message ? { ...body, error: body.message } : body);
+  }
+}
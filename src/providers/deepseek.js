@@ -1,14 +1,14 @@
-import { BaseProvider } from './base.js';
+import { OpenAICompatibleProvider } from './openaiCompatible.js';
 
 /**
  * DeepSeek Provider
  * Cost-effective translations using DeepSeek Chat
  */
-export class DeepSeekProvider extends BaseProvider {
-  constructor(apiKey) {
-    super(apiKey);
+export class DeepSeekProvider extends OpenAICompatibleProvider {
+  constructor(apiKey, options = {}) {
+    super(apiKey, options);
     this.baseUrl = 'https://api.deepseek.com/chat/completions';
-    this.model = 'deepseek-chat';
+    this.model = options.model || 'deepseek-chat';
   }
 
   static get displayName() {
@@ -19,28 +19,15 @@ export class DeepSeekProvider extends BaseProvider {
     return 'deepseek';
   }
 
-  async translate(text, sourceLang, targetLang, tone) {
-    const prompt = this.buildPrompt(text, sourceLang, targetLang, tone);
-    
-    const response = await fetch(this.baseUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.apiKey}`
-      },
-      body: JSON.stringify({
-        model: this.model,
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 2000
-      })
-    });
+  static get capabilities() {
+    return { ...super.capabilities, maxInputCharacters: 15000 };
+  }
 
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error?.message || 'DeepSeek API error');
-    }
+  get maxOutputTokens() {
+    return 8192;
+  }
 
-    const data = await response.json();
-    return data.choices?.[0]?.message?.content || 'No translation returned';
+  isReasoningModel() {
+    return this.model.includes('reasoner');
   }
 }
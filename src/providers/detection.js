@@ -0,0 +1,108 @@
+/**
+ * Source Language Detection Helpers
+ * With an auto-detected source language the model answers with JSON holding
+ * the detected language, its confidence and the translation. These helpers
+ * read that answer, both as it streams in and once it is complete.
+ */
+
+import { LANGUAGES } from '../utils/constants.js';
+import { extractJson } from './json.js';
+
+/**
+ * @typedef {Object} TranslationResult
+ * @property {string} translation - Translated text
+ * @property {string|null} detectedLanguage - ISO 639 code of the source text when it was auto-detected
+ * @property {number|null} confidence - Detection confidence from 0 to 1, when the model gave one
+ */
+
+// Added to the system prompt when the source language is auto-detected.
+// The translation key comes last so that it can be shown while it streams.
+export const DETECTION_INSTRUCTIONS =
+  'Reply with only a JSON object of the form {"detected_language": "<ISO 639-1 code of the source text>", ' +
+  '"confidence": <number from 0 to 1>, "translation": "<the translation>"}. ' +
+  'The translation value is exactly the text you would otherwise reply with.';
+
+const JSON_STRING_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+/**
+ * Map what a model calls a language to a language code
+ * Accepts codes with regions ('ja-JP'), English names ('Japanese') and bare ISO codes.
+ * @param {*} value - Reported language
+ * @returns {string|null}
+ */
+export function normalizeLanguageCode(value) {
+  if (typeof value !== 'string') return null;
+  const cleaned = value.trim().toLowerCase();
+  const byName = LANGUAGES.find(language => language.code !== 'auto' && language.name.toLowerCase() === cleaned);
+  if (byName) return byName.code;
+  const code = cleaned.split(/[-_]/)[0];
+  return /^[a-z]{2,3}$/.test(code) ? code : null;
+}
+
+/**
+ * Read a reported confidence
+ * @param {*} value - Reported confidence, either 0-1 or a percentage
+ * @returns {number|null}
+ */
+export function normalizeConfidence(value) {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || number < 0) return null;
+  if (number <= 1) return number;
+  return number <= 100 ? number / 100 : null;
+}
+
+/**
+ * Read a complete detection answer
+ * Answers that are not the expected JSON are taken as the plain translation.
+ * @param {string} text - Raw model output
+ * @returns {TranslationResult}
+ */
+export function parseDetectedTranslation(text) {
+  const data = extractJson(text);
+
+  if (typeof data?.translation !== 'string') {
+    return { translation: text.trim(), detectedLanguage: null, confidence: null };
+  }
+  return {
+    translation: data.translation,
+    detectedLanguage: normalizeLanguageCode(data.detected_language ?? data.detectedLanguage),
+    confidence: normalizeConfidence(data.confidence)
+  };
+}
+
+/**
+ * The part of the translation readable so far in a detection answer that is still streaming
+ * @param {string} text - Model output received so far
+ * @returns {string}
+ */
+export function extractStreamingTranslation(text) {
+  // A model ignoring the JSON instructions streams the translation itself
+  if (!/^\s*(\{|```)/.test(text)) return text;
+
+  const match = /"translation"\s*:\s*"/.exec(text);
+  if (!match) return '';
+
+  let translation = '';
+  for (let i = match.index + match[0].length; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') break;
+    if (char !== '\\') {
+      translation += char;
+      continue;
+    }
+
+    // Stop before an escape sequence that has not fully arrived
+    const next = text[i + 1];
+    if (next === undefined) break;
+    if (next === 'u') {
+      const hex = text.slice(i + 2, i + 6);
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) break;
+      translation += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      translation += JSON_STRING_ESCAPES[next] ?? next;
+      i++;
+    }
+  }
+  return translation;
+}
@@ -0,0 +1,106 @@
+/**
+ * Tests for auto-detected source languages
+ * Covers reading detection answers, streaming the translation out of them and BaseProvider.translate
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import { normalizeLanguageCode, parseDetectedTranslation, extractStreamingTranslation, DETECTION_INSTRUCTIONS } from './detection.js';
+import { StubProvider, stubFetch, sseResponse, requestBody } from './testProvider.js';
+
+describe('normalizeLanguageCode', () => {
+  it('accepts codes, regional codes and English names', () => {
+    expect(normalizeLanguageCode('ja')).toBe('ja');
+    expect(normalizeLanguageCode('zh-TW')).toBe('zh');
+    expect(normalizeLanguageCode('Japanese')).toBe('ja');
+    expect(normalizeLanguageCode('nl')).toBe('nl');
+    expect(normalizeLanguageCode('unknown language')).toBeNull();
+    expect(normalizeLanguageCode(undefined)).toBeNull();
+  });
+});
+
+describe('parseDetectedTranslation', () => {
+  it('reads the JSON answer', () => {
+    expect(parseDetectedTranslation('```json\n{"detected_language": "ja", "confidence": 0.93, "translation": "Hello"}\n```')).toEqual({
+      translation: 'Hello',
+      detectedLanguage: 'ja',
+      confidence: 0.93
+    });
+  });
+
+  it('reads percentages and drops nonsense confidence', () => {
+    expect(parseDetectedTranslation('{"detected_language": "fr", "confidence": 80, "translation": "Hi"}').confidence).toBe(0.8);
+    expect(parseDetectedTranslation('{"detected_language": "fr", "confidence": "high", "translation": "Hi"}').confidence).toBeNull();
+  });
+
+  it('falls back to the plain text when the model ignored the format', () => {
+    expect(parseDetectedTranslation(' Use {name} here ')).toEqual({ translation: 'Use {name} here', detectedLanguage: null, confidence: null });
+  });
+});
+
+describe('extractStreamingTranslation', () => {
+  it('only ever shows a prefix of the final translation', () => {
+    fc.assert(
+      fc.property(fc.string(), fc.constantFrom('ja', 'de'), (translation, language) => {
+        const answer = JSON.stringify({ detected_language: language, confidence: 0.9, translation });
+        for (let end = 0; end <= answer.length; end++) {
+          expect(translation.startsWith(extractStreamingTranslation(answer.slice(0, end)))).toBe(true);
+        }
+        expect(extractStreamingTranslation(answer)).toBe(translation);
+      })
+    );
+  });
+
+  it('passes plain text through', () => {
+    expect(extractStreamingTranslation('Hallo Welt')).toBe('Hallo Welt');
+  });
+});
+
+describe('BaseProvider.translate with auto-detect', () => {
+  const answer = '{"detected_language": "ja", "confidence": 0.9, "translation": "Good \\"morning\\""}';
+
+  const streamedIn = (text, size) => {
+    const events = [];
+    for (let i = 0; i < text.length; i += size) {
+      events.push({ delta: text.slice(i, i + size) });
+    }
+    return sseResponse(events);
+  };
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('asks for JSON and returns the detected language', async () => {
+    const fetchMock = stubFetch({ text: answer });
+
+    const result = await new StubProvider('key').translate('おはよう', 'auto', 'en', 'neutral');
+
+    expect(result).toEqual({ translation: 'Good "morning"', detectedLanguage: 'ja', confidence: 0.9 });
+    const body = requestBody(fetchMock);
+    expect(body.json).toBe(true);
+    expect(body.prompt.system).toContain(DETECTION_INSTRUCTIONS);
+  });
+
+  it('streams only the translation text', async () => {
+    stubFetch(() => streamedIn(answer, 7));
+    const chunks = [];
+
+    const result = await new StubProvider('key').translate('おはよう', 'auto', 'en', 'neutral', {
+      onChunk: (delta, translation) => chunks.push(translation)
+    });
+
+    expect(result.detectedLanguage).toBe('ja');
+    expect(chunks.at(-1)).toBe('Good "morning"');
+    expect(chunks.every(chunk => 'Good "morning"'.startsWith(chunk))).toBe(true);
+  });
+
+  it('keeps plain output when the source language is given', async () => {
+    const fetchMock = stubFetch({ text: 'Good morning' });
+
+    const result = await new StubProvider('key').translate('おはよう', 'ja', 'en', 'neutral');
+
+    expect(result).toEqual({ translation: 'Good morning', detectedLanguage: null, confidence: null });
+    expect(requestBody(fetchMock).json).toBe(false);
+  });
+});
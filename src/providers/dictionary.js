@@ -0,0 +1,142 @@
+/**
+ * Dictionary Lookup Helpers
+ * Selections of one to three words get a dictionary entry instead of a plain
+ * translation. These helpers recognise such selections, phrase the lookup and
+ * read the entry the model answers with.
+ */
+
+import { renderTemplate, buildPromptVariables } from '../utils/prompts.js';
+import { normalizeLanguageCode } from './detection.js';
+import { extractJson } from './json.js';
+
+export const MAX_DICTIONARY_WORDS = 3;
+
+// Words in scripts written without spaces are judged by length instead
+const MAX_UNSPACED_LOOKUP_LENGTH = 8;
+const UNSPACED_LOOKUP_PATTERN = /[\u0E00-\u0E7F\u3040-\u30FF\u3400-\u9FFF\uF900-\uFAFF]/;
+
+// Most senses, examples per sense and collocations kept from an answer
+const MAX_SENSES = 5;
+const MAX_EXAMPLES = 2;
+const MAX_COLLOCATIONS = 6;
+
+// Output limit for one entry, which does not grow with the selection
+export const DICTIONARY_MAX_TOKENS = 1024;
+
+/**
+ * @typedef {Object} DictionarySense
+ * @property {string} gloss - Translation of this sense into the target language
+ * @property {string} definition - Short definition in the target language; may be empty
+ * @property {{text: string, translation: string}[]} examples - Example sentences with their translations
+ */
+
+/**
+ * @typedef {Object} DictionaryEntry
+ * @property {string} lemma - Dictionary form of the selection
+ * @property {string} partOfSpeech - e.g. "noun"; may be empty
+ * @property {string} pronunciation - IPA or reading; may be empty
+ * @property {DictionarySense[]} senses - Most common sense first
+ * @property {{phrase: string, translation: string}[]} collocations - Common word combinations
+ * @property {string|null} detectedLanguage - ISO 639 code of the looked-up word
+ */
+
+/**
+ * Whether a selection is short enough for a dictionary lookup
+ * One to three words of letters, or one short run of Chinese, Japanese or Thai.
+ * @param {string} text - Selected text
+ * @returns {boolean}
+ */
+export function isDictionaryLookup(text) {
+  const words = (text || '').trim().split(/\s+/)
+    .map(word => word.replace(/^[\p{P}\p{S}]+|[\p{P}\p{S}]+$/gu, ''))
+    .filter(Boolean);
+  if (words.length === 0 || words.length > MAX_DICTIONARY_WORDS) return false;
+  if (!words.every(word => /^[\p{L}\p{M}'\u2019-]+$/u.test(word))) return false;
+
+  const unspaced = words.some(word => UNSPACED_LOOKUP_PATTERN.test(word));
+  return !unspaced || (words.length === 1 && words[0].length <= MAX_UNSPACED_LOOKUP_LENGTH);
+}
+
+/**
+ * Build the lookup prompt
+ * @param {string} text - Selected word or phrase
+ * @param {string} sourceLang - Source language code, or 'auto'
+ * @param {string} targetLang - Language of glosses and definitions
+ * @returns {{system: string, user: string}}
+ */
+export function buildDictionaryPrompt(text, sourceLang, targetLang) {
+  const variables = buildPromptVariables({ text: text.trim(), sourceLang, targetLang });
+  const system = renderTemplate(
+    'You are a bilingual dictionary for {target} speakers. Reply with only a JSON object of the form ' +
+    '{"detected_language": "<ISO 639-1 code of the word>", "lemma": "<dictionary form>", ' +
+    '"part_of_speech": "<e.g. noun>", "pronunciation": "<IPA, or the reading for Chinese and Japanese>", ' +
+    '"senses": [{"gloss": "<translation into {target}>", "definition": "<short definition in {target}>", ' +
+    '"examples": [{"text": "<example sentence>", "translation": "<its {target} translation>"}]}], ' +
+    '"collocations": [{"phrase": "<common collocation>", "translation": "<its {target} translation>"}]}. ' +
+    `List the most common sense first, at most ${MAX_SENSES} senses and ${MAX_COLLOCATIONS} collocations.`,
+    variables
+  );
+  const user = renderTemplate('Look up [[this {source} word: ]]{text}', variables);
+  return { system, user };
+}
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+function cleanText(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Keep the items of a reported list that have every required field
+ * @param {*} list - Reported array
+ * @param {string[]} fields - Keys every item needs
+ * @param {number} max - Most items kept
+ * @returns {Object<string, string>[]}
+ */
+function cleanPairs(list, fields, max) {
+  return (Array.isArray(list) ? list : [])
+    .map(item => Object.fromEntries(fields.map(field => [field, cleanText(item?.[field])])))
+    .filter(item => fields.every(field => item[field]))
+    .slice(0, max);
+}
+
+/**
+ * Read the dictionary entry out of a model's answer
+ * @param {string} text - Raw model output, optionally wrapped in a Markdown code fence
+ * @param {string} [fallbackLemma] - Used when the model did not name the lemma
+ * @returns {DictionaryEntry|null} - Null when the answer holds no usable sense
+ */
+export function parseDictionaryEntry(text, fallbackLemma = '') {
+  const data = extractJson(text);
+  if (data === null) return null;
+
+  const senses = (Array.isArray(data?.senses) ? data.senses : [])
+    .map(sense => ({
+      gloss: cleanText(sense?.gloss),
+      definition: cleanText(sense?.definition),
+      examples: cleanPairs(sense?.examples, ['text', 'translation'], MAX_EXAMPLES)
+    }))
+    .filter(sense => sense.gloss)
+    .slice(0, MAX_SENSES);
+  if (senses.length === 0) return null;
+
+  return {
+    lemma: cleanText(data.lemma) || fallbackLemma.trim(),
+    partOfSpeech: cleanText(data.part_of_speech ?? data.partOfSpeech),
+    pronunciation: cleanText(data.pronunciation),
+    senses,
+    collocations: cleanPairs(data.collocations, ['phrase', 'translation'], MAX_COLLOCATIONS),
+    detectedLanguage: normalizeLanguageCode(data.detected_language ?? data.detectedLanguage)
+  };
+}
+
+/**
+ * One-line translation of an entry, for history and the clipboard
+ * @param {DictionaryEntry} entry
+ * @returns {string}
+ */
+export function summarizeDictionaryEntry(entry) {
+  return entry.senses.slice(0, 3).map(sense => sense.gloss).join('; ');
+}
@@ -0,0 +1,94 @@
+/**
+ * Tests for dictionary lookups of short selections
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { isDictionaryLookup, parseDictionaryEntry, buildDictionaryPrompt, summarizeDictionaryEntry } from './dictionary.js';
+import { MalformedResponseError } from './errors.js';
+import { StubProvider, stubFetch, requestBody } from './testProvider.js';
+
+const answer = {
+  detected_language: 'German',
+  lemma: 'Haus',
+  part_of_speech: 'noun',
+  pronunciation: '/haʊs/',
+  senses: [
+    { gloss: 'house', definition: 'a building people live in', examples: [{ text: 'Das Haus ist alt.', translation: 'The house is old.' }] },
+    { gloss: 'home', examples: [{ text: 'Ich gehe nach Hause.' }] },
+    { definition: 'no gloss, dropped' }
+  ],
+  collocations: [{ phrase: 'zu Hause', translation: 'at home' }, { phrase: 'Haus und Hof' }]
+};
+
+describe('isDictionaryLookup', () => {
+  it('accepts one to three words', () => {
+    expect(isDictionaryLookup('Haus')).toBe(true);
+    expect(isDictionaryLookup(' "serendipity", ')).toBe(true);
+    expect(isDictionaryLookup('take it easy')).toBe(true);
+    expect(isDictionaryLookup("l'amour")).toBe(true);
+    expect(isDictionaryLookup('食べる')).toBe(true);
+  });
+
+  it('leaves sentences, numbers and links to translation', () => {
+    expect(isDictionaryLookup('I will be there soon')).toBe(false);
+    expect(isDictionaryLookup('42')).toBe(false);
+    expect(isDictionaryLookup('example.com/page')).toBe(false);
+    expect(isDictionaryLookup('明日の朝、電車で東京に行きます')).toBe(false);
+    expect(isDictionaryLookup('   ')).toBe(false);
+  });
+});
+
+describe('parseDictionaryEntry', () => {
+  it('keeps complete senses, examples and collocations', () => {
+    const entry = parseDictionaryEntry('```json\n' + JSON.stringify(answer) + '\n```');
+    expect(entry).toEqual({
+      lemma: 'Haus',
+      partOfSpeech: 'noun',
+      pronunciation: '/haʊs/',
+      senses: [
+        { gloss: 'house', definition: 'a building people live in', examples: [{ text: 'Das Haus ist alt.', translation: 'The house is old.' }] },
+        { gloss: 'home', definition: '', examples: [] }
+      ],
+      collocations: [{ phrase: 'zu Hause', translation: 'at home' }],
+      detectedLanguage: 'de'
+    });
+    expect(summarizeDictionaryEntry(entry)).toBe('house; home');
+  });
+
+  it('rejects answers without a sense', () => {
+    expect(parseDictionaryEntry('house')).toBeNull();
+    expect(parseDictionaryEntry('{"lemma": "Haus", "senses": []}')).toBeNull();
+  });
+
+  it('falls back to the selection as the lemma', () => {
+    expect(parseDictionaryEntry('{"senses": [{"gloss": "house"}]}', ' Haus ').lemma).toBe('Haus');
+  });
+
+  it('names the languages in the prompt', () => {
+    const prompt = buildDictionaryPrompt('Haus', 'de', 'en');
+    expect(prompt.system).toContain('dictionary for English speakers');
+    expect(prompt.user).toBe('Look up this German word: Haus');
+    expect(buildDictionaryPrompt('Haus', 'auto', 'en').user).toBe('Look up Haus');
+  });
+});
+
+describe('BaseProvider.lookupWord', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('asks for a JSON entry and reads it', async () => {
+    const fetchMock = stubFetch({ text: JSON.stringify(answer) });
+
+    const entry = await new StubProvider('key').lookupWord('Haus', 'auto', 'en');
+
+    expect(entry.lemma).toBe('Haus');
+    expect(requestBody(fetchMock)).toMatchObject({ stream: false, json: true, maxTokens: 1024 });
+  });
+
+  it('fails on an answer without senses', async () => {
+    stubFetch({ text: 'house' });
+
+    await expect(new StubProvider('key').lookupWord('Haus', 'de', 'en')).rejects.toBeInstanceOf(MalformedResponseError);
+  });
+});
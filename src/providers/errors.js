@@ -0,0 +1,227 @@
+/**
+ * Provider Errors
+ * Errors thrown by AI providers, carrying enough context for callers to
+ * decide whether another attempt (or another provider) is worthwhile and
+ * what the user can do about it
+ */
+
+/**
+ * Error returned by (or while reaching) a provider API
+ */
+export class ProviderError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {Object} [details]
+   * @param {string} [details.provider] - Provider id that failed
+   * @param {number} [details.status] - HTTP status, 0 when the request never got a response
+   */
+  constructor(message, { provider = null, status = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.code = 'provider_error';
+    this.provider = provider;
+    this.status = status;
+  }
+
+  /**
+   * Rate limits, server-side failures and network errors may succeed elsewhere or later
+   * @returns {boolean}
+   */
+  get retryable() {
+    return this.status === 0 || this.status === 429 || this.status >= 500;
+  }
+}
+
+/**
+ * The API key is missing, wrong, revoked or lacks access to the model
+ */
+export class InvalidKeyError extends ProviderError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'InvalidKeyError';
+    this.code = 'invalid_key';
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * The account is out of credit or over its plan's quota
+ * Waiting will not help, but another provider may still answer.
+ */
+export class QuotaExceededError extends ProviderError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'QuotaExceededError';
+    this.code = 'quota_exceeded';
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * The provider does not serve the country or region the request comes from
+ * Another provider may still answer.
+ */
+export class RegionBlockedError extends ProviderError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'RegionBlockedError';
+    this.code = 'region_blocked';
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * Too many requests in a short window; worth retrying after a pause
+ */
+export class RateLimitError extends ProviderError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'RateLimitError';
+    this.code = 'rate_limited';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * The provider refused the text or withheld its output on safety grounds
+ */
+export class ContentBlockedError extends ProviderError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ContentBlockedError';
+    this.code = 'content_blocked';
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * The provider could not be reached, or the connection dropped or timed out
+ */
+export class NetworkError extends ProviderError {
+  constructor(message, details = {}) {
+    super(message, { ...details, status: 0 });
+    this.name = 'NetworkError';
+    this.code = 'network';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * The provider answered successfully but the body was unreadable or empty
+ */
+export class MalformedResponseError extends ProviderError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'MalformedResponseError';
+    this.code = 'malformed_response';
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * The extension settings prevent a translation before any provider is called
+ * (no provider chosen, no key saved, or a Premium feature on a free license)
+ */
+export class ConfigurationError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigurationError';
+    this.code = 'configuration';
+  }
+}
+
+/**
+ * The selected provider cannot take the text or language pair, per its capabilities
+ * Another provider may, so the user is offered to switch.
+ */
+export class UnsupportedInputError extends ConfigurationError {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsupportedInputError';
+    this.code = 'unsupported_input';
+  }
+}
+
+/**
+ * Build the most specific ProviderError for a failed HTTP response
+ * @param {string} message - Message to show the user
+ * @param {Object} details
+ * @param {string} details.provider - Provider id that failed
+ * @param {number} details.status - HTTP status
+ * @param {Object} [details.body] - Parsed error body; `error` may be an object or a string
+ * @returns {ProviderError}
+ */
+export function createProviderError(message, { provider, status, body = {} }) {
+  const error = typeof body?.error === 'object' && body.error !== null ? body.error : {};
+  const reasons = (Array.isArray(error.details) ? error.details : []).map(detail => detail?.reason);
+  const kind = [error.code, error.type, error.status, ...reasons]
+    .filter(value => typeof value === 'string')
+    .join(' ')
+    .toLowerCase();
+  const details = { provider, status };
+
+  if (/insufficient[_ ](quota|balance|credits?)|credit balance is too low/i.test(`${kind} ${message}`) || status === 402) {
+    return new QuotaExceededError(message, details);
+  }
+  // Gemini answers 400 FAILED_PRECONDITION, OpenAI 403 unsupported_country_region_territory
+  if (/unsupported_country|location is not supported|region,? or territory not supported/i.test(`${kind} ${message}`)) {
+    return new RegionBlockedError(message, details);
+  }
+  if (status === 401 || status === 403 || /api_key_invalid|authentication_error|invalid_api_key/.test(kind)) {
+    return new InvalidKeyError(message, details);
+  }
+  if (/content_policy|content_filter|safety/.test(kind)) {
+    return new ContentBlockedError(message, details);
+  }
+  if (status === 429) {
+    return new RateLimitError(message, details);
+  }
+  return new ProviderError(message, details);
+}
+
+/**
+ * Check whether an error is worth retrying, on the same or another provider
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  return error instanceof ProviderError && error.retryable;
+}
+
+/**
+ * Check whether another provider might succeed where this one failed
+ * Besides retryable errors this covers exhausted quotas, blocked regions and
+ * unusable responses, which are specific to the provider that produced them.
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean}
+ */
+export function canFallback(error) {
+  return isRetryableError(error) ||
+    error instanceof QuotaExceededError ||
+    error instanceof RegionBlockedError ||
+    error instanceof MalformedResponseError;
+}
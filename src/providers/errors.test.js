@@ -0,0 +1,123 @@
+/**
+ * Tests for the provider error taxonomy
+ * Covers classification of vendor error responses and retry/fallback decisions
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  ProviderError,
+  InvalidKeyError,
+  QuotaExceededError,
+  RateLimitError,
+  RegionBlockedError,
+  ContentBlockedError,
+  NetworkError,
+  MalformedResponseError,
+  ConfigurationError,
+  UnsupportedInputError,
+  createProviderError,
+  isRetryableError,
+  canFallback
+} from './errors.js';
+
+describe('createProviderError', () => {
+  it('recognises requests from unsupported regions', () => {
+    expect(createProviderError('User location is not supported for the API use.', {
+      provider: 'gemini',
+      status: 400,
+      body: { error: { status: 'FAILED_PRECONDITION' } }
+    })).toBeInstanceOf(RegionBlockedError);
+    expect(createProviderError('Country, region, or territory not supported', {
+      provider: 'openai',
+      status: 403,
+      body: { error: { code: 'unsupported_country_region_territory' } }
+    })).toBeInstanceOf(RegionBlockedError);
+  });
+
+  it('recognises rejected API keys', () => {
+    expect(createProviderError('Incorrect API key provided', { provider: 'openai', status: 401 }))
+      .toBeInstanceOf(InvalidKeyError);
+    expect(createProviderError('API key not valid. Please pass a valid API key.', {
+      provider: 'gemini',
+      status: 400,
+      body: { error: { status: 'INVALID_ARGUMENT', details: [{ reason: 'API_KEY_INVALID' }] } }
+    })).toBeInstanceOf(InvalidKeyError);
+  });
+
+  it('tells an exhausted quota apart from a rate limit', () => {
+    expect(createProviderError('You exceeded your current quota', {
+      provider: 'openai',
+      status: 429,
+      body: { error: { code: 'insufficient_quota', type: 'insufficient_quota' } }
+    })).toBeInstanceOf(QuotaExceededError);
+    expect(createProviderError('Insufficient Balance', { provider: 'deepseek', status: 402 }))
+      .toBeInstanceOf(QuotaExceededError);
+    expect(createProviderError('Your credit balance is too low to access the Anthropic API.', {
+      provider: 'claude',
+      status: 400,
+      body: { error: { type: 'invalid_request_error' } }
+    })).toBeInstanceOf(QuotaExceededError);
+    expect(createProviderError('Rate limit reached for requests', { provider: 'groq', status: 429 }))
+      .toBeInstanceOf(RateLimitError);
+  });
+
+  it('recognises moderation rejections', () => {
+    const error = createProviderError('Your request was rejected by the safety system', {
+      provider: 'openai',
+      status: 400,
+      body: { error: { code: 'content_policy_violation' } }
+    });
+    expect(error).toBeInstanceOf(ContentBlockedError);
+    expect(error.code).toBe('content_blocked');
+  });
+
+  it('accepts plain string error bodies', () => {
+    const error = createProviderError('model "llama3" not found', {
+      provider: 'ollama',
+      status: 404,
+      body: { error: 'model "llama3" not found' }
+    });
+    expect(error).toBeInstanceOf(ProviderError);
+    expect(error.code).toBe('provider_error');
+    expect(error.retryable).toBe(false);
+  });
+
+  it('keeps provider and status on every error', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 400, max: 599 }), fc.string(), (status, message) => {
+        const error = createProviderError(message, { provider: 'gemini', status });
+        expect(error).toBeInstanceOf(ProviderError);
+        expect(error.provider).toBe('gemini');
+        expect(error.status).toBe(status);
+        expect(error.message).toBe(message);
+      })
+    );
+  });
+});
+
+describe('retry and fallback decisions', () => {
+  it('retries rate limits, server errors and network failures only', () => {
+    expect(isRetryableError(new RateLimitError('slow down', { status: 429 }))).toBe(true);
+    expect(isRetryableError(new ProviderError('overloaded', { status: 529 }))).toBe(true);
+    expect(isRetryableError(new NetworkError('offline'))).toBe(true);
+    expect(isRetryableError(new QuotaExceededError('no credit', { status: 429 }))).toBe(false);
+    expect(isRetryableError(new InvalidKeyError('bad key', { status: 401 }))).toBe(false);
+    expect(isRetryableError(new Error('boom'))).toBe(false);
+  });
+
+  it('falls back when another provider could still answer', () => {
+    expect(canFallback(new QuotaExceededError('no credit', { status: 429 }))).toBe(true);
+    expect(canFallback(new MalformedResponseError('empty'))).toBe(true);
+    expect(canFallback(new NetworkError('offline'))).toBe(true);
+    expect(canFallback(new InvalidKeyError('bad key', { status: 401 }))).toBe(false);
+    expect(canFallback(new ContentBlockedError('blocked'))).toBe(false);
+    expect(canFallback(new ConfigurationError('no key'))).toBe(false);
+    expect(canFallback(new UnsupportedInputError('too long'))).toBe(false);
+    expect(canFallback(new RegionBlockedError('not here', { status: 403 }))).toBe(true);
+  });
+
+  it('marks network errors with status 0', () => {
+    expect(new NetworkError('offline', { provider: 'groq' }).status).toBe(0);
+  });
+});
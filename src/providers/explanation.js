@@ -0,0 +1,74 @@
+/**
+ * Translation Explanation Helpers
+ * For language learners the provider breaks a translation down into aligned
+ * source and target phrases with notes on grammar points and idioms, asked
+ * for alongside the translation or on demand from the tooltip.
+ */
+
+import { renderTemplate, buildPromptVariables } from '../utils/prompts.js';
+import { extractJson } from './json.js';
+
+// Most grammar and idiom notes kept from an answer
+const MAX_EXPLANATION_NOTES = 8;
+
+/**
+ * @typedef {Object} ExplanationSegment
+ * @property {string} source - Phrase of the original text
+ * @property {string} target - Matching phrase of the translation
+ * @property {string} note - Short note on grammar or word choice; may be empty
+ */
+
+/**
+ * @typedef {Object} Explanation
+ * @property {ExplanationSegment[]} segments - In the order of the original text
+ * @property {{point: string, explanation: string}[]} notes - Grammar points and idioms
+ */
+
+/**
+ * Build the prompt asking for a breakdown of a translation
+ * @param {string} text - Original text
+ * @param {string} translation - Its translation
+ * @param {string} sourceLang - Source language code, or 'auto'
+ * @param {string} targetLang - Target language code; the explanation is written in it
+ * @returns {{system: string, user: string}}
+ */
+export function buildExplanationPrompt(text, translation, sourceLang, targetLang) {
+  const variables = { ...buildPromptVariables({ text, sourceLang, targetLang }), translation };
+  const system = renderTemplate(
+    'You are a language teacher explaining a translation[[ from {source}]] to {target} to a learner. ' +
+    'Reply with only a JSON object of the form {"segments": [{"source": "<phrase of the original>", ' +
+    '"target": "<the matching phrase of the translation>", "note": "<short note on grammar or word choice, or empty>"}], ' +
+    '"notes": [{"point": "<grammar point or idiom>", "explanation": "<short explanation in {target}>"}]}. ' +
+    'Segments follow the order of the original and together cover all of it. Write every note in {target}.',
+    variables
+  );
+  const user = renderTemplate('Original:\n{text}\n\nTranslation:\n{translation}', variables);
+  return { system, user };
+}
+
+/**
+ * Read the breakdown out of a model's answer
+ * @param {string} text - Raw model output, optionally wrapped in a Markdown code fence
+ * @returns {Explanation|null} - Null when the answer holds no aligned segment
+ */
+export function parseExplanation(text) {
+  const data = extractJson(text);
+  if (data === null) return null;
+
+  const stringOf = (value) => (typeof value === 'string' ? value.trim() : '');
+  const segments = (Array.isArray(data?.segments) ? data.segments : [])
+    .map(segment => ({
+      source: stringOf(segment?.source),
+      target: stringOf(segment?.target),
+      note: stringOf(segment?.note)
+    }))
+    .filter(segment => segment.source);
+  if (segments.length === 0) return null;
+
+  const notes = (Array.isArray(data.notes) ? data.notes : [])
+    .map(note => ({ point: stringOf(note?.point), explanation: stringOf(note?.explanation) }))
+    .filter(note => note.point && note.explanation)
+    .slice(0, MAX_EXPLANATION_NOTES);
+
+  return { segments, notes };
+}
@@ -0,0 +1,65 @@
+/**
+ * Tests for translation explanations
+ * Covers the prompt, reading the breakdown and BaseProvider.explainTranslation
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { buildExplanationPrompt, parseExplanation } from './explanation.js';
+import { MalformedResponseError } from './errors.js';
+import { StubProvider, stubFetch, requestBody } from './testProvider.js';
+
+describe('buildExplanationPrompt', () => {
+  it('gives the original and the translation and names the languages', () => {
+    const prompt = buildExplanationPrompt('Guten Morgen', 'Good morning', 'de', 'en');
+    expect(prompt.system).toContain('from German to English');
+    expect(prompt.user).toBe('Original:\nGuten Morgen\n\nTranslation:\nGood morning');
+  });
+
+  it('leaves out an auto-detected source language', () => {
+    expect(buildExplanationPrompt('Hallo', 'Hello', 'auto', 'en').system).not.toContain(' from ');
+  });
+});
+
+describe('parseExplanation', () => {
+  it('reads aligned segments and notes from a fenced answer', () => {
+    const answer = '```json\n{"segments": [{"source": "Guten", "target": "Good", "note": "adjective ending -en"}, ' +
+      '{"source": "Morgen", "target": "morning"}], "notes": [{"point": "Greeting", "explanation": "Accusative of wishing"}]}\n```';
+    expect(parseExplanation(answer)).toEqual({
+      segments: [
+        { source: 'Guten', target: 'Good', note: 'adjective ending -en' },
+        { source: 'Morgen', target: 'morning', note: '' }
+      ],
+      notes: [{ point: 'Greeting', explanation: 'Accusative of wishing' }]
+    });
+  });
+
+  it('drops incomplete notes and answers without segments', () => {
+    const answer = '{"segments": [{"source": "Hallo", "target": "Hello"}], "notes": [{"point": "Idiom"}, "x"]}';
+    expect(parseExplanation(answer).notes).toEqual([]);
+    expect(parseExplanation('{"segments": [], "notes": []}')).toBeNull();
+    expect(parseExplanation('Hello is a greeting')).toBeNull();
+  });
+});
+
+describe('BaseProvider.explainTranslation', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('asks for a JSON breakdown in one request', async () => {
+    const answer = { segments: [{ source: 'Hallo', target: 'Hello', note: '' }], notes: [] };
+    const fetchMock = stubFetch({ text: JSON.stringify(answer), usage: { inputTokens: 50, outputTokens: 20 } });
+
+    const provider = new StubProvider('key');
+    expect(await provider.explainTranslation('Hallo', 'Hello', 'de', 'en')).toEqual(answer);
+    expect(provider.lastUsage).toEqual({ inputTokens: 50, outputTokens: 20 });
+    expect(requestBody(fetchMock)).toMatchObject({ stream: false, json: true });
+  });
+
+  it('fails when no breakdown came back', async () => {
+    stubFetch({ text: 'Sorry' });
+
+    await expect(new StubProvider('key').explainTranslation('Hallo', 'Hello', 'de', 'en'))
+      .rejects.toBeInstanceOf(MalformedResponseError);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Provider Fallback
+ * Orders the providers one translation may be tried with, and walks that
+ * order until one answers
+ */
+import { providers, hasProvider, isApiKeyRequired } from './index.js';
+import { canFallback, UnsupportedInputError } from './errors.js';
+import { describeUnsupportedInput } from './capabilities.js';
+
+/**
+ * @typedef {Object} ChainStep
+ * @property {string} engine - Provider id
+ * @property {string} apiKey - API key for it, if any
+ */
+
+/**
+ * Why a provider cannot take an input
+ * @param {string} engine - Provider id
+ * @param {{text?: string, sourceLang?: string, targetLang?: string}} input
+ * @returns {string} - Empty when it can, or when the provider is unknown
+ */
+function describeUnsupportedStep(engine, input) {
+  const ProviderClass = providers[engine];
+  return ProviderClass ? describeUnsupportedInput(ProviderClass.capabilities, ProviderClass.displayName, input) : '';
+}
+
+/**
+ * Build the ordered list of providers to try for one translation
+ * The primary engine comes first. Fallbacks the license does not cover or that
+ * have no key are skipped, so free users only ever fall back between free
+ * providers. With an input, every provider whose capabilities rule it out is
+ * skipped, the primary engine included.
+ * @param {string} engine - Primary engine chosen by the user
+ * @param {string} apiKey - API key for the primary engine
+ * @param {string[]} fallbackProviders - Fallback order from settings
+ * @param {Object<string, string>} apiKeys - Stored API keys by provider
+ * @param {Object} options
+ * @param {function(string): boolean} options.isAvailable - Whether the license covers a provider
+ * @param {{text?: string, sourceLang?: string, targetLang?: string}} [options.input] - See describeUnsupportedInput
+ * @returns {ChainStep[]}
+ * @throws {UnsupportedInputError} When no provider in the chain takes the input; the primary engine's reason is given
+ */
+export function buildProviderChain(engine, apiKey, fallbackProviders, apiKeys, { isAvailable, input }) {
+  const chain = [{ engine, apiKey }];
+
+  for (const fallback of fallbackProviders) {
+    if (fallback === engine || !hasProvider(fallback)) continue;
+    if (!isAvailable(fallback)) continue;
+    if (!apiKeys[fallback] && isApiKeyRequired(fallback)) continue;
+    chain.push({ engine: fallback, apiKey: apiKeys[fallback] });
+  }
+
+  if (!input) {
+    return chain;
+  }
+  const usable = chain.filter(step => !describeUnsupportedStep(step.engine, input));
+  if (usable.length === 0) {
+    throw new UnsupportedInputError(describeUnsupportedStep(engine, input));
+  }
+  return usable;
+}
+
+/**
+ * Whether a failed step should hand over to the next provider
+ * Cancelled requests and errors another provider would hit too (bad settings,
+ * unsupported input) are thrown instead.
+ * @param {Error} error - Why the step failed
+ * @param {Object} state
+ * @param {boolean} state.isLastStep - No provider is left to try
+ * @param {AbortSignal} [state.signal] - The request's cancel signal
+ * @returns {boolean}
+ */
+export function shouldFallback(error, { isLastStep, signal }) {
+  return !isLastStep && !signal?.aborted && canFallback(error);
+}
+
+/**
+ * Try each step of a chain in order until one succeeds
+ * @template T
+ * @param {ChainStep[]} chain - From buildProviderChain
+ * @param {function(ChainStep): Promise<T>} attempt - Runs the request with one provider
+ * @param {Object} [options]
+ * @param {function(ChainStep): void} [options.onFallback] - Called before trying each fallback
+ * @param {AbortSignal} [options.signal] - Stops falling back once aborted
+ * @returns {Promise<{step: ChainStep, result: T}>} - The step that answered and its result
+ * @throws {Error} - The last error, or the first one that must not fall back
+ */
+async function runProviderChain(chain, attempt, { onFallback, signal } = {}) {
+  for (const [index, step] of chain.entries()) {
+    if (index > 0) {
+      onFallback?.(step);
+    }
+
+    try {
+      return { step, result: await attempt(step) };
+    } catch (error) {
+      if (!shouldFallback(error, { isLastStep: index === chain.length - 1, signal })) {
+        throw error;
+      }
+      console.warn(`${step.engine} failed, trying ${chain[index + 1].engine}:`, error.message);
+    }
+  }
+}
+
+export { runProviderChain };
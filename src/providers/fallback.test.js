@@ -0,0 +1,122 @@
+/**
+ * Tests for the provider fallback chain
+ * Covers the chain order, which fallbacks are skipped and when a failure hands over
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import * as fc from 'fast-check';
+import { buildProviderChain, shouldFallback, runProviderChain } from './fallback.js';
+import {
+  ConfigurationError,
+  InvalidKeyError,
+  MalformedResponseError,
+  NetworkError,
+  QuotaExceededError,
+  RateLimitError,
+  UnsupportedInputError
+} from './errors.js';
+
+describe('buildProviderChain', () => {
+  const everyone = () => true;
+  const apiKeys = { gemini: 'g', openai: 'o', claude: 'c', deepl: 'd' };
+
+  it('starts with the primary engine and keeps the settings order', () => {
+    const chain = buildProviderChain('gemini', 'g', ['claude', 'gemini', 'openai', 'nope'], apiKeys, { isAvailable: everyone });
+    expect(chain).toEqual([
+      { engine: 'gemini', apiKey: 'g' },
+      { engine: 'claude', apiKey: 'c' },
+      { engine: 'openai', apiKey: 'o' }
+    ]);
+  });
+
+  it('skips fallbacks without a key unless they need none', () => {
+    const chain = buildProviderChain('gemini', 'g', ['groq', 'ollama', 'openai'], apiKeys, { isAvailable: everyone });
+    expect(chain.map(step => step.engine)).toEqual(['gemini', 'ollama', 'openai']);
+  });
+
+  it('skips fallbacks the license does not cover', () => {
+    const isAvailable = id => ['gemini', 'deepseek'].includes(id);
+    const chain = buildProviderChain('gemini', 'g', ['openai', 'deepseek'], { ...apiKeys, deepseek: 'k' }, { isAvailable });
+    expect(chain.map(step => step.engine)).toEqual(['gemini', 'deepseek']);
+  });
+
+  it('skips providers that cannot take the input, the primary engine included', () => {
+    const input = { text: 'Hello', sourceLang: 'en', targetLang: 'th' };
+    expect(buildProviderChain('claude', 'c', ['deepl', 'openai'], apiKeys, { isAvailable: everyone, input }))
+      .toEqual([{ engine: 'claude', apiKey: 'c' }, { engine: 'openai', apiKey: 'o' }]);
+    expect(buildProviderChain('deepl', 'd', ['deepl', 'claude'], apiKeys, { isAvailable: everyone, input }))
+      .toEqual([{ engine: 'claude', apiKey: 'c' }]);
+  });
+
+  it('refuses input no provider in the chain takes, with the primary engine\'s reason', () => {
+    const input = { text: 'Hello', sourceLang: 'en', targetLang: 'th' };
+    expect(() => buildProviderChain('deepl', 'd', ['claude'], apiKeys, { isAvailable: () => false, input }))
+      .toThrow(UnsupportedInputError);
+    expect(() => buildProviderChain('deepl', 'd', [], apiKeys, { isAvailable: everyone, input })).toThrow(/DeepL/);
+  });
+});
+
+describe('shouldFallback', () => {
+  const handedOver = [new RateLimitError('slow down'), new NetworkError('offline'), new QuotaExceededError('empty'),
+    new MalformedResponseError('garbled')];
+  const thrown = [new ConfigurationError('no model'), new UnsupportedInputError('too long'), new InvalidKeyError('bad key')];
+
+  it('hands over provider-specific failures and throws the rest', () => {
+    handedOver.forEach(error => expect(shouldFallback(error, { isLastStep: false })).toBe(true));
+    thrown.forEach(error => expect(shouldFallback(error, { isLastStep: false })).toBe(false));
+  });
+
+  it('never hands over from the last step or a cancelled request', () => {
+    const aborted = new AbortController();
+    aborted.abort();
+    fc.assert(fc.property(fc.constantFrom(...handedOver, ...thrown), (error) => {
+      expect(shouldFallback(error, { isLastStep: true })).toBe(false);
+      expect(shouldFallback(error, { isLastStep: false, signal: aborted.signal })).toBe(false);
+    }));
+  });
+});
+
+describe('runProviderChain', () => {
+  const chain = [{ engine: 'gemini' }, { engine: 'openai' }, { engine: 'claude' }];
+
+  it('returns the first step that answers and reports each fallback', async () => {
+    const onFallback = vi.fn();
+    const attempt = vi.fn(async (step) => {
+      if (step.engine !== 'claude') throw new RateLimitError(`${step.engine} is busy`);
+      return 'Halo';
+    });
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const answered = await runProviderChain(chain, attempt, { onFallback });
+
+    expect(answered).toEqual({ step: chain[2], result: 'Halo' });
+    expect(attempt).toHaveBeenCalledTimes(3);
+    expect(onFallback.mock.calls.map(([step]) => step.engine)).toEqual(['openai', 'claude']);
+    vi.restoreAllMocks();
+  });
+
+  it('throws errors that must not fall back, and the last error', async () => {
+    const attempt = vi.fn(async () => {
+      throw new ConfigurationError('no model');
+    });
+    await expect(runProviderChain(chain, attempt)).rejects.toBeInstanceOf(ConfigurationError);
+    expect(attempt).toHaveBeenCalledTimes(1);
+
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await expect(runProviderChain(chain, async (step) => {
+      throw new NetworkError(step.engine);
+    })).rejects.toThrow('claude');
+    vi.restoreAllMocks();
+  });
+
+  it('stops once the request is cancelled', async () => {
+    const controller = new AbortController();
+    const attempt = vi.fn(async () => {
+      controller.abort();
+      throw new NetworkError('aborted');
+    });
+
+    await expect(runProviderChain(chain, attempt, { signal: controller.signal })).rejects.toThrow('aborted');
+    expect(attempt).toHaveBeenCalledTimes(1);
+  });
+});
@@ -1,13 +1,18 @@
 import { BaseProvider } from './base.js';
+import { ContentBlockedError } from './errors.js';
+
+// Finish reasons meaning the candidate was withheld rather than completed
+const GEMINI_BLOCKED_FINISH_REASONS = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'];
 
 /**
  * Google Gemini AI Provider
  * Uses Gemini 2.0 Flash for fast translations
  */
 export class GeminiProvider extends BaseProvider {
-  constructor(apiKey) {
-    super(apiKey);
-    this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent';
+  constructor(apiKey, options = {}) {
+    super(apiKey, options);
+    this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models';
+    this.model = options.model || 'gemini-2.0-flash';
   }
 
   static get displayName() {
@@ -18,23 +23,82 @@ export class GeminiProvider extends BaseProvider {
     return 'gemini';
   }
 
-  async translate(text, sourceLang, targetLang, tone) {
-    const prompt = this.buildPrompt(text, sourceLang, targetLang, tone);
-    
-    const response = await fetch(`${this.baseUrl}?key=${this.apiKey}`, {
-      method: 'POST',
+  static get capabilities() {
+    return { ...super.capabilities, maxInputCharacters: 15000, vision: true };
+  }
+
+  get maxOutputTokens() {
+    return 8192;
+  }
+
+  // Gemini 2.5 models think by default, and thinking counts against maxOutputTokens
+  isReasoningModel() {
+    return /^gemini-2\.5|thinking/.test(this.model);
+  }
+
+  buildRequest({ system, user }, { stream, json, maxTokens }) {
+    // streamGenerateContent only emits SSE framing when alt=sse is set
+    const url = stream
+      ? `${this.baseUrl}/${this.model}:streamGenerateContent?alt=sse&key=${this.apiKey}`
+      : `${this.baseUrl}/${this.model}:generateContent?key=${this.apiKey}`;
+
+    const generationConfig = {};
+    if (maxTokens) {
+      generationConfig.maxOutputTokens = maxTokens;
+    }
+    if (json) {
+      generationConfig.responseMimeType = 'application/json';
+    }
+
+    const body = {
+      contents: [{ role: 'user', parts: [{ text: user }] }],
+      generationConfig
+    };
+    if (system) {
+      body.systemInstruction = { parts: [{ text: system }] };
+    }
+
+    return {
+      url,
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }]
-      })
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error?.message || 'Gemini API error');
+      body
+    };
+  }
+
+  parseResponse(data) {
+    const reason = data.promptFeedback?.blockReason || data.candidates?.[0]?.finishReason;
+    if (data.promptFeedback?.blockReason || GEMINI_BLOCKED_FINISH_REASONS.includes(reason)) {
+      throw new ContentBlockedError(`Gemini blocked this text (${reason})`, { provider: GeminiProvider.id });
     }
+    return data.candidates?.[0]?.content?.parts?.[0]?.text;
+  }
+
+  parseStreamChunk(data) {
+    return this.parseResponse(data);
+  }
+
+  isLengthStop(data) {
+    return data.candidates?.[0]?.finishReason === 'MAX_TOKENS';
+  }
+
+  // Thinking tokens are billed as output
+  parseUsage(data) {
+    const usage = data.usageMetadata;
+    if (!usage) return null;
+    return {
+      inputTokens: usage.promptTokenCount,
+      outputTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0)
+    };
+  }
 
-    const data = await response.json();
-    return data.candidates?.[0]?.content?.parts?.[0]?.text || 'No translation returned';
+  /**
+   * List models that support generateContent
+   * @returns {Promise<string[]>}
+   */
+  async listModels() {
+    const data = await this.getJson(`${this.baseUrl}?pageSize=1000&key=${this.apiKey}`);
+    return (data.models || [])
+      .filter(model => model.supportedGenerationMethods?.includes('generateContent'))
+      .map(model => model.name.replace(/^models\//, ''));
   }
 }
@@ -1,15 +1,15 @@
-import { BaseProvider } from './base.js';
+import { OpenAICompatibleProvider } from './openaiCompatible.js';
 
 /**
  * Groq Provider
  * Ultra-fast translations using Groq LPU with Llama models
  * Free tier available with generous limits
  */
-export class GroqProvider extends BaseProvider {
-  constructor(apiKey) {
-    super(apiKey);
+export class GroqProvider extends OpenAICompatibleProvider {
+  constructor(apiKey, options = {}) {
+    super(apiKey, options);
     this.baseUrl = 'https://api.groq.com/openai/v1/chat/completions';
-    this.model = 'llama-3.3-70b-versatile';
+    this.model = options.model || 'llama-3.3-70b-versatile';
   }
 
   static get displayName() {
@@ -20,28 +20,20 @@ export class GroqProvider extends BaseProvider {
     return 'groq';
   }
 
-  async translate(text, sourceLang, targetLang, tone) {
-    const prompt = this.buildPrompt(text, sourceLang, targetLang, tone);
-    
-    const response = await fetch(this.baseUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.apiKey}`
-      },
-      body: JSON.stringify({
-        model: this.model,
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 2000
-      })
-    });
+  static get capabilities() {
+    return { ...super.capabilities, maxInputCharacters: 15000 };
+  }
+
+  get maxOutputTokens() {
+    return 8192;
+  }
 
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error?.message || 'Groq API error');
-    }
+  // Groq rejects response_format together with stream: true
+  get supportsJsonStreaming() {
+    return false;
+  }
 
-    const data = await response.json();
-    return data.choices?.[0]?.message?.content || 'No translation returned';
+  isChatModel(modelId) {
+    return !/(whisper|guard|tts)/.test(modelId);
   }
 }
@@ -7,6 +7,13 @@ import { OpenAIProvider } from './openai.js';
 import { DeepSeekProvider } from './deepseek.js';
 import { ClaudeProvider } from './claude.js';
 import { GroqProvider } from './groq.js';
+import { MistralProvider } from './mistral.js';
+import { OpenRouterProvider } from './openrouter.js';
+import { AzureOpenAIProvider } from './azure.js';
+import { DeepLProvider } from './deepl.js';
+import { LibreTranslateProvider } from './libretranslate.js';
+import { CustomProvider } from './custom.js';
+import { OllamaProvider } from './ollama.js';
 
 // Provider registry - add new providers here
 const providers = {
@@ -14,27 +21,39 @@ const providers = {
   openai: OpenAIProvider,
   deepseek: DeepSeekProvider,
   claude: ClaudeProvider,
-  groq: GroqProvider
+  groq: GroqProvider,
+  mistral: MistralProvider,
+  openrouter: OpenRouterProvider,
+  azure: AzureOpenAIProvider,
+  deepl: DeepLProvider,
+  libretranslate: LibreTranslateProvider,
+  custom: CustomProvider,
+  ollama: OllamaProvider
 };
 
 /**
  * Get provider instance by ID
+ * @param {string} providerId - Provider identifier
+ * @param {string} apiKey - API key for the provider
+ * @param {Object} [options] - Provider-specific settings (endpoint, model, headers)
  */
-export function getProvider(providerId, apiKey) {
+export function getProvider(providerId, apiKey, options = {}) {
   const ProviderClass = providers[providerId];
   if (!ProviderClass) {
     throw new Error(`Unknown provider: ${providerId}`);
   }
-  return new ProviderClass(apiKey);
+  return new ProviderClass(apiKey, options);
 }
 
 /**
  * Get all available providers info
+ * @returns {{id: string, name: string, capabilities: import('./capabilities.js').ProviderCapabilities}[]}
  */
 export function getAvailableProviders() {
   return Object.entries(providers).map(([id, ProviderClass]) => ({
     id,
-    name: ProviderClass.displayName
+    name: ProviderClass.displayName,
+    capabilities: ProviderClass.capabilities
   }));
 }
 
@@ -45,4 +64,13 @@ export function hasProvider(providerId) {
   return providerId in providers;
 }
 
+/**
+ * Check whether a provider needs an API key to be used
+ * @param {string} providerId - Provider identifier
+ * @returns {boolean} - True for unknown providers
+ */
+export function isApiKeyRequired(providerId) {
+  return (providers[providerId]?.capabilities.keyRequirement || 'required') === 'required';
+}
+
 export { providers };
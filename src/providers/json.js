@@ -0,0 +1,27 @@
+/**
+ * JSON Answer Extraction
+ * Models asked for JSON often wrap it in a Markdown code fence or surround it
+ * with chatter, so the answer parsers read the outermost JSON value instead of
+ * the whole text.
+ */
+
+/**
+ * Parse the JSON value spanning from the first opening to the last closing bracket
+ * @param {string} text - Raw model output
+ * @param {Object} [options]
+ * @param {boolean} [options.arrays] - Also accept a bare array; objects only otherwise
+ * @returns {*} - The parsed value, or null when the text holds no valid JSON
+ */
+export function extractJson(text, { arrays = false } = {}) {
+  if (typeof text !== 'string') return null;
+
+  const start = arrays ? text.search(/[[{]/) : text.indexOf('{');
+  const end = arrays ? Math.max(text.lastIndexOf('}'), text.lastIndexOf(']')) : text.lastIndexOf('}');
+  if (start === -1 || end < start) return null;
+
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * Tests for extractJson, which every JSON answer parser reads through
+ */
+
+import { describe, it, expect } from 'vitest';
+import { extractJson } from './json.js';
+
+describe('extractJson', () => {
+  it('reads an object out of a code fence or chatter', () => {
+    expect(extractJson('```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+    expect(extractJson('Here you go: {"a": {"b": 2}} Hope that helps!')).toEqual({ a: { b: 2 } });
+  });
+
+  it('reads bare arrays only when asked to', () => {
+    expect(extractJson('["Hallo", "Hi"]', { arrays: true })).toEqual(['Hallo', 'Hi']);
+    expect(extractJson('["Hallo", "Hi"]')).toBeNull();
+    expect(extractJson('Note [1]: {"a": 1}')).toEqual({ a: 1 });
+  });
+
+  it('returns null for text without valid JSON', () => {
+    expect(extractJson('Guten Morgen')).toBeNull();
+    expect(extractJson('} backwards {')).toBeNull();
+    expect(extractJson('{"a": 1')).toBeNull();
+    expect(extractJson('{not json}')).toBeNull();
+    expect(extractJson(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,72 @@
+import { MachineTranslationProvider } from './machineTranslation.js';
+import { MalformedResponseError } from './errors.js';
+import { normalizeLanguageCode, normalizeConfidence } from './detection.js';
+
+/**
+ * LibreTranslate Provider
+ * Open-source machine translation on the user's own server (or a hosted
+ * instance). Keys are only needed where the server enforces them; tones and
+ * glossaries are not supported.
+ */
+export class LibreTranslateProvider extends MachineTranslationProvider {
+  /**
+   * @param {string} [apiKey] - Key for servers started with --api-keys
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - Server URL, defaults to http://localhost:5000
+   */
+  constructor(apiKey, options = {}) {
+    super(apiKey, options);
+    this.baseUrl = (options.baseUrl || LibreTranslateProvider.defaultBaseUrl).trim().replace(/\/+$/, '');
+  }
+
+  static get displayName() {
+    return 'LibreTranslate';
+  }
+
+  static get id() {
+    return 'libretranslate';
+  }
+
+  static get capabilities() {
+    return { ...super.capabilities, keyRequirement: 'optional', costTier: 'local' };
+  }
+
+  static get defaultBaseUrl() {
+    return 'http://localhost:5000';
+  }
+
+  /**
+   * Check the server and key with a language detection, the cheapest call that needs the key
+   * @returns {Promise<{rateLimits: null}>}
+   */
+  async testConnection() {
+    const body = { q: 'Hello' };
+    if (this.apiKey) {
+      body.api_key = this.apiKey;
+    }
+    await this.postJson(`${this.baseUrl}/detect`, { 'Content-Type': 'application/json' }, body, { maxRetries: 0 });
+    return { rateLimits: null };
+  }
+
+  async requestTranslations(texts, sourceLang, targetLang, tone, options = {}) {
+    const body = { q: texts, source: sourceLang, target: targetLang, format: 'text' };
+    if (this.apiKey) {
+      body.api_key = this.apiKey;
+    }
+
+    const data = await this.postJson(`${this.baseUrl}/translate`, { 'Content-Type': 'application/json' }, body, options);
+    // A list of texts is answered with lists, one item per text
+    const translations = [].concat(data.translatedText ?? []);
+    const detected = [].concat(data.detectedLanguage ?? []);
+    if (translations.length !== texts.length) {
+      throw new MalformedResponseError('LibreTranslate returned a different number of translations than requested', {
+        provider: LibreTranslateProvider.id
+      });
+    }
+    return translations.map((translation, index) => ({
+      translation: typeof translation === 'string' ? translation : '',
+      detectedLanguage: normalizeLanguageCode(detected[index]?.language),
+      confidence: normalizeConfidence(detected[index]?.confidence)
+    }));
+  }
+}
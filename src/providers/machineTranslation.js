@@ -0,0 +1,199 @@
+import { BaseProvider } from './base.js';
+import { ConfigurationError, MalformedResponseError } from './errors.js';
+import { createBatchItems } from './batch.js';
+import { findTone } from '../utils/tones.js';
+
+/**
+ * Machine Translation Provider
+ * Shared handling for classic translation APIs (DeepL, LibreTranslate). They
+ * take plain text and a language pair instead of a prompt, so they are fast
+ * and cheap for bulk page text but cannot follow tone instructions, prompt
+ * templates or the JSON answers behind alternatives, word lookups and
+ * explanations.
+ */
+export class MachineTranslationProvider extends BaseProvider {
+  constructor(apiKey, options = {}) {
+    super(apiKey, options);
+    if (new.target === MachineTranslationProvider) {
+      throw new Error('MachineTranslationProvider is abstract and cannot be instantiated directly');
+    }
+  }
+
+  static get capabilities() {
+    return {
+      ...super.capabilities,
+      tones: false,
+      formality: false,
+      glossary: false,
+      prompts: false,
+      maxInputCharacters: null,
+      streaming: false,
+      jsonMode: false,
+      modelList: false
+    };
+  }
+
+  /**
+   * Most segments sent in one request
+   * @returns {number}
+   */
+  get maxBatchSegments() {
+    return 50;
+  }
+
+  /**
+   * Most characters of text sent in one request
+   * @returns {number}
+   */
+  get maxBatchCharacters() {
+    return 30000;
+  }
+
+  /**
+   * Translate a list of texts in one request - must be implemented by subclasses
+   * @param {string[]} texts - Non-empty texts, at most maxBatchSegments
+   * @param {string} sourceLang - Source language code, or 'auto'
+   * @param {string} targetLang - Target language code
+   * @param {string} tone - Translation tone, see formalityFor
+   * @param {Object} options - Same as translate
+   * @returns {Promise<import('./detection.js').TranslationResult[]>} - One result per text, in order
+   */
+  async requestTranslations(texts, sourceLang, targetLang, tone, options) {
+    throw new Error("Method 'requestTranslations' must be implemented by subclass");
+  }
+
+  /**
+   * Formality a tone asks for; custom tones and Neutral ask for none
+   * @param {string} [tone] - Tone id
+   * @returns {'more'|'less'|null}
+   */
+  formalityFor(tone) {
+    return findTone(tone)?.formality || null;
+  }
+
+  /**
+   * Translate text in one request
+   * Nothing is streamed: onChunk, when given, receives the whole translation at once.
+   * @param {string} text - Text to translate
+   * @param {string} sourceLang - Source language code
+   * @param {string} targetLang - Target language code
+   * @param {string} tone - Translation tone; only its formality is used
+   * @param {Object} [options] - Same as BaseProvider.translate; template and customTones are ignored
+   * @returns {Promise<import('./detection.js').TranslationResult>}
+   * @throws {ProviderError} A subclass from errors.js describing what went wrong
+   */
+  async translate(text, sourceLang, targetLang, tone, options = {}) {
+    this.lastUsage = null;
+    const [result] = await this.requestTranslations([text], sourceLang, targetLang, tone, options);
+    if (!result?.translation) {
+      throw new MalformedResponseError(`${this.constructor.displayName} returned an empty translation`, {
+        provider: this.constructor.id
+      });
+    }
+
+    options.onChunk?.(result.translation, result.translation);
+    const detect = sourceLang === 'auto';
+    return {
+      translation: result.translation,
+      detectedLanguage: detect ? result.detectedLanguage : null,
+      confidence: detect ? result.confidence : null
+    };
+  }
+
+  /**
+   * Translate many segments, up to maxBatchSegments and maxBatchCharacters per request
+   * Takes the same arguments as BaseProvider.translateBatch.
+   * @returns {Promise<string[]>} - Translations in the same order as the segments
+   * @throws {MalformedResponseError} When the service left segments untranslated
+   */
+  async translateBatch(segments, options = {}) {
+    const { sourceLang = 'auto', targetLang, tone, onProgress } = options;
+    const items = createBatchItems(segments);
+    this.lastUsage = null;
+
+    const results = new Map();
+    items.filter(item => !item.text?.trim()).forEach(item => results.set(item.id, item.text || ''));
+
+    for (const batch of this.planRequests(items.filter(item => !results.has(item.id)))) {
+      const translations = await this.requestTranslations(batch.map(item => item.text), sourceLang, targetLang, tone, options);
+      batch.forEach((item, index) => {
+        const translation = translations[index]?.translation;
+        if (typeof translation === 'string' && translation.trim()) {
+          results.set(item.id, translation);
+        }
+      });
+      onProgress?.(results.size, items.length);
+    }
+
+    const missing = items.length - results.size;
+    if (missing > 0) {
+      throw new MalformedResponseError(
+        `${this.constructor.displayName} left ${missing} of ${items.length} segments untranslated`,
+        { provider: this.constructor.id }
+      );
+    }
+    return items.map(item => results.get(item.id));
+  }
+
+  /**
+   * Split segments into consecutive requests within the segment and character limits
+   * A segment longer than the character limit gets a request to itself.
+   * @param {{id: string, text: string}[]} items
+   * @returns {{id: string, text: string}[][]}
+   */
+  planRequests(items) {
+    const requests = [];
+    let current = [];
+    let characters = 0;
+    for (const item of items) {
+      const full = current.length >= this.maxBatchSegments ||
+        (current.length > 0 && characters + item.text.length > this.maxBatchCharacters);
+      if (full) {
+        requests.push(current);
+        current = [];
+        characters = 0;
+      }
+      current.push(item);
+      characters += item.text.length;
+    }
+    if (current.length > 0) {
+      requests.push(current);
+    }
+    return requests;
+  }
+
+  /**
+   * POST a JSON body and parse the JSON answer, with the retries of postWithRetry
+   * @param {string} url - Request URL
+   * @param {Object} headers - Request headers
+   * @param {Object} body - JSON request body
+   * @param {Object} [options] - Retry and cancel options, see postWithRetry
+   * @returns {Promise<Object>}
+   */
+  async postJson(url, headers, body, options = {}) {
+    const response = await this.postWithRetry(url, headers, body, options);
+    return response.json().catch(() => {
+      throw new MalformedResponseError(`${this.constructor.displayName} sent a response that is not valid JSON`, {
+        provider: this.constructor.id
+      });
+    });
+  }
+
+  buildPrompt() {
+    throw new Error(`${this.constructor.displayName} translates text directly and takes no prompt`);
+  }
+
+  buildBatchPrompt() {
+    throw new Error(`${this.constructor.displayName} translates text directly and takes no prompt`);
+  }
+
+  /**
+   * Alternatives, word lookups and explanations need a language model
+   * @throws {ConfigurationError} Always
+   */
+  async completeJson() {
+    throw new ConfigurationError(
+      `${this.constructor.displayName} only translates text. Please choose an AI provider for alternatives, dictionary lookups and explanations.`
+    );
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * Tests for the machine translation providers (DeepL, LibreTranslate)
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { getProvider, getAvailableProviders } from './index.js';
+import { ConfigurationError, InvalidKeyError, QuotaExceededError } from './errors.js';
+import { createGlossaryEntry } from '../utils/glossary.js';
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status });
+
+/**
+ * Stub fetch with a handler per request, recording each URL, method and parsed body
+ * @param {function(string, Object): Response} handler
+ */
+function stubFetch(handler) {
+  const calls = [];
+  vi.stubGlobal('fetch', vi.fn(async (url, init = {}) => {
+    const call = { url, method: init.method || 'GET', headers: init.headers, body: init.body ? JSON.parse(init.body) : null };
+    calls.push(call);
+    return handler(url, call);
+  }));
+  return calls;
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('DeepLProvider', () => {
+  const deeplTranslations = (call) => json({
+    translations: call.body.text.map(text => ({ detected_source_language: 'DE', text: `[${text}]` }))
+  });
+
+  it('sends free plan keys to the free API and maps tones to formality', async () => {
+    const calls = stubFetch((url, call) => deeplTranslations(call));
+    const onChunk = vi.fn();
+
+    const result = await getProvider('deepl', 'abc:fx').translate('Guten Morgen', 'auto', 'en', 'formal', { onChunk });
+
+    expect(result).toEqual({ translation: '[Guten Morgen]', detectedLanguage: 'de', confidence: null });
+    expect(onChunk).toHaveBeenCalledWith('[Guten Morgen]', '[Guten Morgen]');
+    expect(calls[0].url).toBe('https://api-free.deepl.com/v2/translate');
+    expect(calls[0].headers.Authorization).toBe('DeepL-Auth-Key abc:fx');
+    expect(calls[0].body).toEqual({ text: ['Guten Morgen'], target_lang: 'EN-US', formality: 'prefer_more' });
+  });
+
+  it('names the source language and leaves out formality for tones without one', async () => {
+    const calls = stubFetch((url, call) => deeplTranslations(call));
+
+    const result = await getProvider('deepl', 'abc').translate('Hallo', 'de', 'fr', 'simple');
+
+    expect(result.detectedLanguage).toBeNull();
+    expect(calls[0].url).toBe('https://api.deepl.com/v2/translate');
+    expect(calls[0].body).toEqual({ text: ['Hallo'], target_lang: 'FR', source_lang: 'DE' });
+  });
+
+  it('translates batches in requests of at most 50 segments, keeping blanks', async () => {
+    const calls = stubFetch((url, call) => deeplTranslations(call));
+    const segments = Array.from({ length: 60 }, (_, index) => (index === 3 ? ' ' : `Satz ${index}`));
+    const onProgress = vi.fn();
+
+    const translations = await getProvider('deepl', 'abc').translateBatch(segments, { sourceLang: 'de', targetLang: 'en', onProgress });
+
+    expect(calls.map(call => call.body.text.length)).toEqual([50, 9]);
+    expect(translations[0]).toBe('[Satz 0]');
+    expect(translations[3]).toBe(' ');
+    expect(translations[59]).toBe('[Satz 59]');
+    expect(onProgress).toHaveBeenLastCalledWith(60, 60);
+  });
+
+  it('uploads the glossary for the language pair once and replaces older versions', async () => {
+    const glossary = [
+      createGlossaryEntry({ source: 'Kündigung', target: 'notice of termination', sourceLang: 'de', targetLang: 'en' }),
+      createGlossaryEntry({ source: 'Zlate', doNotTranslate: true }),
+      createGlossaryEntry({ source: 'Vertrag', target: 'contrat', sourceLang: 'de', targetLang: 'fr' })
+    ];
+    const calls = stubFetch((url, call) => {
+      if (url.endsWith('/glossaries') && call.method === 'GET') {
+        return json({ glossaries: [{ glossary_id: 'old', name: 'Zlate de-en 0' }, { glossary_id: 'other', name: 'Zlate de-fr 0' }] });
+      }
+      if (url.endsWith('/glossaries')) return json({ glossary_id: 'g1' });
+      if (call.method === 'DELETE') return new Response(null, { status: 204 });
+      return deeplTranslations(call);
+    });
+    const provider = getProvider('deepl', 'abc');
+
+    await provider.translate('Die Kündigung', 'de', 'en', 'neutral', { glossary });
+    await provider.translate('Noch eine Kündigung', 'de', 'en', 'neutral', { glossary });
+
+    const upload = calls.find(call => call.method === 'POST' && call.url.endsWith('/glossaries'));
+    expect(upload.body).toMatchObject({
+      source_lang: 'de',
+      target_lang: 'en',
+      entries: 'Kündigung\tnotice of termination\nZlate\tZlate',
+      entries_format: 'tsv'
+    });
+    expect(calls.filter(call => call.method === 'DELETE').map(call => call.url)).toEqual(['https://api.deepl.com/v2/glossaries/old']);
+    const translateCalls = calls.filter(call => call.url.endsWith('/translate'));
+    expect(translateCalls.map(call => call.body.glossary_id)).toEqual(['g1', 'g1']);
+    expect(calls.filter(call => call.method === 'GET')).toHaveLength(1);
+  });
+
+  it('skips the glossary when the source language is auto-detected or no term appears', async () => {
+    const glossary = [createGlossaryEntry({ source: 'Vertrag', target: 'contract' })];
+    const calls = stubFetch((url, call) => deeplTranslations(call));
+
+    await getProvider('deepl', 'abc').translate('Ein Vertrag', 'auto', 'en', 'neutral', { glossary });
+    await getProvider('deepl', 'abc').translate('Hallo', 'de', 'en', 'neutral', { glossary });
+
+    expect(calls.map(call => call.url)).toEqual(['https://api.deepl.com/v2/translate', 'https://api.deepl.com/v2/translate']);
+    expect(calls.every(call => !call.body.glossary_id)).toBe(true);
+  });
+
+  it('tests the key against the usage endpoint', async () => {
+    const calls = stubFetch(() => json({ character_count: 1000, character_limit: 500000 }));
+    expect(await getProvider('deepl', 'abc:fx').testConnection()).toEqual({
+      rateLimits: { requests: null, tokens: null, characters: { limit: 500000, remaining: 499000, reset: null } }
+    });
+    expect(calls[0].url).toBe('https://api-free.deepl.com/v2/usage');
+
+    stubFetch(() => json({ character_count: 500000, character_limit: 500000 }));
+    await expect(getProvider('deepl', 'abc:fx').testConnection()).rejects.toBeInstanceOf(QuotaExceededError);
+  });
+
+  it('reports an exhausted character quota and rejected keys', async () => {
+    stubFetch(() => json({ message: 'Quota exceeded' }, 456));
+    await expect(getProvider('deepl', 'abc').translate('Hallo', 'de', 'en', 'neutral', { maxRetries: 0 }))
+      .rejects.toBeInstanceOf(QuotaExceededError);
+
+    stubFetch(() => json({ message: 'Wrong endpoint' }, 403));
+    await expect(getProvider('deepl', 'abc').translate('Hallo', 'de', 'en', 'neutral', { maxRetries: 0 }))
+      .rejects.toThrow(InvalidKeyError);
+  });
+});
+
+describe('LibreTranslateProvider', () => {
+  it('posts the texts to the configured server and reads the detected languages', async () => {
+    const calls = stubFetch(() => json({
+      translatedText: ['Hello', 'World'],
+      detectedLanguage: [{ language: 'de', confidence: 90 }, { language: 'de', confidence: 80 }]
+    }));
+    const provider = getProvider('libretranslate', '', { baseUrl: 'https://translate.example.com/' });
+
+    expect(await provider.translateBatch(['Hallo', 'Welt'], { targetLang: 'en' })).toEqual(['Hello', 'World']);
+    expect(calls[0].url).toBe('https://translate.example.com/translate');
+    expect(calls[0].body).toEqual({ q: ['Hallo', 'Welt'], source: 'auto', target: 'en', format: 'text' });
+  });
+
+  it('sends the key only when one is set and reports detection confidence', async () => {
+    const calls = stubFetch(() => json({ translatedText: ['Hello'], detectedLanguage: [{ language: 'de', confidence: 90 }] }));
+
+    const result = await getProvider('libretranslate', 'secret').translate('Hallo', 'auto', 'en', 'formal');
+
+    expect(result).toEqual({ translation: 'Hello', detectedLanguage: 'de', confidence: 0.9 });
+    expect(calls[0].url).toBe('http://localhost:5000/translate');
+    expect(calls[0].body.api_key).toBe('secret');
+  });
+});
+
+describe('machine translation capabilities', () => {
+  it('declares what each backend supports', () => {
+    const capabilities = Object.fromEntries(getAvailableProviders().map(provider => [provider.id, provider.capabilities]));
+    expect(capabilities.gemini).toMatchObject({ tones: true, prompts: true });
+    expect(capabilities.deepl).toMatchObject({ tones: false, formality: true, glossary: true, batch: true, prompts: false });
+    expect(capabilities.libretranslate).toMatchObject({ tones: false, formality: false, glossary: false, batch: true, prompts: false });
+  });
+
+  it('refuses requests that need a prompt', async () => {
+    const fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    const provider = getProvider('deepl', 'abc');
+
+    await expect(provider.lookupWord('Hallo', 'de', 'en')).rejects.toBeInstanceOf(ConfigurationError);
+    await expect(provider.explainTranslation('Hallo', 'Hello', 'de', 'en')).rejects.toBeInstanceOf(ConfigurationError);
+    expect(() => provider.buildPrompt('Hallo', 'de', 'en', 'neutral')).toThrow(/takes no prompt/);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
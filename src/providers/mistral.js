@@ -0,0 +1,42 @@
+import { OpenAICompatibleProvider } from './openaiCompatible.js';
+
+/**
+ * Mistral Provider
+ * Mistral models served from the EU (La Plateforme)
+ */
+export class MistralProvider extends OpenAICompatibleProvider {
+  constructor(apiKey, options = {}) {
+    super(apiKey, options);
+    this.baseUrl = 'https://api.mistral.ai/v1/chat/completions';
+    this.model = options.model || 'mistral-small-latest';
+  }
+
+  static get displayName() {
+    return 'Mistral';
+  }
+
+  static get id() {
+    return 'mistral';
+  }
+
+  static get capabilities() {
+    return { ...super.capabilities, maxInputCharacters: 15000, vision: true };
+  }
+
+  get maxOutputTokens() {
+    return 8192;
+  }
+
+  // Mistral rejects unknown fields such as stream_options; the last chunk carries usage anyway
+  get supportsStreamUsage() {
+    return false;
+  }
+
+  isReasoningModel() {
+    return this.model.startsWith('magistral');
+  }
+
+  isChatModel(modelId) {
+    return !/(embed|moderation|ocr)/.test(modelId);
+  }
+}
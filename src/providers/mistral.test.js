@@ -0,0 +1,15 @@
+/**
+ * Tests for the Mistral provider
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getProvider } from './index.js';
+
+describe('MistralProvider', () => {
+  it('leaves out stream_options, which Mistral rejects', () => {
+    const { url, body } = getProvider('mistral', 'key').buildRequest({ system: '', user: 'Hallo' }, { stream: true, json: true });
+    expect(url).toBe('https://api.mistral.ai/v1/chat/completions');
+    expect(body).not.toHaveProperty('stream_options');
+    expect(body.response_format).toEqual({ type: 'json_object' });
+  });
+});
@@ -0,0 +1,123 @@
+import { BaseProvider } from './base.js';
+import { ProviderError, ConfigurationError } from './errors.js';
+
+/**
+ * Ollama Provider
+ * Fully local translations through an Ollama server - page text never
+ * leaves the machine and no API key is needed
+ */
+export class OllamaProvider extends BaseProvider {
+  /**
+   * @param {string} [apiKey] - Unused, Ollama has no authentication
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - Server URL, defaults to http://localhost:11434
+   * @param {string} [options.model] - Installed model name, e.g. llama3.2
+   */
+  constructor(apiKey, options = {}) {
+    super(apiKey, options);
+    this.baseUrl = (options.baseUrl || OllamaProvider.defaultBaseUrl).trim().replace(/\/+$/, '');
+    this.model = options.model;
+  }
+
+  static get displayName() {
+    return 'Ollama (Local)';
+  }
+
+  static get id() {
+    return 'ollama';
+  }
+
+  static get capabilities() {
+    return { ...super.capabilities, keyRequirement: 'none', costTier: 'local' };
+  }
+
+  static get defaultBaseUrl() {
+    return 'http://localhost:11434';
+  }
+
+  buildRequest({ system, user }, { stream, json, maxTokens }) {
+    if (!this.model) {
+      throw new ConfigurationError('No Ollama model selected. Please choose one in the extension settings.');
+    }
+
+    const messages = [{ role: 'user', content: user }];
+    if (system) {
+      messages.unshift({ role: 'system', content: system });
+    }
+
+    const body = { model: this.model, messages, stream };
+    if (maxTokens) {
+      body.options = { num_predict: maxTokens };
+    }
+    if (json) {
+      body.format = 'json';
+    }
+
+    return {
+      url: `${this.baseUrl}/api/chat`,
+      headers: { 'Content-Type': 'application/json' },
+      body
+    };
+  }
+
+  parseResponse(data) {
+    return data.message?.content;
+  }
+
+  isLengthStop(data) {
+    return data.done_reason === 'length';
+  }
+
+  // Counts arrive on the final message (done: true)
+  parseUsage(data) {
+    if (!data.done) return null;
+    return { inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0 };
+  }
+
+  parseStreamChunk(data) {
+    if (data.error) {
+      throw new ProviderError(data.error, { provider: OllamaProvider.id, status: 500 });
+    }
+    return data.message?.content;
+  }
+
+  /**
+   * List installed models via /api/tags
+   * @returns {Promise<string[]>}
+   */
+  async listModels() {
+    const data = await this.getJson(`${this.baseUrl}/api/tags`);
+    return (data.models || []).map(model => model.name);
+  }
+
+  /**
+   * Ollama streams newline-delimited JSON rather than server-sent events
+   */
+  async readStream(response, onData) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const handleLine = (line) => {
+      if (!line.trim()) return;
+      onData(JSON.parse(line));
+    };
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      }
+
+      buffer += decoder.decode();
+      handleLine(buffer);
+    } finally {
+      await reader.cancel().catch(() => {});
+    }
+  }
+}
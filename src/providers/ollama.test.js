@@ -0,0 +1,63 @@
+/**
+ * Tests for the Ollama provider
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { getProvider } from './index.js';
+import { ConfigurationError, NetworkError } from './errors.js';
+import { stubFetch, chunkedResponse } from './testProvider.js';
+
+describe('OllamaProvider', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('posts chat messages to the server without a key', () => {
+    const provider = getProvider('ollama', '', { baseUrl: 'http://localhost:11434/', model: 'llama3.2' });
+    const { url, headers, body } = provider.buildRequest({ system: 'Be brief', user: 'Hallo' }, {
+      stream: true, json: true, maxTokens: 100
+    });
+
+    expect(url).toBe('http://localhost:11434/api/chat');
+    expect(headers).toEqual({ 'Content-Type': 'application/json' });
+    expect(body).toEqual({
+      model: 'llama3.2',
+      messages: [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Hallo' }],
+      stream: true,
+      options: { num_predict: 100 },
+      format: 'json'
+    });
+  });
+
+  it('requires a model', () => {
+    const provider = getProvider('ollama', '', {});
+    expect(() => provider.buildRequest({ system: '', user: 'Hallo' }, { stream: false })).toThrow(ConfigurationError);
+  });
+
+  it('reads JSON lines split across chunks', async () => {
+    const lines = [
+      { message: { content: 'Good' }, done: false },
+      { message: { content: ' morning' }, done: false },
+      { message: { content: '' }, done: true, done_reason: 'stop', prompt_eval_count: 12, eval_count: 3 }
+    ].map(line => JSON.stringify(line)).join('\n');
+    stubFetch(() => chunkedResponse([lines.slice(0, 10), lines.slice(10, 45), lines.slice(45)]));
+    const chunks = [];
+
+    const provider = getProvider('ollama', '', { model: 'llama3.2' });
+    const result = await provider.translate('Guten Morgen', 'de', 'en', 'neutral', { onChunk: chunk => chunks.push(chunk) });
+
+    expect(result.translation).toBe('Good morning');
+    expect(chunks.join('')).toBe('Good morning');
+    expect(provider.lastUsage).toEqual({ inputTokens: 12, outputTokens: 3 });
+  });
+
+  it('lists installed models and types failures', async () => {
+    stubFetch({ models: [{ name: 'llama3.2' }, { name: 'qwen2.5:7b' }] });
+    expect(await getProvider('ollama', '', {}).listModels()).toEqual(['llama3.2', 'qwen2.5:7b']);
+
+    vi.stubGlobal('fetch', vi.fn(async () => {
+      throw new TypeError('Failed to fetch');
+    }));
+    await expect(getProvider('ollama', '', {}).listModels()).rejects.toBeInstanceOf(NetworkError);
+  });
+});
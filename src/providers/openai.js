@@ -1,14 +1,14 @@
-import { BaseProvider } from './base.js';
+import { OpenAICompatibleProvider } from './openaiCompatible.js';
 
 /**
  * OpenAI Provider
  * Uses GPT-4o-mini for high-quality translations
  */
-export class OpenAIProvider extends BaseProvider {
-  constructor(apiKey) {
-    super(apiKey);
+export class OpenAIProvider extends OpenAICompatibleProvider {
+  constructor(apiKey, options = {}) {
+    super(apiKey, options);
     this.baseUrl = 'https://api.openai.com/v1/chat/completions';
-    this.model = 'gpt-4o-mini';
+    this.model = options.model || 'gpt-4o-mini';
   }
 
   static get displayName() {
@@ -19,28 +19,25 @@ export class OpenAIProvider extends BaseProvider {
     return 'openai';
   }
 
-  async translate(text, sourceLang, targetLang, tone) {
-    const prompt = this.buildPrompt(text, sourceLang, targetLang, tone);
-    
-    const response = await fetch(this.baseUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.apiKey}`
-      },
-      body: JSON.stringify({
-        model: this.model,
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 2000
-      })
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error?.message || 'OpenAI API error');
-    }
-
-    const data = await response.json();
-    return data.choices?.[0]?.message?.content || 'No translation returned';
+  static get capabilities() {
+    return { ...super.capabilities, maxInputCharacters: 30000, vision: true };
+  }
+
+  get maxOutputTokens() {
+    return 16384;
+  }
+
+  // Reasoning models reject the older max_tokens field
+  get maxTokensField() {
+    return 'max_completion_tokens';
+  }
+
+  isReasoningModel() {
+    return /^(o\d|gpt-5)/.test(this.model);
+  }
+
+  isChatModel(modelId) {
+    return /^(gpt-|o\d|chatgpt-)/.test(modelId)
+      && !/(audio|realtime|transcribe|tts|image|search)/.test(modelId);
   }
 }
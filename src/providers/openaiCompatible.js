@@ -0,0 +1,136 @@
+import { BaseProvider } from './base.js';
+import { ContentBlockedError } from './errors.js';
+
+/**
+ * OpenAI-compatible Chat Completions Provider
+ * Shared request/response handling for every vendor that speaks the
+ * OpenAI `/chat/completions` protocol (OpenAI, DeepSeek, Groq, Mistral,
+ * OpenRouter, Azure OpenAI, custom endpoints)
+ */
+export class OpenAICompatibleProvider extends BaseProvider {
+  constructor(apiKey, options = {}) {
+    super(apiKey, options);
+    if (new.target === OpenAICompatibleProvider) {
+      throw new Error('OpenAICompatibleProvider is abstract and cannot be instantiated directly');
+    }
+  }
+
+  /**
+   * Request headers; Authorization is only sent when a key is configured
+   */
+  buildHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  buildRequest({ system, user }, { stream, json, maxTokens }) {
+    const messages = [{ role: 'user', content: user }];
+    if (system) {
+      messages.unshift({ role: 'system', content: system });
+    }
+
+    const body = { model: this.model, messages, stream };
+    if (stream && this.supportsStreamUsage) {
+      body.stream_options = { include_usage: true };
+    }
+    if (maxTokens) {
+      body[this.maxTokensField] = maxTokens;
+    }
+    if (json && this.supportsJsonMode && (!stream || this.supportsJsonStreaming)) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    return { url: this.baseUrl, headers: this.buildHeaders(), body };
+  }
+
+  /**
+   * Body field carrying the output token limit
+   * @returns {string}
+   */
+  get maxTokensField() {
+    return 'max_tokens';
+  }
+
+  /**
+   * Whether the endpoint accepts `stream_options: {include_usage: true}`
+   * @returns {boolean}
+   */
+  get supportsStreamUsage() {
+    return true;
+  }
+
+  /**
+   * Whether the endpoint accepts `response_format: {type: 'json_object'}`
+   * @returns {boolean}
+   */
+  get supportsJsonMode() {
+    return true;
+  }
+
+  /**
+   * Whether JSON mode may be combined with streaming; without it the prompt alone asks for JSON
+   * @returns {boolean}
+   */
+  get supportsJsonStreaming() {
+    return true;
+  }
+
+  parseResponse(data) {
+    this.checkContentFilter(data);
+    return data.choices?.[0]?.message?.content;
+  }
+
+  parseStreamChunk(data) {
+    this.checkContentFilter(data);
+    return data.choices?.[0]?.delta?.content;
+  }
+
+  isLengthStop(data) {
+    return data.choices?.[0]?.finish_reason === 'length';
+  }
+
+  // Groq reports streamed usage under x_groq instead of the top-level field
+  parseUsage(data) {
+    const usage = data.usage || data.x_groq?.usage;
+    if (!usage) return null;
+    return { inputTokens: usage.prompt_tokens, outputTokens: usage.completion_tokens };
+  }
+
+  /**
+   * Throw if the vendor's moderation cut the completion short
+   * @param {Object} data - Response body or stream chunk
+   */
+  checkContentFilter(data) {
+    if (data.choices?.[0]?.finish_reason === 'content_filter') {
+      throw new ContentBlockedError(`${this.constructor.displayName} withheld the translation (content filter)`, {
+        provider: this.constructor.id
+      });
+    }
+  }
+
+  /**
+   * List models from the sibling `/models` endpoint
+   * @returns {Promise<string[]>}
+   */
+  async listModels() {
+    const modelsUrl = this.baseUrl.replace(/\/chat\/completions$/, '/models');
+    const data = await this.getJson(modelsUrl, this.buildHeaders());
+    return (data.data || [])
+      .map(model => model.id)
+      .filter(id => this.isChatModel(id))
+      .sort();
+  }
+
+  /**
+   * Whether a listed model can serve chat completions
+   * Vendors that mix in embedding/audio/image models override this.
+   * @param {string} modelId - Model identifier
+   * @returns {boolean}
+   */
+  isChatModel(modelId) {
+    return true;
+  }
+}
@@ -0,0 +1,57 @@
+import { OpenAICompatibleProvider } from './openaiCompatible.js';
+
+// Attribution OpenRouter shows for requests from this extension
+const OPENROUTER_REFERER = 'https://zlate.app';
+const OPENROUTER_TITLE = 'Zlate';
+
+/**
+ * OpenRouter Provider
+ * One key for models from many vendors, named "vendor/model"
+ */
+export class OpenRouterProvider extends OpenAICompatibleProvider {
+  constructor(apiKey, options = {}) {
+    super(apiKey, options);
+    this.baseUrl = 'https://openrouter.ai/api/v1/chat/completions';
+    this.model = options.model || 'openai/gpt-4o-mini';
+  }
+
+  static get displayName() {
+    return 'OpenRouter';
+  }
+
+  static get id() {
+    return 'openrouter';
+  }
+
+  static get capabilities() {
+    return { ...super.capabilities, maxInputCharacters: 15000, vision: true };
+  }
+
+  get maxOutputTokens() {
+    return 8192;
+  }
+
+  buildHeaders() {
+    return {
+      ...super.buildHeaders(),
+      'HTTP-Referer': OPENROUTER_REFERER,
+      'X-Title': OPENROUTER_TITLE
+    };
+  }
+
+  isReasoningModel() {
+    return /\/(o\d|gpt-5)|-r1\b|reasoner|thinking/.test(this.model);
+  }
+
+  /**
+   * List models that answer in text; the catalogue also holds image and audio models
+   * @returns {Promise<string[]>}
+   */
+  async listModels() {
+    const data = await this.getJson('https://openrouter.ai/api/v1/models', this.buildHeaders());
+    return (data.data || [])
+      .filter(model => (model.architecture?.output_modalities || ['text']).includes('text'))
+      .map(model => model.id)
+      .sort();
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * Tests for the OpenRouter provider
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { getProvider } from './index.js';
+
+describe('OpenRouterProvider', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('sends the attribution headers with each request', () => {
+    const { url, headers, body } = getProvider('openrouter', 'key').buildRequest({ system: '', user: 'Hallo' }, { stream: true });
+    expect(url).toBe('https://openrouter.ai/api/v1/chat/completions');
+    expect(headers).toMatchObject({ 'Authorization': 'Bearer key', 'HTTP-Referer': 'https://zlate.app', 'X-Title': 'Zlate' });
+    expect(body.model).toBe('openai/gpt-4o-mini');
+  });
+
+  it('lists only models that answer in text', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(JSON.stringify({
+      data: [
+        { id: 'openai/gpt-4o-mini', architecture: { output_modalities: ['text'] } },
+        { id: 'google/gemini-image', architecture: { output_modalities: ['image'] } },
+        { id: 'anthropic/claude-3.5-haiku' }
+      ]
+    }), { status: 200 })));
+
+    expect(await getProvider('openrouter', 'key').listModels()).toEqual(['anthropic/claude-3.5-haiku', 'openai/gpt-4o-mini']);
+  });
+
+  it('gives reasoning models their full output budget', () => {
+    expect(getProvider('openrouter', 'key', { model: 'deepseek/deepseek-r1' }).isReasoningModel()).toBe(true);
+    expect(getProvider('openrouter', 'key').isReasoningModel()).toBe(false);
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Retry Policy
+ * Exponential backoff with full jitter, shortened or stretched by the
+ * server's own hints (Retry-After headers and vendor error bodies)
+ */
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} maxRetries - Retries after the first attempt
+ * @property {number} baseDelay - Backoff base in milliseconds
+ * @property {number} maxDelay - Longest wait worth making; longer hints give up instead
+ */
+
+/** @type {RetryPolicy} */
+export const DEFAULT_RETRY_POLICY = {
+  maxRetries: 2,
+  baseDelay: 1000,
+  maxDelay: 30000
+};
+
+/**
+ * Parse a duration such as "13s", "1.5s", "120ms", "1m2.5s" or "2h" into milliseconds
+ * @param {string} value - Duration string
+ * @returns {number|null}
+ */
+export function parseDuration(value) {
+  if (typeof value !== 'string') return null;
+
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  const pattern = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+  let total = 0;
+  let matched = '';
+  let match;
+  while ((match = pattern.exec(value.trim())) !== null) {
+    total += parseFloat(match[1]) * units[match[2]];
+    matched += match[0];
+  }
+  return matched && matched === value.trim() ? Math.ceil(total) : null;
+}
+
+/**
+ * Read the delay the server asked for from response headers
+ * Supports `retry-after-ms` (OpenAI) and `Retry-After` as seconds or an HTTP date.
+ * @param {Headers} headers - Response headers
+ * @param {number} [now] - Current time, for testing
+ * @returns {number|null} - Delay in milliseconds
+ */
+export function parseRetryAfter(headers, now = Date.now()) {
+  const retryAfterMs = parseFloat(headers.get('retry-after-ms'));
+  if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) {
+    return Math.ceil(retryAfterMs);
+  }
+
+  const retryAfter = headers.get('retry-after');
+  if (!retryAfter) return null;
+
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return Math.ceil(seconds * 1000);
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Read a vendor-specific retry hint from an error body
+ * - Gemini: google.rpc.RetryInfo detail with `retryDelay: "13s"`
+ * - OpenAI/Groq: "Please try again in 7.5s" in the error message
+ * @param {Object} body - Parsed error body
+ * @returns {number|null} - Delay in milliseconds
+ */
+export function parseRetryHint(body) {
+  const details = body?.error?.details;
+  if (Array.isArray(details)) {
+    const retryInfo = details.find(detail => detail?.['@type']?.endsWith('google.rpc.RetryInfo'));
+    const delay = parseDuration(retryInfo?.retryDelay);
+    if (delay !== null) return delay;
+  }
+
+  const message = body?.error?.message;
+  if (typeof message === 'string') {
+    const match = message.match(/try again in ((?:\d+(?:\.\d+)?(?:ms|h|m|s))+)/i);
+    if (match) return parseDuration(match[1]);
+  }
+
+  return null;
+}
+
+/**
+ * @typedef {Object} RateLimitWindow
+ * @property {number|null} limit - Allowed in the window
+ * @property {number|null} remaining - Left in the window
+ * @property {number|null} reset - Milliseconds until the window resets
+ */
+
+/**
+ * @typedef {Object} RateLimits
+ * @property {RateLimitWindow|null} requests
+ * @property {RateLimitWindow|null} tokens
+ * @property {RateLimitWindow|null} [characters] - Machine translation quotas
+ */
+
+// Header names per vendor convention, for a window kind and a field
+const RATE_LIMIT_HEADER_NAMES = [
+  // OpenAI, Groq, Azure and other OpenAI-compatible APIs: "6m0s" durations
+  (kind, field) => `x-ratelimit-${field}-${kind}`,
+  // Claude: reset is an RFC 3339 timestamp
+  (kind, field) => `anthropic-ratelimit-${kind}-${field}`
+];
+
+/**
+ * Read the rate-limit windows a response reports for the key
+ * @param {Headers} headers - Response headers
+ * @param {number} [now] - Current time, for testing
+ * @returns {RateLimits|null} - Null when the vendor sends no rate-limit headers
+ */
+export function parseRateLimits(headers, now = Date.now()) {
+  const toNumber = (value) => (value === null || value === '' || !Number.isFinite(Number(value)) ? null : Number(value));
+  const toDelay = (value) => {
+    if (!value) return null;
+    const duration = parseDuration(value);
+    if (duration !== null) return duration;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+  };
+
+  const readWindow = (kind) => {
+    for (const name of RATE_LIMIT_HEADER_NAMES) {
+      const window = {
+        limit: toNumber(headers.get(name(kind, 'limit'))),
+        remaining: toNumber(headers.get(name(kind, 'remaining'))),
+        reset: toDelay(headers.get(name(kind, 'reset')))
+      };
+      if (Object.values(window).some(value => value !== null)) {
+        return window;
+      }
+    }
+    return null;
+  };
+
+  const requests = readWindow('requests');
+  const tokens = readWindow('tokens');
+  return requests || tokens ? { requests, tokens } : null;
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay in [0, base * 2^attempt], capped
+ * @param {number} attempt - Zero-based retry number
+ * @param {RetryPolicy} [policy] - Retry policy
+ * @param {function(): number} [random] - Random source, for testing
+ * @returns {number} - Delay in milliseconds
+ */
+export function computeBackoff(attempt, policy = DEFAULT_RETRY_POLICY, random = Math.random) {
+  const ceiling = Math.min(policy.maxDelay, policy.baseDelay * 2 ** attempt);
+  return Math.round(random() * ceiling);
+}
+
+/**
+ * Wait for a number of milliseconds, ending early if the signal aborts
+ * @param {number} ms - Delay
+ * @param {AbortSignal} [signal] - Rejects with the abort reason when aborted
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
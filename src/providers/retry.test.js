@@ -0,0 +1,130 @@
+/**
+ * Tests for the provider retry policy
+ * Covers server retry hints (headers and vendor error bodies) and jittered backoff
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  DEFAULT_RETRY_POLICY,
+  parseDuration,
+  parseRetryAfter,
+  parseRetryHint,
+  parseRateLimits,
+  computeBackoff
+} from './retry.js';
+
+describe('parseDuration', () => {
+  it('parses vendor duration strings into milliseconds', () => {
+    expect(parseDuration('13s')).toBe(13000);
+    expect(parseDuration('1.5s')).toBe(1500);
+    expect(parseDuration('120ms')).toBe(120);
+    expect(parseDuration('1m2.5s')).toBe(62500);
+    expect(parseDuration('2h')).toBe(7200000);
+  });
+
+  it('rejects anything that is not a duration', () => {
+    expect(parseDuration('soon')).toBeNull();
+    expect(parseDuration('13 seconds')).toBeNull();
+    expect(parseDuration(undefined)).toBeNull();
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('prefers retry-after-ms over Retry-After', () => {
+    const headers = new Headers({ 'retry-after-ms': '250', 'retry-after': '3' });
+    expect(parseRetryAfter(headers)).toBe(250);
+  });
+
+  it('reads Retry-After as seconds or as an HTTP date', () => {
+    expect(parseRetryAfter(new Headers({ 'retry-after': '7' }))).toBe(7000);
+
+    const now = Date.parse('2025-01-01T00:00:00Z');
+    const headers = new Headers({ 'retry-after': 'Wed, 01 Jan 2025 00:00:30 GMT' });
+    expect(parseRetryAfter(headers, now)).toBe(30000);
+  });
+
+  it('returns null without a usable header', () => {
+    expect(parseRetryAfter(new Headers())).toBeNull();
+    expect(parseRetryAfter(new Headers({ 'retry-after': 'later' }))).toBeNull();
+  });
+});
+
+describe('parseRateLimits', () => {
+  it('reads OpenAI-style windows with duration resets', () => {
+    const headers = new Headers({
+      'x-ratelimit-limit-requests': '500',
+      'x-ratelimit-remaining-requests': '499',
+      'x-ratelimit-reset-requests': '120ms',
+      'x-ratelimit-limit-tokens': '200000',
+      'x-ratelimit-remaining-tokens': '199990',
+      'x-ratelimit-reset-tokens': '6m0s'
+    });
+    expect(parseRateLimits(headers)).toEqual({
+      requests: { limit: 500, remaining: 499, reset: 120 },
+      tokens: { limit: 200000, remaining: 199990, reset: 360000 }
+    });
+  });
+
+  it('reads Claude windows with timestamp resets', () => {
+    const now = Date.parse('2025-01-01T00:00:00Z');
+    const headers = new Headers({
+      'anthropic-ratelimit-requests-limit': '50',
+      'anthropic-ratelimit-requests-remaining': '49',
+      'anthropic-ratelimit-requests-reset': '2025-01-01T00:00:30Z'
+    });
+    expect(parseRateLimits(headers, now)).toEqual({
+      requests: { limit: 50, remaining: 49, reset: 30000 },
+      tokens: null
+    });
+  });
+
+  it('returns null without rate-limit headers', () => {
+    expect(parseRateLimits(new Headers({ 'content-type': 'application/json' }))).toBeNull();
+  });
+});
+
+describe('parseRetryHint', () => {
+  it('reads the Gemini RetryInfo detail', () => {
+    const body = {
+      error: {
+        code: 429,
+        details: [
+          { '@type': 'type.googleapis.com/google.rpc.QuotaFailure' },
+          { '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '21s' }
+        ]
+      }
+    };
+    expect(parseRetryHint(body)).toBe(21000);
+  });
+
+  it('reads the "try again in" hint from OpenAI and Groq messages', () => {
+    const body = { error: { message: 'Rate limit reached for model. Please try again in 7.66s. Visit ...' } };
+    expect(parseRetryHint(body)).toBe(7660);
+    expect(parseRetryHint({ error: { message: 'Please try again in 1m30s.' } })).toBe(90000);
+  });
+
+  it('returns null when the body carries no hint', () => {
+    expect(parseRetryHint({ error: { message: 'Internal error' } })).toBeNull();
+    expect(parseRetryHint({})).toBeNull();
+  });
+});
+
+describe('computeBackoff', () => {
+  it('stays within the exponential ceiling and the policy cap', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 0, max: 20 }),
+        fc.double({ min: 0, max: 1, maxExcluded: true, noNaN: true }),
+        (attempt, randomValue) => {
+          const delay = computeBackoff(attempt, DEFAULT_RETRY_POLICY, () => randomValue);
+          const ceiling = Math.min(DEFAULT_RETRY_POLICY.maxDelay, DEFAULT_RETRY_POLICY.baseDelay * 2 ** attempt);
+          expect(delay).toBeGreaterThanOrEqual(0);
+          expect(delay).toBeLessThanOrEqual(ceiling);
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Shared fixtures for provider tests: a minimal provider and a fetch mock
+ * Only imported by *.test.js files, never by the extension itself.
+ */
+
+import { vi } from 'vitest';
+import { BaseProvider } from './base.js';
+
+/**
+ * Provider that sends the whole request options to https://stub.test and reads
+ * `{ text, usage }` answers, or `{ delta }` stream events
+ */
+export class StubProvider extends BaseProvider {
+  static get id() {
+    return 'stub';
+  }
+
+  static get displayName() {
+    return 'Stub';
+  }
+
+  buildRequest(prompt, { stream, json, maxTokens }) {
+    return { url: 'https://stub.test', headers: {}, body: { prompt, stream, json, maxTokens } };
+  }
+
+  parseResponse(data) {
+    return data.text;
+  }
+
+  parseStreamChunk(data) {
+    return data.delta;
+  }
+
+  parseUsage(data) {
+    return data.usage || null;
+  }
+}
+
+/**
+ * @param {Object} body - Parsed as the JSON answer
+ * @param {number} [status]
+ * @returns {Response}
+ */
+export function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), { status });
+}
+
+/**
+ * @param {Object[]} events - Sent as one `data:` event each
+ * @returns {Response}
+ */
+export function sseResponse(events) {
+  return new Response(events.map(event => `data: ${JSON.stringify(event)}\n\n`).join(''), { status: 200 });
+}
+
+/**
+ * Stream text in the given pieces, however they cut lines or events
+ * @param {string[]} pieces
+ * @param {function(): void} [onCancel] - Called when the reader cancels the body
+ * @returns {Response}
+ */
+export function chunkedResponse(pieces, onCancel) {
+  const encoder = new TextEncoder();
+  return new Response(new ReadableStream({
+    start(controller) {
+      pieces.forEach(piece => controller.enqueue(encoder.encode(piece)));
+      controller.close();
+    },
+    cancel: onCancel
+  }), { status: 200 });
+}
+
+/**
+ * Replace the global fetch; undo with vi.unstubAllGlobals()
+ * @param {Object|function(Object): (Object|Response)} answer - JSON answer, or a function
+ *   of the request init returning one or a Response (a new one per call)
+ * @returns {import('vitest').Mock}
+ */
+export function stubFetch(answer) {
+  const fetchMock = vi.fn(async (url, init) => {
+    const result = typeof answer === 'function' ? answer(init) : answer;
+    return result instanceof Response ? result : jsonResponse(result);
+  });
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+}
+
+/**
+ * Body a provider sent with one of the mocked fetch calls
+ * @param {import('vitest').Mock} fetchMock
+ * @param {number} [call]
+ * @returns {Object}
+ */
+export function requestBody(fetchMock, call = 0) {
+  return JSON.parse(fetchMock.mock.calls[call][1].body);
+}
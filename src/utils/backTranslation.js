@@ -0,0 +1,127 @@
+/**
+ * Back-Translation Comparison
+ * A translation is checked by translating it back into the source language
+ * and comparing the result with the original, word by word. Words the two
+ * texts do not share mark phrases whose meaning may have drifted.
+ */
+
+// Similarity at or above which drift is low, or at or above which it is medium
+const LOW_DRIFT_SIMILARITY = 0.75;
+const MEDIUM_DRIFT_SIMILARITY = 0.45;
+
+// Words, or single characters of scripts written without spaces
+const TOKEN_PATTERN = /[\u0E00-\u0E7F\u3040-\u30FF\u3400-\u9FFF\uF900-\uFAFF]|[^\s\p{P}\p{S}\u0E00-\u0E7F\u3040-\u30FF\u3400-\u9FFF\uF900-\uFAFF]+/gu;
+
+/**
+ * @typedef {Object} BackTranslationSegment
+ * @property {string} text - Stretch of the back-translation; empty where original words were dropped
+ * @property {boolean} changed - Whether the stretch differs from the original
+ * @property {string} [original] - Phrase of the original the changed stretch stands for; may be empty
+ */
+
+/**
+ * @typedef {Object} BackTranslationComparison
+ * @property {number} similarity - Share of words the texts have in common, from 0 to 1
+ * @property {'low'|'medium'|'high'} drift - How far the meaning seems to have moved
+ * @property {BackTranslationSegment[]} segments - The whole back-translation, split at changes
+ */
+
+/**
+ * @param {string} text
+ * @returns {{word: string, start: number, end: number}[]}
+ */
+function tokenize(text) {
+  return [...text.matchAll(TOKEN_PATTERN)].map(match => ({
+    word: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+/**
+ * Pairs of token indexes the two lists share, in order (longest common subsequence)
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {[number, number][]}
+ */
+function commonWords(a, b) {
+  // lengths[i][j] = common words of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pairs.push([i++, j++]);
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Compare an original text with its back-translation
+ * @param {string} original - Text the user selected
+ * @param {string} backTranslation - The translation translated back into the source language
+ * @returns {BackTranslationComparison}
+ */
+export function compareBackTranslation(original, backTranslation) {
+  const originalTokens = tokenize(original);
+  const backTokens = tokenize(backTranslation);
+  const pairs = commonWords(originalTokens.map(token => token.word), backTokens.map(token => token.word));
+
+  const total = originalTokens.length + backTokens.length;
+  const similarity = total === 0 ? 1 : (2 * pairs.length) / total;
+  const drift = similarity >= LOW_DRIFT_SIMILARITY ? 'low' : similarity >= MEDIUM_DRIFT_SIMILARITY ? 'medium' : 'high';
+
+  // Walk the shared words; the tokens between two of them are one change
+  const segments = [];
+  const pushText = (text, changed, originalPhrase) => {
+    const last = segments[segments.length - 1];
+    if (!changed && last && !last.changed) {
+      last.text += text;
+    } else if (changed) {
+      segments.push({ text, changed, original: originalPhrase });
+    } else if (text) {
+      segments.push({ text, changed });
+    }
+  };
+  let originalIndex = 0;
+  let backIndex = 0;
+  let backOffset = 0;
+  for (const [nextOriginal, nextBack] of [...pairs, [originalTokens.length, backTokens.length]]) {
+    if (nextOriginal > originalIndex || nextBack > backIndex) {
+      const originalPhrase = nextOriginal > originalIndex
+        ? original.slice(originalTokens[originalIndex].start, originalTokens[nextOriginal - 1].end)
+        : '';
+      if (nextBack > backIndex) {
+        const start = backTokens[backIndex].start;
+        pushText(backTranslation.slice(backOffset, start), false);
+        pushText(backTranslation.slice(start, backTokens[nextBack - 1].end), true, originalPhrase);
+        backOffset = backTokens[nextBack - 1].end;
+      } else {
+        pushText('', true, originalPhrase);
+      }
+    }
+    if (nextBack < backTokens.length) {
+      pushText(backTranslation.slice(backOffset, backTokens[nextBack].end), false);
+      backOffset = backTokens[nextBack].end;
+    }
+    originalIndex = nextOriginal + 1;
+    backIndex = nextBack + 1;
+  }
+  pushText(backTranslation.slice(backOffset), false);
+
+  return { similarity, drift, segments };
+}
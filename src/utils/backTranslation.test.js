@@ -0,0 +1,53 @@
+/**
+ * Tests for back-translation comparison
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { compareBackTranslation } from './backTranslation.js';
+
+describe('compareBackTranslation', () => {
+  it('keeps the meaning of an identical text', () => {
+    expect(compareBackTranslation('Send it by Friday.', 'send it by Friday')).toEqual({
+      similarity: 1,
+      drift: 'low',
+      segments: [{ text: 'send it by Friday', changed: false }]
+    });
+  });
+
+  it('marks the changed phrase with the original it replaced', () => {
+    const result = compareBackTranslation('Please send the report by Friday.', 'Please send the report before Friday.');
+    expect(result.drift).toBe('low');
+    expect(result.segments).toEqual([
+      { text: 'Please send the report ', changed: false },
+      { text: 'before', changed: true, original: 'by' },
+      { text: ' Friday.', changed: false }
+    ]);
+  });
+
+  it('notes words left out and words added', () => {
+    const { segments } = compareBackTranslation('I will call you tomorrow', 'I call you tomorrow morning');
+    expect(segments).toContainEqual({ text: '', changed: true, original: 'will' });
+    expect(segments).toContainEqual({ text: 'morning', changed: true, original: '' });
+  });
+
+  it('compares characters of scripts written without spaces', () => {
+    const { segments } = compareBackTranslation('私は学生です', '私は先生です');
+    expect(segments.filter(segment => segment.changed)).toEqual([{ text: '先', changed: true, original: '学' }]);
+  });
+
+  it('reports high drift when nothing is shared', () => {
+    expect(compareBackTranslation('a b c', 'x y z')).toMatchObject({ similarity: 0, drift: 'high' });
+  });
+
+  it('rebuilds the whole back-translation from its segments', () => {
+    fc.assert(
+      fc.property(fc.string(), fc.string(), (original, backTranslation) => {
+        const { similarity, segments } = compareBackTranslation(original, backTranslation);
+        expect(segments.map(segment => segment.text).join('')).toBe(backTranslation);
+        expect(similarity).toBeGreaterThanOrEqual(0);
+        expect(similarity).toBeLessThanOrEqual(1);
+      })
+    );
+  });
+});
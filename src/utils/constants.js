@@ -20,22 +20,39 @@ export const LANGUAGES = [
   { code: 'vi', name: 'Vietnamese', shortName: 'VI' }
 ];
 
+// Built-in tones; `instruction` is added to the prompt, `shortName` labels the tooltip tone tabs.
+// `formality` ('more' or 'less') is what the tone asks of providers that only switch formality.
+// Premium users add their own tones on top of these, see tones.js
 export const TONES = [
-  { id: 'neutral', name: 'Neutral' },
-  { id: 'formal', name: 'Formal' },
-  { id: 'casual', name: 'Casual' },
-  { id: 'friendly', name: 'Friendly' },
-  { id: 'professional', name: 'Professional' },
-  { id: 'academic', name: 'Academic' },
-  { id: 'simple', name: 'Simple (Easy to understand)' }
+  { id: 'neutral', name: 'Neutral', instruction: '' },
+  { id: 'formal', name: 'Formal', instruction: 'Use formal and polite language.', formality: 'more' },
+  { id: 'casual', name: 'Casual', instruction: 'Use casual and relaxed language.', formality: 'less' },
+  { id: 'friendly', name: 'Friendly', instruction: 'Use warm and friendly language.', formality: 'less' },
+  { id: 'professional', name: 'Professional', instruction: 'Use professional business language.', formality: 'more' },
+  { id: 'academic', name: 'Academic', instruction: 'Use academic and scholarly language.', formality: 'more' },
+  { id: 'simple', name: 'Simple (Easy to understand)', shortName: 'Simple', instruction: 'Use simple words that are easy to understand.' }
 ];
 
+// What the tooltip shows for a selection: one translation, or candidates to pick from
+export const TRANSLATION_MODES = [
+  { id: 'single', name: 'Single translation' },
+  { id: 'alternatives', name: 'Alternatives with notes' }
+];
+
+// Whether a key is needed is part of each provider's capabilities (see providers/capabilities.js)
 export const PROVIDERS = [
   { id: 'gemini', name: 'Gemini', hint: 'Get from Google AI Studio' },
   { id: 'openai', name: 'OpenAI', hint: 'Get from platform.openai.com' },
   { id: 'deepseek', name: 'DeepSeek', hint: 'Get from platform.deepseek.com' },
   { id: 'claude', name: 'Claude', hint: 'Get from console.anthropic.com' },
-  { id: 'groq', name: 'Groq (Free)', hint: 'Get from console.groq.com' }
+  { id: 'groq', name: 'Groq (Free)', hint: 'Get from console.groq.com' },
+  { id: 'mistral', name: 'Mistral', hint: 'Get from console.mistral.ai' },
+  { id: 'openrouter', name: 'OpenRouter', hint: 'Get from openrouter.ai/keys' },
+  { id: 'azure', name: 'Azure OpenAI', hint: 'Keys and Endpoint page of your Azure OpenAI resource' },
+  { id: 'deepl', name: 'DeepL', hint: 'Get from deepl.com/your-account/keys - Free plan keys end in :fx' },
+  { id: 'libretranslate', name: 'LibreTranslate (Self-hosted)', hint: 'Optional - only if your server requires a key' },
+  { id: 'custom', name: 'Custom (OpenAI-compatible)', hint: 'Optional - only if your endpoint requires a key' },
+  { id: 'ollama', name: 'Ollama (Local)', hint: 'No API key needed - runs on your machine' }
 ];
 
 export const DEFAULT_SETTINGS = {
@@ -53,22 +70,81 @@ export const STORAGE_KEYS = {
   TARGET_LANG: 'targetLang',
   TONE: 'tone',
   THEME: 'theme',
-  HISTORY: 'translationHistory'
+  HISTORY: 'translationHistory',
+  PROVIDER_SETTINGS: 'providerSettings',
+  MODELS: 'models',
+  MODEL_CACHE: 'modelCache',
+  FALLBACK_PROVIDERS: 'fallbackProviders',
+  MAX_RETRIES: 'maxRetries',
+  PRICE_TABLE: 'priceTable',
+  USAGE_LOG: 'usageLog',
+  PROMPT_TEMPLATES: 'promptTemplates',
+  PROMPT_TEMPLATE: 'promptTemplate',
+  GLOSSARY: 'glossary',
+  CUSTOM_TONES: 'customTones',
+  SECONDARY_LANG: 'secondaryLang',
+  TRANSLATION_MODE: 'translationMode',
+  BACK_TRANSLATION: 'backTranslation'
 };
 
 export const MAX_HISTORY_ITEMS = 50;
 
+// How long a fetched model list is reused before asking the vendor again (24 hours)
+export const MODEL_CACHE_DURATION = 24 * 60 * 60 * 1000;
+
+// Default prices in USD per million tokens, as published by each vendor.
+// `model` matches the longest prefix of a model id; '*' matches any model.
+// Users can edit the table in the popup to match their own contract.
+export const DEFAULT_PRICE_TABLE = [
+  { provider: 'gemini', model: 'gemini-2.0-flash', input: 0.10, output: 0.40 },
+  { provider: 'gemini', model: 'gemini-2.0-flash-lite', input: 0.075, output: 0.30 },
+  { provider: 'gemini', model: 'gemini-2.5-flash', input: 0.30, output: 2.50 },
+  { provider: 'gemini', model: 'gemini-2.5-flash-lite', input: 0.10, output: 0.40 },
+  { provider: 'gemini', model: 'gemini-2.5-pro', input: 1.25, output: 10.00 },
+  { provider: 'openai', model: 'gpt-4o-mini', input: 0.15, output: 0.60 },
+  { provider: 'openai', model: 'gpt-4o', input: 2.50, output: 10.00 },
+  { provider: 'openai', model: 'gpt-4.1', input: 2.00, output: 8.00 },
+  { provider: 'openai', model: 'gpt-4.1-mini', input: 0.40, output: 1.60 },
+  { provider: 'openai', model: 'gpt-4.1-nano', input: 0.10, output: 0.40 },
+  { provider: 'openai', model: 'o4-mini', input: 1.10, output: 4.40 },
+  { provider: 'deepseek', model: 'deepseek-chat', input: 0.27, output: 1.10 },
+  { provider: 'deepseek', model: 'deepseek-reasoner', input: 0.55, output: 2.19 },
+  { provider: 'claude', model: 'claude-3-haiku', input: 0.25, output: 1.25 },
+  { provider: 'claude', model: 'claude-3-5-haiku', input: 0.80, output: 4.00 },
+  { provider: 'claude', model: 'claude-haiku-4-5', input: 1.00, output: 5.00 },
+  { provider: 'claude', model: 'claude-3-7-sonnet', input: 3.00, output: 15.00 },
+  { provider: 'claude', model: 'claude-sonnet-4', input: 3.00, output: 15.00 },
+  { provider: 'claude', model: 'claude-opus-4', input: 15.00, output: 75.00 },
+  { provider: 'groq', model: 'llama-3.3-70b-versatile', input: 0.59, output: 0.79 },
+  { provider: 'groq', model: 'llama-3.1-8b-instant', input: 0.05, output: 0.08 },
+  { provider: 'mistral', model: 'mistral-small', input: 0.10, output: 0.30 },
+  { provider: 'mistral', model: 'mistral-medium', input: 0.40, output: 2.00 },
+  { provider: 'mistral', model: 'mistral-large', input: 2.00, output: 6.00 },
+  { provider: 'openrouter', model: 'openai/gpt-4o-mini', input: 0.15, output: 0.60 },
+  { provider: 'ollama', model: '*', input: 0, output: 0 }
+];
+
+// Days of per-provider usage kept for the spend summary
+export const USAGE_RETENTION_DAYS = 31;
+
 // License System Constants
 // Requirements: 2.1, 3.1 - Feature gating for providers and tones
-export const FREE_PROVIDERS = ['gemini', 'deepseek'];
-export const PREMIUM_PROVIDERS = ['openai', 'claude', 'groq'];
+// Custom stays premium: any vendor's OpenAI-compatible endpoint could be entered there.
+// Ollama speaks its own API, which only local servers offer.
+export const FREE_PROVIDERS = ['gemini', 'deepseek', 'ollama'];
+export const PREMIUM_PROVIDERS = ['openai', 'claude', 'groq', 'mistral', 'openrouter', 'azure', 'deepl', 'libretranslate', 'custom'];
 
 export const FREE_TONES = ['neutral'];
-export const PREMIUM_TONES = ['formal', 'casual', 'friendly', 'professional', 'academic', 'simple'];
+export const PREMIUM_TONES = TONES.map(tone => tone.id).filter(id => !FREE_TONES.includes(id));
+
+export const PREMIUM_TRANSLATION_MODES = ['alternatives'];
 
 // Requirements: 4.2 - Freemium history limit
 export const FREE_HISTORY_LIMIT = 5;
 
+// Providers a free user can compare side by side
+export const FREE_COMPARE_LIMIT = 2;
+
 // Requirements: 8.1 - License validation caching (24 hours in milliseconds)
 export const CACHE_DURATION = 24 * 60 * 60 * 1000;
 
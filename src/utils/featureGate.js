@@ -6,14 +6,17 @@
 
 import {
   PROVIDERS,
-  TONES,
   FREE_PROVIDERS,
   PREMIUM_PROVIDERS,
   FREE_TONES,
   PREMIUM_TONES,
-  FREE_HISTORY_LIMIT
+  TRANSLATION_MODES,
+  PREMIUM_TRANSLATION_MODES,
+  FREE_HISTORY_LIMIT,
+  FREE_COMPARE_LIMIT
 } from './constants.js';
 import { licenseManager } from './license.js';
+import { getToneList } from './tones.js';
 
 /**
  * @typedef {Object} ProviderInfo
@@ -30,6 +33,7 @@ import { licenseManager } from './license.js';
  * @property {string} name - Display name
  * @property {boolean} available - Whether tone is available for current license
  * @property {boolean} isPremium - Whether this is a premium-only tone
+ * @property {boolean} [custom] - Defined by the user
  */
 
 class FeatureGate {
@@ -40,6 +44,8 @@ class FeatureGate {
   constructor(licenseManagerInstance = licenseManager) {
     this._licenseManager = licenseManagerInstance;
     this._cachedStatus = null;
+    /** @type {import('./tones.js').Tone[]} */
+    this._customTones = [];
   }
 
   /**
@@ -60,6 +66,8 @@ class FeatureGate {
 
   /**
    * Get available tones based on license status
+   * Built-in tones come first, then the custom tones set with updateCustomTones,
+   * which are premium-only.
    * Requirements: 3.1, 3.3
    * @param {boolean} [isPremium] - Override premium status (for testing)
    * @returns {ToneInfo[]}
@@ -67,10 +75,10 @@ class FeatureGate {
   getAvailableTones(isPremium = null) {
     const premium = isPremium !== null ? isPremium : this._isPremium();
     
-    return TONES.map(tone => ({
+    return getToneList(this._customTones).map(tone => ({
       ...tone,
       available: premium || FREE_TONES.includes(tone.id),
-      isPremium: PREMIUM_TONES.includes(tone.id)
+      isPremium: PREMIUM_TONES.includes(tone.id) || tone.custom === true
     }));
   }
 
@@ -85,6 +93,16 @@ class FeatureGate {
     return premium ? Infinity : FREE_HISTORY_LIMIT;
   }
 
+  /**
+   * Get how many providers can be compared side by side
+   * @param {boolean} [isPremium] - Override premium status (for testing)
+   * @returns {number} - FREE_COMPARE_LIMIT for freemium, Infinity for premium
+   */
+  getCompareLimit(isPremium = null) {
+    const premium = isPremium !== null ? isPremium : this._isPremium();
+    return premium ? Infinity : FREE_COMPARE_LIMIT;
+  }
+
   /**
    * Check if cloud sync is enabled
    * @param {boolean} [isPremium] - Override premium status (for testing)
@@ -117,6 +135,32 @@ class FeatureGate {
     return premium || FREE_TONES.includes(toneId);
   }
 
+  /**
+   * Get translation modes based on license status
+   * @param {boolean} [isPremium] - Override premium status (for testing)
+   * @returns {{id: string, name: string, available: boolean, isPremium: boolean}[]}
+   */
+  getAvailableModes(isPremium = null) {
+    const premium = isPremium !== null ? isPremium : this._isPremium();
+
+    return TRANSLATION_MODES.map(mode => ({
+      ...mode,
+      available: premium || !PREMIUM_TRANSLATION_MODES.includes(mode.id),
+      isPremium: PREMIUM_TRANSLATION_MODES.includes(mode.id)
+    }));
+  }
+
+  /**
+   * Check if a specific translation mode is available
+   * @param {string} modeId - The mode ID to check, see TRANSLATION_MODES
+   * @param {boolean} [isPremium] - Override premium status (for testing)
+   * @returns {boolean}
+   */
+  isModeAvailable(modeId, isPremium = null) {
+    const premium = isPremium !== null ? isPremium : this._isPremium();
+    return premium || !PREMIUM_TRANSLATION_MODES.includes(modeId);
+  }
+
   /**
    * Update cached license status
    * @param {import('./license.js').LicenseStatus} status - The license status
@@ -125,6 +169,14 @@ class FeatureGate {
     this._cachedStatus = status;
   }
 
+  /**
+   * Update cached custom tones
+   * @param {import('./tones.js').Tone[]} tones - Tones saved by the user
+   */
+  updateCustomTones(tones) {
+    this._customTones = tones || [];
+  }
+
   /**
    * Check if current user has premium status
    * @returns {boolean}
@@ -14,7 +14,8 @@ import {
   FREE_TONES,
   PREMIUM_TONES,
   PROVIDERS,
-  TONES
+  TONES,
+  FREE_COMPARE_LIMIT
 } from './constants.js';
 
 // Mock license manager for testing
@@ -332,3 +333,12 @@ describe('Feature Gate Properties', () => {
     );
   });
 });
+
+describe('Feature Gate compare limit', () => {
+  it('limits free users to FREE_COMPARE_LIMIT providers and premium users to none', () => {
+    const featureGate = new FeatureGate(createMockLicenseManager(false));
+    expect(featureGate.getCompareLimit(false)).toBe(FREE_COMPARE_LIMIT);
+    expect(featureGate.getCompareLimit(true)).toBe(Infinity);
+    expect(featureGate.getCompareLimit()).toBe(FREE_COMPARE_LIMIT);
+  });
+});
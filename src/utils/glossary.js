@@ -0,0 +1,467 @@
+/**
+ * Glossary for Zlate Extension
+ * Terms that must always be translated the same way (or left untranslated),
+ * injected into prompts and checked against the translations that come back.
+ * Imports and exports CSV and TBX so glossaries can be shared with CAT tools.
+ */
+
+import { STORAGE_KEYS } from './constants.js';
+
+/**
+ * @typedef {Object} GlossaryEntry
+ * @property {string} id - Unique identifier
+ * @property {string} source - Term in the source language
+ * @property {string} target - Required translation; equals source for do-not-translate entries
+ * @property {string} sourceLang - Source language code, or '*' for any
+ * @property {string} targetLang - Target language code, or '*' for any
+ * @property {boolean} caseSensitive - Match and check the terms with exact case
+ * @property {boolean} doNotTranslate - Keep the source term as it is
+ */
+
+/**
+ * @typedef {Object} GlossaryViolation
+ * @property {GlossaryEntry} entry - Entry that was not followed
+ * @property {string} expected - Term the translation should contain
+ */
+
+// Scripts written without spaces, where a term may sit directly against other words
+const UNSPACED_SCRIPT_CHAR = /[\u0E00-\u0E7F\u3040-\u30FF\u3400-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF]/;
+
+// Column order of exported CSV files; imports read the header instead
+const GLOSSARY_CSV_COLUMNS = ['source', 'target', 'source_lang', 'target_lang', 'case_sensitive', 'do_not_translate'];
+
+/**
+ * Create a glossary entry with defaults filled in
+ * @param {Partial<GlossaryEntry>} fields
+ * @returns {GlossaryEntry}
+ */
+export function createGlossaryEntry(fields) {
+  const source = String(fields.source ?? '').trim();
+  const doNotTranslate = Boolean(fields.doNotTranslate);
+  return {
+    id: fields.id || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    source,
+    target: doNotTranslate ? source : String(fields.target ?? '').trim(),
+    sourceLang: normalizeGlossaryLang(fields.sourceLang),
+    targetLang: normalizeGlossaryLang(fields.targetLang),
+    caseSensitive: Boolean(fields.caseSensitive),
+    doNotTranslate
+  };
+}
+
+/**
+ * Reduce a language tag to the codes used in settings: 'en-US' → 'en', empty or 'und' → '*'
+ * @param {string} [lang]
+ * @returns {string}
+ */
+export function normalizeGlossaryLang(lang) {
+  const code = String(lang ?? '').trim().toLowerCase().split(/[-_]/)[0];
+  return !code || code === 'und' || code === 'auto' ? '*' : code;
+}
+
+/**
+ * Check a glossary entry before saving it
+ * @param {GlossaryEntry} entry
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateGlossaryEntry(entry) {
+  if (!entry.source) {
+    return 'Please enter a source term';
+  }
+  if (!entry.doNotTranslate && !entry.target) {
+    return 'Please enter a target term, or mark the entry as do not translate';
+  }
+  return null;
+}
+
+/**
+ * Whether a text contains a term as a whole word
+ * Word boundaries are skipped next to Chinese, Japanese, Korean and Thai characters.
+ * @param {string} text - Text to search
+ * @param {string} term - Term to find
+ * @param {boolean} caseSensitive
+ * @returns {boolean}
+ */
+export function containsTerm(text, term, caseSensitive) {
+  if (!term || !text) return false;
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const before = UNSPACED_SCRIPT_CHAR.test(term[0]) ? '' : '(?<![\\p{L}\\p{N}])';
+  const after = UNSPACED_SCRIPT_CHAR.test(term[term.length - 1]) ? '' : '(?![\\p{L}\\p{N}])';
+  return new RegExp(before + escaped + after, caseSensitive ? 'u' : 'iu').test(text);
+}
+
+/**
+ * Entries that apply to a translation: right language pair, term present in the text
+ * @param {GlossaryEntry[]} entries - Whole glossary
+ * @param {string} text - Text to translate
+ * @param {string} sourceLang - Source language code, 'auto' matches every source
+ * @param {string} targetLang - Target language code
+ * @returns {GlossaryEntry[]}
+ */
+export function findGlossaryMatches(entries, text, sourceLang, targetLang) {
+  return (entries || []).filter(entry =>
+    (entry.sourceLang === '*' || sourceLang === 'auto' || entry.sourceLang === sourceLang) &&
+    (entry.targetLang === '*' || entry.targetLang === targetLang) &&
+    containsTerm(text, entry.source, entry.caseSensitive)
+  );
+}
+
+/**
+ * Prompt instructions for the matching entries
+ * @param {GlossaryEntry[]} matches - From findGlossaryMatches
+ * @returns {string} - Empty when nothing matches
+ */
+export function formatGlossaryInstructions(matches) {
+  if (!matches.length) return '';
+  const lines = matches.map(entry => (
+    entry.doNotTranslate
+      ? `- "${entry.source}": keep as is, do not translate`
+      : `- "${entry.source}" → "${entry.target}"`
+  ));
+  return `Always use these glossary terms:\n${lines.join('\n')}`;
+}
+
+/**
+ * Find the matching entries a translation did not follow
+ * @param {GlossaryEntry[]} matches - From findGlossaryMatches
+ * @param {string} translation - Text returned by the provider
+ * @returns {GlossaryViolation[]}
+ */
+export function checkGlossary(matches, translation) {
+  return matches
+    .map(entry => ({ entry, expected: entry.doNotTranslate ? entry.source : entry.target }))
+    .filter(({ entry, expected }) => !containsTerm(translation, expected, entry.caseSensitive));
+}
+
+function parseBooleanCell(value) {
+  return /^(true|yes|y|1|x)$/i.test(String(value ?? '').trim());
+}
+
+function escapeCsvCell(value) {
+  const text = String(value);
+  return /[",;\t\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Cell separators CSV files use: spreadsheets in locales with a decimal comma save with ';'
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Pick the cell separator of a CSV file from its first line
+ * The separator found most often outside quotes wins; ',' when there is none.
+ * @param {string} text
+ * @returns {string}
+ */
+function detectCsvDelimiter(text) {
+  const counts = new Map(CSV_DELIMITERS.map(delimiter => [delimiter, 0]));
+  let quoted = false;
+
+  for (const char of text) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!quoted && counts.has(char)) {
+      counts.set(char, counts.get(char) + 1);
+    }
+  }
+
+  let best = ',';
+  for (const [delimiter, count] of counts) {
+    if (count > counts.get(best)) best = delimiter;
+  }
+  return best;
+}
+
+/**
+ * Split CSV text into rows of cells, honouring quoted cells
+ * Only the separator detected from the first line splits cells, so the others
+ * may appear unquoted inside terms.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsvRows(text) {
+  const delimiter = detectCsvDelimiter(text);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  rows.push(row);
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Export a glossary as CSV with a header row
+ * @param {GlossaryEntry[]} entries
+ * @returns {string}
+ */
+export function glossaryToCsv(entries) {
+  const rows = entries.map(entry => [
+    entry.source,
+    entry.doNotTranslate ? '' : entry.target,
+    entry.sourceLang,
+    entry.targetLang,
+    entry.caseSensitive,
+    entry.doNotTranslate
+  ].map(escapeCsvCell).join(','));
+  return [GLOSSARY_CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Read glossary entries from CSV
+ * Columns are taken from a header naming source, target, source_lang, target_lang,
+ * case_sensitive and do_not_translate; without one, the first two columns are the terms.
+ * @param {string} text - CSV file content
+ * @returns {GlossaryEntry[]}
+ */
+export function parseGlossaryCsv(text) {
+  const rows = parseCsvRows(String(text ?? '').replace(/^\uFEFF/, ''));
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+  const hasHeader = header.includes('source');
+  const columns = hasHeader ? header : GLOSSARY_CSV_COLUMNS;
+  const cellOf = (cells, name) => {
+    const index = columns.indexOf(name);
+    return index === -1 ? '' : (cells[index] ?? '');
+  };
+
+  return (hasHeader ? rows.slice(1) : rows)
+    .map(cells => createGlossaryEntry({
+      source: cellOf(cells, 'source'),
+      target: cellOf(cells, 'target'),
+      sourceLang: cellOf(cells, 'source_lang'),
+      targetLang: cellOf(cells, 'target_lang'),
+      caseSensitive: parseBooleanCell(cellOf(cells, 'case_sensitive')),
+      doNotTranslate: parseBooleanCell(cellOf(cells, 'do_not_translate'))
+    }))
+    .filter(entry => !validateGlossaryEntry(entry));
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function unescapeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+    .replace(/&(lt|gt|quot|apos|amp);/g, (match, name) => ({ lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' })[name]);
+}
+
+/**
+ * Export a glossary as TBX (TermBase eXchange)
+ * Languages set to any are written as 'und'; do-not-translate entries carry the
+ * same term in both languages plus a doNotTranslate descrip.
+ * @param {GlossaryEntry[]} entries
+ * @returns {string}
+ */
+export function glossaryToTbx(entries) {
+  const langSet = (lang, term, caseSensitive) => `
+        <langSet xml:lang="${lang === '*' ? 'und' : escapeXml(lang)}">
+          <tig>
+            <term>${escapeXml(term)}</term>${caseSensitive ? '\n            <termNote type="caseSensitive">true</termNote>' : ''}
+          </tig>
+        </langSet>`;
+
+  const termEntries = entries.map(entry => `
+      <termEntry id="${escapeXml(entry.id)}">${entry.doNotTranslate ? '\n        <descrip type="doNotTranslate">true</descrip>' : ''}${
+        langSet(entry.sourceLang, entry.source, entry.caseSensitive)}${
+        langSet(entry.targetLang, entry.target, entry.caseSensitive)}
+      </termEntry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<martif type="TBX" xml:lang="en">
+  <martifHeader>
+    <fileDesc>
+      <sourceDesc><p>Zlate glossary</p></sourceDesc>
+    </fileDesc>
+  </martifHeader>
+  <text>
+    <body>${termEntries}
+    </body>
+  </text>
+</martif>
+`;
+}
+
+/**
+ * Read glossary entries from TBX
+ * Reads TBX 2 (termEntry/langSet) and TBX 3 (conceptEntry/langSec). The first
+ * language of a concept is the source; every other language becomes an entry.
+ * @param {string} text - TBX file content
+ * @returns {GlossaryEntry[]}
+ */
+export function parseGlossaryTbx(text) {
+  const entries = [];
+  const conceptPattern = /<(termEntry|conceptEntry)\b[^>]*>([\s\S]*?)<\/\1>/g;
+  const languagePattern = /<(langSet|langSec)\b[^>]*xml:lang\s*=\s*["']([^"']*)["'][^>]*>([\s\S]*?)<\/\1>/g;
+
+  for (const [, , concept] of String(text ?? '').matchAll(conceptPattern)) {
+    const doNotTranslate = /<descrip\b[^>]*type\s*=\s*["']doNotTranslate["'][^>]*>\s*true\s*</i.test(concept);
+    const languages = [...concept.matchAll(languagePattern)]
+      .map(([, , lang, content]) => ({
+        lang,
+        term: unescapeXml(content.match(/<term\b[^>]*>([\s\S]*?)<\/term>/)?.[1] ?? '').trim(),
+        caseSensitive: /<termNote\b[^>]*type\s*=\s*["']caseSensitive["'][^>]*>\s*true\s*</i.test(content)
+      }))
+      .filter(language => language.term);
+    if (languages.length < 2) continue;
+
+    const [source, ...targets] = languages;
+    for (const target of targets) {
+      entries.push(createGlossaryEntry({
+        source: source.term,
+        target: target.term,
+        sourceLang: source.lang,
+        targetLang: target.lang,
+        caseSensitive: source.caseSensitive || target.caseSensitive,
+        doNotTranslate: doNotTranslate || source.term === target.term
+      }));
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Add imported entries, replacing existing ones for the same term and language pair
+ * @param {GlossaryEntry[]} entries - Current glossary
+ * @param {GlossaryEntry[]} imported - Entries read from a file
+ * @returns {GlossaryEntry[]}
+ */
+export function mergeGlossaryEntries(entries, imported) {
+  const keyOf = (entry) => [entry.sourceLang, entry.targetLang, entry.source.toLowerCase()].join('\u0000');
+  const importedKeys = new Set(imported.map(keyOf));
+  return [...entries.filter(entry => !importedKeys.has(keyOf(entry))), ...imported];
+}
+
+class GlossaryManager {
+  constructor() {
+    /** @type {GlossaryEntry[]} */
+    this._testEntries = [];
+  }
+
+  /**
+   * Get browser storage API (Chrome/Firefox compatibility)
+   * @returns {Object}
+   * @private
+   */
+  _getStorageAPI() {
+    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+      return chrome.storage.local;
+    }
+    if (typeof browser !== 'undefined' && browser.storage && browser.storage.local) {
+      return browser.storage.local;
+    }
+    return null;
+  }
+
+  /**
+   * Get all glossary entries
+   * @returns {Promise<GlossaryEntry[]>}
+   */
+  async getEntries() {
+    const storage = this._getStorageAPI();
+    if (!storage) {
+      return [...this._testEntries];
+    }
+
+    return new Promise((resolve) => {
+      storage.get([STORAGE_KEYS.GLOSSARY], (result) => {
+        resolve(result[STORAGE_KEYS.GLOSSARY] || []);
+      });
+    });
+  }
+
+  /**
+   * Replace the whole glossary
+   * @param {GlossaryEntry[]} entries
+   * @returns {Promise<void>}
+   */
+  async setEntries(entries) {
+    const storage = this._getStorageAPI();
+    if (!storage) {
+      this._testEntries = [...entries];
+      return;
+    }
+
+    return new Promise((resolve) => {
+      storage.set({ [STORAGE_KEYS.GLOSSARY]: entries }, resolve);
+    });
+  }
+
+  /**
+   * Add an entry, or replace the entry with the same id
+   * @param {GlossaryEntry} entry
+   * @returns {Promise<GlossaryEntry[]>} - Updated glossary
+   */
+  async saveEntry(entry) {
+    const entries = await this.getEntries();
+    const index = entries.findIndex(existing => existing.id === entry.id);
+    const updated = index === -1
+      ? [...entries, entry]
+      : entries.map(existing => (existing.id === entry.id ? entry : existing));
+    await this.setEntries(updated);
+    return updated;
+  }
+
+  /**
+   * Delete an entry by id
+   * @param {string} id
+   * @returns {Promise<GlossaryEntry[]>} - Updated glossary
+   */
+  async deleteEntry(id) {
+    const updated = (await this.getEntries()).filter(entry => entry.id !== id);
+    await this.setEntries(updated);
+    return updated;
+  }
+
+  /**
+   * Merge entries read from a CSV or TBX file into the glossary
+   * @param {GlossaryEntry[]} imported
+   * @returns {Promise<GlossaryEntry[]>} - Updated glossary
+   */
+  async importEntries(imported) {
+    const updated = mergeGlossaryEntries(await this.getEntries(), imported);
+    await this.setEntries(updated);
+    return updated;
+  }
+}
+
+export const glossaryManager = new GlossaryManager();
+
+export { GlossaryManager };
@@ -0,0 +1,158 @@
+/**
+ * Tests for the glossary: matching, prompt instructions, violation checks,
+ * CSV and TBX round trips
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  createGlossaryEntry,
+  containsTerm,
+  findGlossaryMatches,
+  formatGlossaryInstructions,
+  checkGlossary,
+  glossaryToCsv,
+  parseGlossaryCsv,
+  glossaryToTbx,
+  parseGlossaryTbx,
+  mergeGlossaryEntries,
+  GlossaryManager
+} from './glossary.js';
+import { StubProvider } from '../providers/testProvider.js';
+
+const checkout = createGlossaryEntry({ id: 'a', source: 'checkout', target: 'pembayaran', sourceLang: 'en', targetLang: 'id' });
+const brand = createGlossaryEntry({ id: 'b', source: 'Zlate', doNotTranslate: true, caseSensitive: true });
+
+describe('containsTerm', () => {
+  it('matches whole words only', () => {
+    expect(containsTerm('Go to Checkout now', 'checkout', false)).toBe(true);
+    expect(containsTerm('Go to Checkout now', 'checkout', true)).toBe(false);
+    expect(containsTerm('checkouts', 'checkout', false)).toBe(false);
+  });
+
+  it('matches terms inside unspaced scripts', () => {
+    expect(containsTerm('请使用结账按钮', '结账', false)).toBe(true);
+  });
+
+  it('treats terms literally', () => {
+    expect(containsTerm('C++ and C#', 'C++', true)).toBe(true);
+    expect(containsTerm('Cxx', 'C.x', false)).toBe(false);
+  });
+});
+
+describe('findGlossaryMatches', () => {
+  it('keeps entries for the language pair whose term is in the text', () => {
+    const entries = [checkout, brand];
+    expect(findGlossaryMatches(entries, 'Zlate checkout', 'en', 'id')).toEqual([checkout, brand]);
+    expect(findGlossaryMatches(entries, 'Zlate checkout', 'auto', 'id')).toEqual([checkout, brand]);
+    expect(findGlossaryMatches(entries, 'Zlate checkout', 'en', 'fr')).toEqual([brand]);
+    expect(findGlossaryMatches(entries, 'zlate', 'en', 'id')).toEqual([]);
+  });
+});
+
+describe('formatGlossaryInstructions', () => {
+  it('lists translations and terms to keep', () => {
+    expect(formatGlossaryInstructions([checkout, brand])).toBe(
+      'Always use these glossary terms:\n- "checkout" → "pembayaran"\n- "Zlate": keep as is, do not translate'
+    );
+    expect(formatGlossaryInstructions([])).toBe('');
+  });
+});
+
+describe('checkGlossary', () => {
+  it('flags entries the translation did not follow', () => {
+    expect(checkGlossary([checkout, brand], 'Buka halaman pembayaran Zlate')).toEqual([]);
+    expect(checkGlossary([checkout, brand], 'Buka halaman checkout zlate')).toEqual([
+      { entry: checkout, expected: 'pembayaran' },
+      { entry: brand, expected: 'Zlate' }
+    ]);
+  });
+});
+
+describe('BaseProvider.buildPrompt with a glossary', () => {
+  it('adds matching entries to the system prompt only', () => {
+    const provider = new StubProvider('key');
+    const prompt = provider.buildPrompt('Open checkout', 'en', 'id', 'neutral', { glossary: [checkout, brand] });
+    expect(prompt.system).toBe('Always use these glossary terms:\n- "checkout" → "pembayaran"');
+    expect(prompt.user).toBe(provider.buildPrompt('Open checkout', 'en', 'id', 'neutral').user);
+    expect(provider.buildPrompt('Hello', 'en', 'id', 'neutral', { glossary: [checkout] }).system).toBe('');
+  });
+});
+
+describe('CSV', () => {
+  it('reads quoted cells and header-ordered columns', () => {
+    const csv = 'target,source,do_not_translate\r\n"Pembayaran, cepat","Quick ""checkout""",no\nZlate,Zlate,yes\n';
+    const [first, second] = parseGlossaryCsv(csv);
+    expect(first).toMatchObject({ source: 'Quick "checkout"', target: 'Pembayaran, cepat', sourceLang: '*', doNotTranslate: false });
+    expect(second).toMatchObject({ source: 'Zlate', doNotTranslate: true });
+  });
+
+  it('reads two-column files without a header', () => {
+    expect(parseGlossaryCsv('invoice;faktur').map(entry => [entry.source, entry.target])).toEqual([['invoice', 'faktur']]);
+  });
+
+  it('splits only on the separator the header uses', () => {
+    const terms = (csv) => parseGlossaryCsv(csv).map(entry => [entry.source, entry.target]);
+    expect(terms('source,target\nSave; exit,Simpan; keluar\n')).toEqual([['Save; exit', 'Simpan; keluar']]);
+    expect(terms('source;target\nYes, please;Ya, silakan\n')).toEqual([['Yes, please', 'Ya, silakan']]);
+    expect(terms('source\ttarget\nA, B; C\tD, E; F\n')).toEqual([['A, B; C', 'D, E; F']]);
+    expect(terms('"a;b;c",x\nhello,halo')).toEqual([['a;b;c', 'x'], ['hello', 'halo']]);
+  });
+
+  it('round-trips entries', () => {
+    const entryArb = fc.record({
+      source: fc.string({ minLength: 1 }).filter(text => text.trim() !== ''),
+      target: fc.string({ minLength: 1 }).filter(text => text.trim() !== ''),
+      sourceLang: fc.constantFrom('*', 'en', 'ja'),
+      targetLang: fc.constantFrom('*', 'id', 'de'),
+      caseSensitive: fc.boolean(),
+      doNotTranslate: fc.boolean()
+    }).map(createGlossaryEntry);
+
+    fc.assert(
+      fc.property(fc.array(entryArb, { maxLength: 10 }), (entries) => {
+        const parsed = parseGlossaryCsv(glossaryToCsv(entries));
+        const strip = ({ id, ...fields }) => fields;
+        expect(parsed.map(strip)).toEqual(entries.map(strip));
+      })
+    );
+  });
+});
+
+describe('TBX', () => {
+  it('round-trips entries, including any-language pairs', () => {
+    const entries = [checkout, brand, createGlossaryEntry({ source: 'R&D <lab>', target: 'Litbang', sourceLang: 'en', targetLang: 'id' })];
+    const strip = ({ id, ...fields }) => fields;
+    expect(parseGlossaryTbx(glossaryToTbx(entries)).map(strip)).toEqual(entries.map(strip));
+  });
+
+  it('reads TBX 3 concept entries with several target languages', () => {
+    const tbx = `<tbx><text><body>
+      <conceptEntry id="c1">
+        <langSec xml:lang="en-US"><termSec><term>invoice</term></termSec></langSec>
+        <langSec xml:lang="id"><termSec><term>faktur</term></termSec></langSec>
+        <langSec xml:lang="de"><termSec><term>Rechnung</term></termSec></langSec>
+      </conceptEntry>
+    </body></text></tbx>`;
+    expect(parseGlossaryTbx(tbx).map(entry => [entry.sourceLang, entry.targetLang, entry.target])).toEqual([
+      ['en', 'id', 'faktur'],
+      ['en', 'de', 'Rechnung']
+    ]);
+  });
+});
+
+describe('GlossaryManager', () => {
+  it('saves, imports over matching terms and deletes entries', async () => {
+    const manager = new GlossaryManager();
+    await manager.saveEntry(checkout);
+    await manager.saveEntry({ ...checkout, target: 'kasir' });
+    expect(await manager.getEntries()).toEqual([{ ...checkout, target: 'kasir' }]);
+
+    const imported = createGlossaryEntry({ source: 'Checkout', target: 'bayar', sourceLang: 'en', targetLang: 'id' });
+    const merged = await manager.importEntries([imported, brand]);
+    expect(merged).toEqual([imported, brand]);
+    expect(mergeGlossaryEntries(merged, [])).toEqual(merged);
+
+    expect(await manager.deleteEntry(brand.id)).toEqual([imported]);
+  });
+});
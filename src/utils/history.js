@@ -9,26 +9,50 @@ import { STORAGE_KEYS, FREE_HISTORY_LIMIT, LICENSE_STORAGE_KEYS, LICENSE_API_BAS
 /**
  * @typedef {Object} HistoryItem
  * @property {string} id - Unique identifier
+ * @property {'translation'|'dictionary'} type - Sentence translation or word lookup; older items have none and are translations
  * @property {string} original - Original text
  * @property {string} translation - Translated text
  * @property {string} sourceLang - Source language code
  * @property {string} targetLang - Target language code
  * @property {string} engine - AI engine used
+ * @property {string|null} model - Model that produced the translation
+ * @property {string|null} fallbackFrom - Engine originally requested, when a fallback provider answered
+ * @property {{inputTokens: number, outputTokens: number}|null} usage - Tokens reported by the provider
+ * @property {number|null} cost - Estimated cost in USD, null when usage or price is unknown
  * @property {string} tone - Translation tone used
+ * @property {string|null} note - How the picked alternative differs from the other candidates
+ * @property {import('../providers/dictionary.js').DictionaryEntry|null} dictionary - Full entry of a word lookup
+ * @property {import('../providers/explanation.js').Explanation} [explanation] - Breakdown requested from the tooltip
  * @property {string} timestamp - ISO timestamp of translation
  * @property {boolean} synced - Whether item has been synced to cloud
  */
 
 /**
  * @typedef {Object} AddTranslationInput
+ * @property {'translation'|'dictionary'} [type] - Defaults to 'translation'
  * @property {string} original - Original text
  * @property {string} translation - Translated text
  * @property {string} sourceLang - Source language code
  * @property {string} targetLang - Target language code
  * @property {string} engine - AI engine used
+ * @property {string} [model] - Model that produced the translation
+ * @property {string} [fallbackFrom] - Engine originally requested, when a fallback provider answered
+ * @property {{inputTokens: number, outputTokens: number}} [usage] - Tokens reported by the provider
+ * @property {number} [cost] - Estimated cost in USD
  * @property {string} [tone] - Translation tone used (defaults to 'neutral')
+ * @property {string} [note] - How the picked alternative differs, in alternatives mode
+ * @property {import('../providers/dictionary.js').DictionaryEntry} [dictionary] - Entry of a word lookup
  */
 
+/**
+ * Type of a history item; items saved before lookups existed are translations
+ * @param {HistoryItem} item
+ * @returns {'translation'|'dictionary'}
+ */
+export function historyItemType(item) {
+  return item.type || 'translation';
+}
+
 class HistoryManager {
   constructor() {
     /** @type {HistoryItem[]|null} */
@@ -160,12 +184,19 @@ class HistoryManager {
     // Create history item with generated id and timestamp
     const historyItem = {
       id: this._generateId(),
+      type: item.type || 'translation',
       original: item.original,
       translation: item.translation,
       sourceLang: item.sourceLang,
       targetLang: item.targetLang,
       engine: item.engine,
+      model: item.model || null,
+      fallbackFrom: item.fallbackFrom || null,
+      usage: item.usage || null,
+      cost: typeof item.cost === 'number' ? item.cost : null,
       tone: item.tone || 'neutral',
+      note: item.note || null,
+      dictionary: item.dictionary || null,
       timestamp: new Date().toISOString(),
       synced: false
     };
@@ -215,6 +246,29 @@ class HistoryManager {
     });
   }
 
+  /**
+   * Change a saved history item, e.g. to add an explanation requested later
+   * Premium users' items are queued to sync again.
+   * @param {string} id - History item id
+   * @param {Object} changes - Fields to set
+   * @returns {Promise<HistoryItem|null>} - Updated item, null when it is no longer in history
+   */
+  async updateTranslation(id, changes) {
+    const history = await this.getHistory();
+    const existing = history.find(item => item.id === id);
+    if (!existing) {
+      return null;
+    }
+
+    const updated = { ...existing, ...changes, id, synced: false };
+    await this.setHistory(history.map(item => (item.id === id ? updated : item)));
+
+    if (await this._isPremium()) {
+      await this._addToPendingSyncQueue(updated);
+    }
+    return updated;
+  }
+
   /**
    * Add item to history array with limit enforcement
    * @param {HistoryItem} item - Item to add
@@ -227,7 +281,8 @@ class HistoryManager {
     // Add new item at the beginning (most recent first)
     const updatedHistory = [item, ...history];
     
-    // Apply limit for freemium users (Requirement 4.2)
+    // Apply limit for freemium users (Requirement 4.2); word lookups count
+    // towards it like translations
     if (!isPremium) {
       const limit = FREE_HISTORY_LIMIT;
       if (updatedHistory.length > limit) {
@@ -412,12 +467,14 @@ class HistoryManager {
    */
   async _addToPendingSyncQueue(item) {
     const pendingItems = await this._getPendingSyncItems();
-    // Avoid duplicates
-    const exists = pendingItems.some(pending => pending.id === item.id);
-    if (!exists) {
+    // Avoid duplicates; an item changed since it was queued is sent as it is now
+    const index = pendingItems.findIndex(pending => pending.id === item.id);
+    if (index === -1) {
       pendingItems.push(item);
-      await this._storePendingSyncItems(pendingItems);
+    } else {
+      pendingItems[index] = item;
     }
+    await this._storePendingSyncItems(pendingItems);
   }
 
   /**
@@ -19,6 +19,13 @@ const translationInputArb = fc.record({
   sourceLang: fc.constantFrom('en', 'id', 'zh', 'ja', 'ko', 'es', 'fr', 'de', 'auto'),
   targetLang: fc.constantFrom('en', 'id', 'zh', 'ja', 'ko', 'es', 'fr', 'de'),
   engine: fc.constantFrom('gemini', 'deepseek', 'openai', 'claude', 'groq'),
+  model: fc.constantFrom('gemini-2.0-flash', 'deepseek-chat', 'gpt-4o-mini', 'claude-3-5-haiku-latest', 'llama-3.3-70b-versatile'),
+  fallbackFrom: fc.constantFrom(null, 'gemini', 'deepseek'),
+  usage: fc.option(fc.record({
+    inputTokens: fc.nat({ max: 100000 }),
+    outputTokens: fc.nat({ max: 100000 })
+  }), { nil: null }),
+  cost: fc.option(fc.double({ min: 0, max: 10, noNaN: true }), { nil: null }),
   tone: fc.constantFrom('neutral', 'formal', 'casual', 'friendly', 'professional', 'academic', 'simple')
 });
 
@@ -131,6 +138,29 @@ describe('Freemium History Limit Properties', () => {
       { numRuns: 100 }
     );
   });
+
+  it('Word lookups and translations share the limit', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.array(fc.tuple(translationInputArb, fc.constantFrom('translation', 'dictionary')), { maxLength: 20 }),
+        async (items) => {
+          const manager = new HistoryManager();
+          await manager.setPremiumStatus(false);
+          await manager.clearHistory();
+
+          for (const [translation, type] of items) {
+            await manager.addTranslation({ ...translation, type });
+          }
+
+          // The newest items are kept, whatever their type
+          const history = await manager.getHistory();
+          const expectedTypes = items.slice(-FREE_HISTORY_LIMIT).reverse().map(([, type]) => type);
+          expect(history.map(item => item.type)).toEqual(expectedTypes);
+        }
+      ),
+      { numRuns: 50 }
+    );
+  });
 });
 
 
@@ -254,6 +284,29 @@ describe('Premium History Properties', () => {
       { numRuns: 100 }
     );
   });
+
+  it('An explanation added later is saved and queued to sync again', async () => {
+    const manager = new HistoryManager();
+    await manager.setPremiumStatus(true);
+    await manager.clearHistory();
+
+    const item = await manager.addTranslation({
+      original: 'Guten Morgen',
+      translation: 'Good morning',
+      sourceLang: 'de',
+      targetLang: 'en',
+      engine: 'gemini'
+    });
+    const explanation = { segments: [{ source: 'Guten Morgen', target: 'Good morning', note: '' }], notes: [] };
+    const updated = await manager.updateTranslation(item.id, { explanation });
+
+    expect(updated).toMatchObject({ id: item.id, translation: 'Good morning', explanation });
+    expect((await manager.getHistory())[0].explanation).toEqual(explanation);
+    const pending = await manager._getPendingSyncItems();
+    expect(pending).toHaveLength(1);
+    expect(pending[0].explanation).toEqual(explanation);
+    expect(await manager.updateTranslation('missing', { explanation })).toBeNull();
+  });
 });
 
 describe('Translation Storage Round-Trip Properties', () => {
@@ -262,7 +315,7 @@ describe('Translation Storage Round-Trip Properties', () => {
    * 
    * *For any* translation performed, retrieving the history SHALL return an item
    * with matching original text, translated text, source language, target language,
-   * engine, and tone.
+   * engine, model, fallback origin, and tone.
    * 
    * **Validates: Requirements 4.1, 5.1**
    */
@@ -295,6 +348,10 @@ describe('Translation Storage Round-Trip Properties', () => {
           expect(retrievedItem.sourceLang).toBe(translation.sourceLang);
           expect(retrievedItem.targetLang).toBe(translation.targetLang);
           expect(retrievedItem.engine).toBe(translation.engine);
+          expect(retrievedItem.model).toBe(translation.model);
+          expect(retrievedItem.fallbackFrom).toBe(translation.fallbackFrom);
+          expect(retrievedItem.usage).toEqual(translation.usage);
+          expect(retrievedItem.cost).toBe(translation.cost);
           expect(retrievedItem.tone).toBe(translation.tone);
           
           // 3. Generated fields should be present
@@ -0,0 +1,191 @@
+/**
+ * Offline Language Identifier
+ * Recognises the languages in LANGUAGES without a network call, so that text
+ * already in the target language does not cost a translation.
+ *
+ * Most languages are told apart by their script. Latin-script languages are
+ * scored with character trigrams learnt from the short samples below.
+ */
+
+// Scripts that belong to a single language in LANGUAGES
+const SCRIPT_LANGUAGES = [
+  { code: 'ko', pattern: /[\u1100-\u11FF\u3130-\u318F\uAC00-\uD7AF]/g },
+  { code: 'ja', pattern: /[\u3040-\u30FF]/g },
+  { code: 'th', pattern: /[\u0E00-\u0E7F]/g },
+  { code: 'hi', pattern: /[\u0900-\u097F]/g },
+  { code: 'ar', pattern: /[\u0600-\u06FF\u0750-\u077F]/g },
+  { code: 'ru', pattern: /[\u0400-\u04FF]/g }
+];
+
+const HAN_PATTERN = /[\u3400-\u9FFF\uF900-\uFAFF]/g;
+const LATIN_LETTER_PATTERN = /[a-z\u00C0-\u024F\u1E00-\u1EFF]/gi;
+
+// Everyday text in each Latin-script language, the source of its trigram profile
+const LATIN_SAMPLES = {
+  en: 'The quick brown fox jumps over the lazy dog. We have been working on this project for a long time and we think it is ready. ' +
+    'Please let me know if you would like to join us for dinner tonight. There are many things that you should know about the weather ' +
+    'before you travel. What time does the meeting start? I will send you the report when it is finished. This is one of the best ' +
+    'places in the city where people can enjoy their free time with their friends and family.',
+  id: 'Saya sedang belajar bahasa Indonesia karena saya ingin bekerja di Jakarta. Apakah kamu sudah makan siang hari ini? Kami akan ' +
+    'mengirimkan laporan setelah rapat selesai. Terima kasih atas bantuan yang telah diberikan kepada kami. Harga barang ini tidak ' +
+    'terlalu mahal untuk kebanyakan orang. Dia tinggal bersama keluarganya di sebuah rumah yang besar dan nyaman. Silakan hubungi ' +
+    'kami jika ada pertanyaan tentang layanan ini.',
+  es: 'El perro corre por el parque todas las mañanas con su dueño. Estamos trabajando en este proyecto desde hace mucho tiempo y ' +
+    'creemos que está listo. Por favor, avísame si quieres cenar con nosotros esta noche. Hay muchas cosas que debes saber sobre el ' +
+    'clima antes de viajar. ¿A qué hora empieza la reunión? Te enviaré el informe cuando esté terminado. Este es uno de los mejores ' +
+    'lugares de la ciudad donde la gente puede disfrutar de su tiempo libre.',
+  fr: 'Le chien court dans le parc tous les matins avec son maître. Nous travaillons sur ce projet depuis longtemps et nous pensons ' +
+    'qu\'il est prêt. Dis-moi si tu veux dîner avec nous ce soir. Il y a beaucoup de choses que vous devez savoir sur le temps avant ' +
+    'de voyager. À quelle heure commence la réunion ? Je vous enverrai le rapport quand il sera terminé. C\'est l\'un des meilleurs ' +
+    'endroits de la ville où les gens peuvent profiter de leur temps libre.',
+  de: 'Der Hund läuft jeden Morgen mit seinem Besitzer durch den Park. Wir arbeiten schon seit langer Zeit an diesem Projekt und ' +
+    'glauben, dass es fertig ist. Sag mir bitte, ob du heute Abend mit uns essen möchtest. Es gibt viele Dinge, die man über das ' +
+    'Wetter wissen sollte, bevor man reist. Um wie viel Uhr beginnt die Besprechung? Ich schicke dir den Bericht, wenn er fertig ist. ' +
+    'Das ist einer der schönsten Orte der Stadt, wo die Menschen ihre Freizeit genießen können.',
+  pt: 'O cachorro corre pelo parque todas as manhãs com o seu dono. Estamos trabalhando neste projeto há muito tempo e achamos que ' +
+    'está pronto. Por favor, avise-me se você quiser jantar conosco hoje à noite. Há muitas coisas que você precisa saber sobre o ' +
+    'tempo antes de viajar. A que horas começa a reunião? Vou enviar o relatório quando estiver pronto. Este é um dos melhores ' +
+    'lugares da cidade, onde as pessoas podem aproveitar o seu tempo livre com a família.',
+  vi: 'Con chó chạy trong công viên mỗi buổi sáng cùng với chủ của nó. Chúng tôi đã làm việc với dự án này trong một thời gian dài ' +
+    'và nghĩ rằng nó đã sẵn sàng. Hãy cho tôi biết nếu bạn muốn ăn tối với chúng tôi tối nay. Có nhiều điều bạn nên biết về thời ' +
+    'tiết trước khi đi du lịch. Cuộc họp bắt đầu lúc mấy giờ? Tôi sẽ gửi báo cáo cho bạn khi nó được hoàn thành. Đây là một trong ' +
+    'những nơi đẹp nhất của thành phố.'
+};
+
+// Fewer letters than this give too little evidence for a confident guess
+const MIN_LATIN_LETTERS = 12;
+
+// Average log-likelihood per trigram by which the best Latin-script language must
+// beat the runner-up; close calls (Spanish or Portuguese, short English phrases
+// that read as French) are reported as unsure
+const MIN_LATIN_MARGIN = 0.13;
+
+// Confidence reported for a close call, below SAME_LANGUAGE_CONFIDENCE
+const CLOSE_CALL_CONFIDENCE = 0.5;
+
+// Below this confidence text is translated even if it looks like the target language
+export const SAME_LANGUAGE_CONFIDENCE = 0.8;
+
+/**
+ * Overlapping character trigrams of each word, padded with spaces
+ * @param {string} text
+ * @returns {string[]}
+ */
+function trigramsOf(text) {
+  const words = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+  const trigrams = [];
+  for (const word of words) {
+    const padded = ` ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      trigrams.push(padded.slice(i, i + 3));
+    }
+  }
+  return trigrams;
+}
+
+/**
+ * Trigram counts for every Latin-script sample, built once
+ * @returns {Object<string, {counts: Map<string, number>, total: number}>}
+ */
+function buildLatinProfiles() {
+  const profiles = {};
+  for (const [code, sample] of Object.entries(LATIN_SAMPLES)) {
+    const counts = new Map();
+    const trigrams = trigramsOf(sample);
+    for (const trigram of trigrams) {
+      counts.set(trigram, (counts.get(trigram) || 0) + 1);
+    }
+    profiles[code] = { counts, total: trigrams.length };
+  }
+  return profiles;
+}
+
+let latinProfiles = null;
+
+/**
+ * Probability of each Latin-script language given the text's trigrams
+ * @param {string} text
+ * @returns {{code: string, probability: number, logLikelihood: number}[]} - Most likely first;
+ *   logLikelihood is the average per trigram
+ */
+function scoreLatinLanguages(text) {
+  latinProfiles ??= buildLatinProfiles();
+  const trigrams = trigramsOf(text);
+  // Add-one smoothing over a vocabulary large enough for unseen trigrams
+  const vocabulary = 5000;
+
+  const logLikelihoods = Object.entries(latinProfiles).map(([code, profile]) => ({
+    code,
+    score: trigrams.reduce(
+      (sum, trigram) => sum + Math.log(((profile.counts.get(trigram) || 0) + 1) / (profile.total + vocabulary)),
+      0
+    )
+  }));
+
+  const best = Math.max(...logLikelihoods.map(entry => entry.score));
+  const weights = logLikelihoods.map(entry => ({ code: entry.code, weight: Math.exp(entry.score - best) }));
+  const sum = weights.reduce((total, entry) => total + entry.weight, 0);
+  return weights
+    .map((entry, index) => ({
+      code: entry.code,
+      probability: entry.weight / sum,
+      logLikelihood: logLikelihoods[index].score / Math.max(1, trigrams.length)
+    }))
+    .sort((a, b) => b.probability - a.probability);
+}
+
+/**
+ * Identify the language of a text
+ * @param {string} text - Text to identify
+ * @returns {{language: string|null, confidence: number}} - Code from LANGUAGES, or null when unsure
+ */
+export function identifyLanguage(text) {
+  const letters = (text || '').replace(/[\s\d\p{P}\p{S}]/gu, '');
+  if (!letters) return { language: null, confidence: 0 };
+
+  const count = (pattern) => (letters.match(pattern) || []).length;
+
+  // Kana marks Japanese even among Han characters, so it is checked before Chinese
+  for (const { code, pattern } of SCRIPT_LANGUAGES) {
+    const share = count(pattern) / letters.length;
+    if (share >= 0.3 || (code === 'ja' && share > 0.05)) {
+      return { language: code, confidence: Math.min(1, 0.5 + share) };
+    }
+  }
+
+  const hanShare = count(HAN_PATTERN) / letters.length;
+  if (hanShare >= 0.5) {
+    // A few Han characters alone may just as well be Japanese kanji
+    return { language: 'zh', confidence: letters.length >= 4 ? hanShare * 0.95 : 0.5 };
+  }
+
+  const latinLetters = count(LATIN_LETTER_PATTERN);
+  if (latinLetters / letters.length < 0.5) return { language: null, confidence: 0 };
+
+  const [best, runnerUp] = scoreLatinLanguages(text);
+  const evidence = Math.min(1, latinLetters / MIN_LATIN_LETTERS);
+  const confidence = best.probability * evidence;
+  const clear = best.logLikelihood - runnerUp.logLikelihood >= MIN_LATIN_MARGIN;
+  return { language: best.code, confidence: clear ? confidence : Math.min(confidence, CLOSE_CALL_CONFIDENCE) };
+}
+
+/**
+ * Decide what to do with text that is already in the target language
+ * Only checked when the source language is auto-detected or the same as the target:
+ * a different source language set by the user is trusted over the identifier.
+ * @param {string} text - Text to translate
+ * @param {string} sourceLang - Source language code, or 'auto'
+ * @param {string} targetLang - Target language code
+ * @param {string} [secondaryLang] - SECONDARY_LANG setting: '' to show the original, or a language code
+ * @returns {{language: string, confidence: number, translateTo: string|null}|null} - Null when the
+ *   text is not confidently in the target language; translateTo null means skip the translation
+ */
+export function planSameLanguage(text, sourceLang, targetLang, secondaryLang = '') {
+  if (sourceLang !== 'auto' && sourceLang !== targetLang) return null;
+
+  const { language, confidence } = identifyLanguage(text);
+  if (language !== targetLang || confidence < SAME_LANGUAGE_CONFIDENCE) return null;
+
+  const translateTo = secondaryLang && secondaryLang !== language ? secondaryLang : null;
+  return { language, confidence, translateTo };
+}
@@ -0,0 +1,89 @@
+/**
+ * Tests for the offline language identifier
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { identifyLanguage, planSameLanguage, SAME_LANGUAGE_CONFIDENCE } from './languageId.js';
+
+describe('identifyLanguage', () => {
+  const sentences = {
+    en: 'Could you tell me where the nearest train station is?',
+    id: 'Besok pagi kami akan berangkat ke Bandung naik kereta.',
+    es: 'Mañana por la mañana vamos a visitar a mis abuelos en el pueblo.',
+    fr: 'Nous avons acheté une nouvelle voiture pour les vacances.',
+    de: 'Könnten Sie mir bitte sagen, wo der nächste Bahnhof ist?',
+    pt: 'Eu gostaria de reservar uma mesa para duas pessoas amanhã.',
+    vi: 'Tôi muốn đặt một bàn cho hai người vào tối mai.',
+    ja: '明日の朝、電車で東京に行きます。',
+    zh: '我明天早上坐火车去北京。',
+    ko: '내일 아침에 기차를 타고 서울에 갑니다.',
+    ru: 'Завтра утром мы поедем на поезде в Москву.',
+    ar: 'سنذهب غدا صباحا إلى القاهرة بالقطار.',
+    hi: 'हम कल सुबह ट्रेन से दिल्ली जाएंगे।',
+    th: 'พรุ่งนี้เช้าเราจะไปกรุงเทพด้วยรถไฟ'
+  };
+
+  for (const [code, sentence] of Object.entries(sentences)) {
+    it(`recognises ${code} confidently`, () => {
+      const result = identifyLanguage(sentence);
+      expect(result.language).toBe(code);
+      expect(result.confidence).toBeGreaterThanOrEqual(0.8);
+    });
+  }
+
+  // Regression: each used to come out above SAME_LANGUAGE_CONFIDENCE in the wrong language
+  it.each([
+    ['Necesito comprar pan y leche antes de volver a casa'],
+    ['Terms and conditions apply'],
+    ['Data protection regulation compliance']
+  ])('is unsure when similar languages score close: %s', (sentence) => {
+    expect(identifyLanguage(sentence).confidence).toBeLessThan(SAME_LANGUAGE_CONFIDENCE);
+  });
+
+  it('is unsure about very short Latin text', () => {
+    expect(identifyLanguage('ok').confidence).toBeLessThan(0.5);
+  });
+
+  it('returns no language for text without letters', () => {
+    expect(identifyLanguage('12:30 — 42%')).toEqual({ language: null, confidence: 0 });
+    expect(identifyLanguage('')).toEqual({ language: null, confidence: 0 });
+  });
+
+  it('always reports a confidence between 0 and 1', () => {
+    fc.assert(
+      fc.property(fc.string(), (text) => {
+        const { confidence } = identifyLanguage(text);
+        expect(confidence).toBeGreaterThanOrEqual(0);
+        expect(confidence).toBeLessThanOrEqual(1);
+      })
+    );
+  });
+});
+
+describe('planSameLanguage', () => {
+  const english = 'Could you tell me where the nearest train station is?';
+
+  it('leaves text in another language alone', () => {
+    expect(planSameLanguage(english, 'auto', 'id', '')).toBeNull();
+    expect(planSameLanguage('ok', 'auto', 'en', '')).toBeNull();
+  });
+
+  it('skips or uses the secondary language', () => {
+    expect(planSameLanguage(english, 'auto', 'en', '')).toMatchObject({ language: 'en', translateTo: null });
+    expect(planSameLanguage(english, 'en', 'en', '')).toMatchObject({ language: 'en', translateTo: null });
+    expect(planSameLanguage(english, 'auto', 'en', 'id').translateTo).toBe('id');
+    expect(planSameLanguage(english, 'auto', 'en', 'en').translateTo).toBeNull();
+  });
+
+  it('trusts a source language set by the user', () => {
+    expect(planSameLanguage(english, 'ja', 'en', '')).toBeNull();
+    expect(planSameLanguage('Necesito comprar pan y leche antes de volver a casa', 'es', 'pt', '')).toBeNull();
+  });
+
+  it('translates close calls between similar languages', () => {
+    expect(planSameLanguage('Necesito comprar pan y leche antes de volver a casa', 'auto', 'pt', '')).toBeNull();
+    expect(planSameLanguage('Terms and conditions apply', 'auto', 'fr', '')).toBeNull();
+    expect(planSameLanguage('Data protection regulation compliance', 'auto', 'fr', '')).toBeNull();
+  });
+});
@@ -38,7 +38,7 @@ import {
 
 /**
  * Feature types that can be checked for access
- * @typedef {'provider:openai'|'provider:claude'|'provider:groq'|'tone:formal'|'tone:casual'|'tone:friendly'|'tone:professional'|'tone:academic'|'tone:simple'|'history:unlimited'|'history:sync'} FeatureType
+ * @typedef {'provider:openai'|'provider:claude'|'provider:groq'|'provider:mistral'|'provider:openrouter'|'provider:azure'|'provider:deepl'|'provider:libretranslate'|'provider:custom'|'provider:ollama'|'tone:formal'|'tone:casual'|'tone:friendly'|'tone:professional'|'tone:academic'|'tone:simple'|'history:unlimited'|'history:sync'} FeatureType
  */
 
 class LicenseManager {
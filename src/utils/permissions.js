@@ -0,0 +1,56 @@
+/**
+ * Runtime Host Permissions
+ * User-configured endpoints (custom gateways, self-hosted servers) are not in
+ * the static `host_permissions` list, so access is requested on demand.
+ */
+
+/**
+ * Get browser API (Chrome/Firefox compatibility)
+ * @returns {Object|null}
+ */
+function getPermissionsAPI() {
+  if (typeof chrome !== 'undefined' && chrome.permissions) {
+    return chrome.permissions;
+  }
+  if (typeof browser !== 'undefined' && browser.permissions) {
+    return browser.permissions;
+  }
+  return null;
+}
+
+/**
+ * Convert an endpoint URL into a host match pattern
+ * Match patterns cannot carry a port, so the pattern covers every port on the host.
+ * @param {string} url - Endpoint URL, e.g. http://localhost:8000/v1
+ * @returns {string} - Match pattern, e.g. http://localhost/*
+ * @throws {Error} If the URL is invalid or not http(s)
+ */
+export function toOriginPattern(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error(`Unsupported protocol: ${parsed.protocol}`);
+  }
+  return `${parsed.protocol}//${parsed.hostname}/*`;
+}
+
+/**
+ * Ask the user for access to an endpoint's host
+ * Must be called synchronously from a user gesture (e.g. a click handler, before
+ * any await): Firefox refuses permissions.request() after an async round-trip.
+ * An already granted permission resolves true without asking again.
+ * @param {string} url - Endpoint URL
+ * @returns {Promise<boolean>} - Whether the permission is granted
+ */
+export function requestHostPermission(url) {
+  const permissions = getPermissionsAPI();
+  if (!permissions) {
+    return Promise.resolve(false);
+  }
+
+  return permissions.request({ origins: [toOriginPattern(url)] });
+}
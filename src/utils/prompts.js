@@ -0,0 +1,124 @@
+/**
+ * Prompt Templates
+ * Named system/user prompt pairs with variables, rendered for every translation
+ *
+ * Variables: {text}, {source}, {target}, {tone}, {context}
+ * Text inside [[ ]] is only kept when every variable it mentions has a value,
+ * e.g. "[[from {source} ]]" disappears when the source language is auto-detected.
+ */
+
+import { LANGUAGES } from './constants.js';
+import { getToneInstruction } from './tones.js';
+
+/**
+ * @typedef {Object} PromptTemplate
+ * @property {string} id - Unique identifier
+ * @property {string} name - Name shown in the popup
+ * @property {string} system - System prompt, may be empty
+ * @property {string} user - User message; should contain {text}
+ */
+
+export const PROMPT_VARIABLES = [
+  { name: 'text', description: 'Text to translate' },
+  { name: 'source', description: 'Source language, empty when auto-detected' },
+  { name: 'target', description: 'Target language' },
+  { name: 'tone', description: 'Tone instruction, empty for Neutral' },
+  { name: 'context', description: 'Text surrounding the selection on the page' }
+];
+
+/** @type {PromptTemplate} */
+export const DEFAULT_PROMPT_TEMPLATE = {
+  id: 'default',
+  name: 'Default',
+  system: '',
+  user: 'Translate the following text [[from {source} ]]to {target}.[[ {tone}]] Only respond with the translation, nothing else:\n\n{text}'
+};
+
+/**
+ * Fill a template string with variable values
+ * Unknown variables are left untouched; values are never re-scanned for variables.
+ * @param {string} template - Template with {variables} and [[optional sections]]
+ * @param {Object<string, string>} variables - Values by variable name
+ * @returns {string}
+ */
+export function renderTemplate(template, variables) {
+  const hasValue = (name) => typeof variables[name] === 'string' && variables[name] !== '';
+
+  const withSections = template.replace(/\[\[([\s\S]*?)\]\]/g, (section, content) => {
+    const names = [...content.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+    return names.every(hasValue) ? content : '';
+  });
+
+  return withSections.replace(/\{(\w+)\}/g, (placeholder, name) => (
+    Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name] ?? '') : placeholder
+  ));
+}
+
+/**
+ * Variable values for one translation
+ * @param {Object} params
+ * @param {string} params.text - Text to translate
+ * @param {string} params.sourceLang - Source language code, 'auto' to detect
+ * @param {string} params.targetLang - Target language code
+ * @param {string} [params.tone] - Tone id
+ * @param {import('./tones.js').Tone[]} [params.customTones] - User tones the id may refer to
+ * @param {string} [params.context] - Surrounding page text
+ * @returns {Object<string, string>}
+ */
+export function buildPromptVariables({ text, sourceLang, targetLang, tone, customTones, context }) {
+  const languageName = (code) => LANGUAGES.find(language => language.code === code)?.name || code;
+
+  return {
+    text: text ?? '',
+    source: sourceLang && sourceLang !== 'auto' ? languageName(sourceLang) : '',
+    target: languageName(targetLang),
+    tone: getToneInstruction(tone, customTones),
+    context: context || ''
+  };
+}
+
+/**
+ * Render a template into the system and user messages sent to a provider
+ * @param {PromptTemplate} template - Template to render
+ * @param {Object} params - See buildPromptVariables
+ * @returns {{system: string, user: string}}
+ */
+export function renderPrompt(template, params) {
+  const variables = buildPromptVariables(params);
+  return {
+    system: renderTemplate(template.system || '', variables).trim(),
+    user: renderTemplate(template.user || DEFAULT_PROMPT_TEMPLATE.user, variables)
+  };
+}
+
+/**
+ * Find a template by id among the user's templates, defaulting to the built-in one
+ * @param {PromptTemplate[]} templates - Templates saved by the user
+ * @param {string} [id] - Selected template id
+ * @returns {PromptTemplate}
+ */
+export function findPromptTemplate(templates, id) {
+  return (templates || []).find(template => template.id === id) || DEFAULT_PROMPT_TEMPLATE;
+}
+
+/**
+ * Check a template before saving it
+ * @param {PromptTemplate} template
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validatePromptTemplate(template) {
+  if (!template.name?.trim()) {
+    return 'Please give the template a name';
+  }
+  if (!template.user?.includes('{text}')) {
+    return 'The user message must include {text}';
+  }
+  const known = new Set(PROMPT_VARIABLES.map(variable => variable.name));
+  const unknown = [...`${template.system || ''} ${template.user}`.matchAll(/\{(\w+)\}/g)]
+    .map(match => match[1])
+    .find(name => !known.has(name));
+  if (unknown) {
+    return `Unknown variable {${unknown}}`;
+  }
+  return null;
+}
@@ -0,0 +1,69 @@
+/**
+ * Tests for prompt templates
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  DEFAULT_PROMPT_TEMPLATE,
+  renderTemplate,
+  renderPrompt,
+  findPromptTemplate,
+  validatePromptTemplate
+} from './prompts.js';
+
+describe('renderPrompt with the default template', () => {
+  it('matches the fixed prompt used before templates', () => {
+    expect(renderPrompt(DEFAULT_PROMPT_TEMPLATE, { text: 'hello', sourceLang: 'auto', targetLang: 'id', tone: 'neutral' })).toEqual({
+      system: '',
+      user: 'Translate the following text to Indonesian. Only respond with the translation, nothing else:\n\nhello'
+    });
+
+    expect(renderPrompt(DEFAULT_PROMPT_TEMPLATE, { text: 'hello', sourceLang: 'en', targetLang: 'id', tone: 'formal' }).user).toBe(
+      'Translate the following text from English to Indonesian. Use formal and polite language. Only respond with the translation, nothing else:\n\nhello'
+    );
+  });
+});
+
+describe('renderTemplate', () => {
+  it('drops optional sections whose variables are empty', () => {
+    const template = 'Translate[[ from {source}]] to {target}.[[ Context: {context}]]';
+    expect(renderTemplate(template, { source: '', target: 'French', context: '' })).toBe('Translate to French.');
+    expect(renderTemplate(template, { source: 'German', target: 'French', context: 'A menu' }))
+      .toBe('Translate from German to French. Context: A menu');
+  });
+
+  it('leaves unknown variables alone', () => {
+    expect(renderTemplate('{greeting} {text}', { text: 'hi' })).toBe('{greeting} hi');
+  });
+
+  it('never expands variables inside substituted values', () => {
+    fc.assert(
+      fc.property(fc.string(), fc.string(), (text, context) => {
+        expect(renderTemplate('{context}|{text}', { text, context })).toBe(`${context}|${text}`);
+      })
+    );
+  });
+});
+
+describe('findPromptTemplate', () => {
+  const legal = { id: 'legal', name: 'Legal', system: 'You translate contracts.', user: '{text}' };
+
+  it('finds a saved template and falls back to the default', () => {
+    expect(findPromptTemplate([legal], 'legal')).toBe(legal);
+    expect(findPromptTemplate([legal], 'deleted')).toBe(DEFAULT_PROMPT_TEMPLATE);
+    expect(findPromptTemplate(undefined, undefined)).toBe(DEFAULT_PROMPT_TEMPLATE);
+  });
+});
+
+describe('validatePromptTemplate', () => {
+  it('accepts the default template', () => {
+    expect(validatePromptTemplate(DEFAULT_PROMPT_TEMPLATE)).toBeNull();
+  });
+
+  it('requires a name, {text} and known variables', () => {
+    expect(validatePromptTemplate({ name: ' ', system: '', user: '{text}' })).toMatch(/name/);
+    expect(validatePromptTemplate({ name: 'A', system: '', user: 'Translate to {target}' })).toMatch(/\{text\}/);
+    expect(validatePromptTemplate({ name: 'A', system: 'Be {mood}', user: '{text}' })).toBe('Unknown variable {mood}');
+  });
+});
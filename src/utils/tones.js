@@ -0,0 +1,200 @@
+/**
+ * Tones for Zlate Extension
+ * The one list of translation tones: the built-in TONES plus custom tones
+ * premium users define with their own instruction. The popup tone select,
+ * the tooltip tone tabs, featureGate and the prompt all read from here.
+ */
+
+import { STORAGE_KEYS, TONES } from './constants.js';
+
+/**
+ * @typedef {Object} Tone
+ * @property {string} id - Tone identifier; custom tones start with 'custom-'
+ * @property {string} name - Display name
+ * @property {string} [shortName] - Shorter label for the tooltip tone tabs
+ * @property {string} instruction - Sentence added to the prompt, empty for none
+ * @property {'more'|'less'} [formality] - Formality asked of providers that cannot follow instructions
+ * @property {boolean} [custom] - Defined by the user
+ */
+
+// Longest custom tone instruction, keeping prompts reasonable
+export const MAX_TONE_INSTRUCTION_LENGTH = 300;
+
+/**
+ * Built-in tones followed by the user's custom tones
+ * @param {Tone[]} [customTones] - Tones saved by the user
+ * @returns {Tone[]}
+ */
+export function getToneList(customTones = []) {
+  return [...TONES, ...(customTones || []).map(tone => ({ ...tone, custom: true }))];
+}
+
+/**
+ * Look up a tone by id
+ * @param {string} toneId
+ * @param {Tone[]} [customTones] - Tones saved by the user
+ * @returns {Tone|null}
+ */
+export function findTone(toneId, customTones = []) {
+  return getToneList(customTones).find(tone => tone.id === toneId) || null;
+}
+
+/**
+ * Prompt instruction for a tone; unknown or deleted tones read as neutral
+ * @param {string} toneId
+ * @param {Tone[]} [customTones] - Tones saved by the user
+ * @returns {string}
+ */
+export function getToneInstruction(toneId, customTones = []) {
+  return findTone(toneId, customTones)?.instruction || '';
+}
+
+/**
+ * Whether a provider can translate in a tone
+ * Providers that only switch formality keep Neutral and the built-in tones
+ * with a formality; providers without any tone support keep only Neutral.
+ * @param {string} toneId
+ * @param {import('../providers/capabilities.js').ProviderCapabilities} [capabilities] - Every tone is supported when unknown
+ * @returns {boolean}
+ */
+export function isToneSupported(toneId, capabilities) {
+  if (!capabilities || capabilities.tones || toneId === 'neutral') return true;
+  return capabilities.formality && Boolean(findTone(toneId)?.formality);
+}
+
+/**
+ * Explain why some tones are unavailable with a provider
+ * @param {import('../providers/capabilities.js').ProviderCapabilities} [capabilities]
+ * @param {string} providerName - Display name of the provider
+ * @returns {string} - Empty when every tone is supported
+ */
+export function describeToneSupport(capabilities, providerName) {
+  if (!capabilities || capabilities.tones) return '';
+  return capabilities.formality
+    ? `${providerName} can only make translations more or less formal, so tones other than formal and casual ones are unavailable.`
+    : `${providerName} does not support tones; translations use its default style.`;
+}
+
+/**
+ * Create a custom tone
+ * @param {{id?: string, name: string, instruction: string}} fields
+ * @returns {Tone}
+ */
+export function createCustomTone({ id, name, instruction }) {
+  return {
+    id: id || `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: String(name ?? '').trim(),
+    instruction: String(instruction ?? '').trim()
+  };
+}
+
+/**
+ * Check a custom tone before saving it
+ * @param {Tone} tone
+ * @param {Tone[]} [customTones] - Tones already saved, for the duplicate name check
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateCustomTone(tone, customTones = []) {
+  if (!tone.name) {
+    return 'Please give the tone a name';
+  }
+  if (!tone.instruction) {
+    return 'Please describe how the translation should sound';
+  }
+  if (tone.instruction.length > MAX_TONE_INSTRUCTION_LENGTH) {
+    return `Keep the instruction under ${MAX_TONE_INSTRUCTION_LENGTH} characters`;
+  }
+  const taken = getToneList(customTones).some(existing =>
+    existing.id !== tone.id && existing.name.toLowerCase() === tone.name.toLowerCase()
+  );
+  if (taken) {
+    return `A tone named "${tone.name}" already exists`;
+  }
+  return null;
+}
+
+class ToneManager {
+  constructor() {
+    /** @type {Tone[]} */
+    this._testTones = [];
+  }
+
+  /**
+   * Get browser storage API (Chrome/Firefox compatibility)
+   * @returns {Object}
+   * @private
+   */
+  _getStorageAPI() {
+    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+      return chrome.storage.local;
+    }
+    if (typeof browser !== 'undefined' && browser.storage && browser.storage.local) {
+      return browser.storage.local;
+    }
+    return null;
+  }
+
+  /**
+   * Get the user's custom tones
+   * @returns {Promise<Tone[]>}
+   */
+  async getCustomTones() {
+    const storage = this._getStorageAPI();
+    if (!storage) {
+      return [...this._testTones];
+    }
+
+    return new Promise((resolve) => {
+      storage.get([STORAGE_KEYS.CUSTOM_TONES], (result) => {
+        resolve(result[STORAGE_KEYS.CUSTOM_TONES] || []);
+      });
+    });
+  }
+
+  /**
+   * Replace all custom tones
+   * @param {Tone[]} tones
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _setCustomTones(tones) {
+    const storage = this._getStorageAPI();
+    if (!storage) {
+      this._testTones = [...tones];
+      return;
+    }
+
+    return new Promise((resolve) => {
+      storage.set({ [STORAGE_KEYS.CUSTOM_TONES]: tones }, resolve);
+    });
+  }
+
+  /**
+   * Add a custom tone, or replace the one with the same id
+   * @param {Tone} tone
+   * @returns {Promise<Tone[]>} - Updated custom tones
+   */
+  async saveCustomTone(tone) {
+    const tones = await this.getCustomTones();
+    const updated = tones.some(existing => existing.id === tone.id)
+      ? tones.map(existing => (existing.id === tone.id ? tone : existing))
+      : [...tones, tone];
+    await this._setCustomTones(updated);
+    return updated;
+  }
+
+  /**
+   * Delete a custom tone by id
+   * @param {string} id
+   * @returns {Promise<Tone[]>} - Updated custom tones
+   */
+  async deleteCustomTone(id) {
+    const updated = (await this.getCustomTones()).filter(tone => tone.id !== id);
+    await this._setCustomTones(updated);
+    return updated;
+  }
+}
+
+export const toneManager = new ToneManager();
+
+export { ToneManager };
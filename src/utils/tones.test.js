@@ -0,0 +1,99 @@
+/**
+ * Tests for built-in and custom tones
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getToneList,
+  findTone,
+  getToneInstruction,
+  createCustomTone,
+  validateCustomTone,
+  isToneSupported,
+  describeToneSupport,
+  ToneManager,
+  MAX_TONE_INSTRUCTION_LENGTH
+} from './tones.js';
+import { TONES } from './constants.js';
+import { FeatureGate } from './featureGate.js';
+import { renderPrompt, DEFAULT_PROMPT_TEMPLATE } from './prompts.js';
+
+const genZ = createCustomTone({ id: 'custom-genz', name: 'Gen-Z slang', instruction: 'Use Gen-Z slang.' });
+
+describe('tone list', () => {
+  it('puts custom tones after the built-in ones', () => {
+    const tones = getToneList([genZ]);
+    expect(tones.slice(0, TONES.length)).toEqual(TONES);
+    expect(tones[TONES.length]).toEqual({ ...genZ, custom: true });
+  });
+
+  it('reads instructions from built-in and custom tones', () => {
+    expect(getToneInstruction('formal')).toBe('Use formal and polite language.');
+    expect(getToneInstruction('custom-genz', [genZ])).toBe('Use Gen-Z slang.');
+    expect(getToneInstruction('custom-deleted', [genZ])).toBe('');
+    expect(findTone('neutral').name).toBe('Neutral');
+  });
+
+  it('feeds custom tones into the prompt', () => {
+    const prompt = renderPrompt(DEFAULT_PROMPT_TEMPLATE, {
+      text: 'hi', sourceLang: 'en', targetLang: 'id', tone: 'custom-genz', customTones: [genZ]
+    });
+    expect(prompt.user).toBe('Translate the following text from English to Indonesian. Use Gen-Z slang. Only respond with the translation, nothing else:\n\nhi');
+  });
+});
+
+describe('validateCustomTone', () => {
+  it('requires a name, an instruction of reasonable length and a free name', () => {
+    expect(validateCustomTone(genZ, [])).toBeNull();
+    expect(validateCustomTone(genZ, [genZ])).toBeNull();
+    expect(validateCustomTone(createCustomTone({ name: ' ', instruction: 'x' }))).toMatch(/name/);
+    expect(validateCustomTone(createCustomTone({ name: 'A', instruction: '' }))).toMatch(/sound/);
+    expect(validateCustomTone(createCustomTone({ name: 'A', instruction: 'x'.repeat(MAX_TONE_INSTRUCTION_LENGTH + 1) }))).toMatch(/under/);
+    expect(validateCustomTone(createCustomTone({ name: 'formal', instruction: 'x' }))).toMatch(/already exists/);
+  });
+});
+
+describe('isToneSupported', () => {
+  const formalityOnly = { tones: false, formality: true };
+  const none = { tones: false, formality: false };
+
+  it('keeps tones with a formality for providers that only switch formality', () => {
+    expect(TONES.filter(tone => isToneSupported(tone.id, formalityOnly)).map(tone => tone.id))
+      .toEqual(['neutral', 'formal', 'casual', 'friendly', 'professional', 'academic']);
+    expect(isToneSupported(genZ.id, formalityOnly)).toBe(false);
+  });
+
+  it('keeps only Neutral for providers without tones, and everything when unknown', () => {
+    expect(TONES.filter(tone => isToneSupported(tone.id, none)).map(tone => tone.id)).toEqual(['neutral']);
+    expect(isToneSupported(genZ.id, undefined)).toBe(true);
+    expect(isToneSupported(genZ.id, { tones: true, formality: true })).toBe(true);
+  });
+
+  it('explains the limit only where there is one', () => {
+    expect(describeToneSupport(formalityOnly, 'DeepL')).toMatch(/^DeepL can only make translations more or less formal/);
+    expect(describeToneSupport(none, 'LibreTranslate')).toMatch(/^LibreTranslate does not support tones/);
+    expect(describeToneSupport({ tones: true }, 'Gemini')).toBe('');
+  });
+});
+
+describe('FeatureGate custom tones', () => {
+  it('lists custom tones as premium-only', () => {
+    const featureGate = new FeatureGate({ _cachedStatus: { isPremium: false } });
+    featureGate.updateCustomTones([genZ]);
+
+    const free = featureGate.getAvailableTones(false).find(tone => tone.id === 'custom-genz');
+    expect(free).toMatchObject({ available: false, isPremium: true, custom: true });
+    expect(featureGate.getAvailableTones(true).find(tone => tone.id === 'custom-genz').available).toBe(true);
+    expect(featureGate.isToneAvailable('custom-genz', false)).toBe(false);
+  });
+});
+
+describe('ToneManager', () => {
+  it('saves, updates and deletes custom tones', async () => {
+    const manager = new ToneManager();
+    await manager.saveCustomTone(genZ);
+    const renamed = { ...genZ, name: 'Gen Z' };
+    expect(await manager.saveCustomTone(renamed)).toEqual([renamed]);
+    expect(await manager.deleteCustomTone(genZ.id)).toEqual([]);
+  });
+});
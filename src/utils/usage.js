@@ -0,0 +1,350 @@
+/**
+ * Usage Tracker for Zlate Extension
+ * Prices translations from the token usage providers report, and keeps
+ * per-provider daily totals for the spend summary in the popup
+ */
+
+import { STORAGE_KEYS, DEFAULT_PRICE_TABLE, USAGE_RETENTION_DAYS } from './constants.js';
+
+/**
+ * @typedef {Object} TokenUsage
+ * @property {number} inputTokens - Prompt tokens billed
+ * @property {number} outputTokens - Completion tokens billed, including any reasoning
+ */
+
+/**
+ * @typedef {Object} PriceEntry
+ * @property {string} provider - Provider id
+ * @property {string} model - Model id prefix, or '*' for any model
+ * @property {number} input - USD per million input tokens
+ * @property {number} output - USD per million output tokens
+ */
+
+/**
+ * @typedef {Object} UsageTotals
+ * @property {number} requests - Translations counted
+ * @property {number} inputTokens - Input tokens summed
+ * @property {number} outputTokens - Output tokens summed
+ * @property {number} cost - Estimated USD summed over priced translations
+ * @property {number} unpriced - Translations with no matching price entry
+ */
+
+/**
+ * @typedef {Object<string, Object<string, UsageTotals>>} UsageLog
+ * Totals keyed by local date (YYYY-MM-DD), then by provider id
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rolling windows shown in the spend summary, in days including today
+const SUMMARY_PERIODS = { day: 1, week: 7, month: 30 };
+
+/**
+ * Find the price entry for a model: the longest matching prefix wins over '*'
+ * @param {PriceEntry[]} table - Price table
+ * @param {string} provider - Provider id
+ * @param {string|null} model - Model id
+ * @returns {PriceEntry|null}
+ */
+export function findPrice(table, provider, model) {
+  let best = null;
+  let bestLength = -1;
+
+  for (const entry of table) {
+    if (entry.provider !== provider) continue;
+    const length = entry.model === '*' ? 0 : entry.model.length;
+    const matches = entry.model === '*' || (typeof model === 'string' && model.startsWith(entry.model));
+    if (matches && length > bestLength) {
+      best = entry;
+      bestLength = length;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Estimate the cost of one translation
+ * @param {TokenUsage|null} usage - Tokens reported by the provider
+ * @param {PriceEntry|null} price - Matching price entry
+ * @returns {number|null} - USD, or null when usage or price is unknown
+ */
+export function estimateCost(usage, price) {
+  if (!usage || !price) return null;
+  return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6;
+}
+
+/**
+ * Local calendar date of a moment, as used for usage log keys
+ * @param {Date} date
+ * @returns {string} - YYYY-MM-DD
+ */
+export function toDayKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Whole days between a usage log key and today
+ * @param {string} dayKey - YYYY-MM-DD
+ * @param {Date} now
+ * @returns {number} - 0 for today, 1 for yesterday, ...
+ */
+function daysAgo(dayKey, now) {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  const then = new Date(year, month - 1, day);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  // Rounding absorbs the hour gained or lost at daylight saving changes
+  return Math.round((today - then) / DAY_MS);
+}
+
+/**
+ * @returns {UsageTotals}
+ */
+function emptyTotals() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0 };
+}
+
+/**
+ * Add one translation to a usage log
+ * @param {UsageLog} log - Existing log (not modified)
+ * @param {Object} entry
+ * @param {string} entry.provider - Provider that answered
+ * @param {TokenUsage|null} entry.usage - Tokens reported, if any
+ * @param {number|null} entry.cost - Estimated cost, null when unpriced
+ * @param {Date} entry.date - When the translation happened
+ * @returns {UsageLog} - New log
+ */
+export function addUsage(log, { provider, usage, cost, date }) {
+  const dayKey = toDayKey(date);
+  const dayTotals = { ...(log[dayKey] || {}) };
+  const totals = { ...(dayTotals[provider] || emptyTotals()) };
+
+  totals.requests += 1;
+  totals.inputTokens += usage?.inputTokens || 0;
+  totals.outputTokens += usage?.outputTokens || 0;
+  if (cost === null || cost === undefined) {
+    totals.unpriced += 1;
+  } else {
+    totals.cost += cost;
+  }
+
+  dayTotals[provider] = totals;
+  return { ...log, [dayKey]: dayTotals };
+}
+
+/**
+ * Drop days older than the retention window
+ * @param {UsageLog} log
+ * @param {Date} now
+ * @param {number} [retentionDays]
+ * @returns {UsageLog}
+ */
+export function pruneUsageLog(log, now, retentionDays = USAGE_RETENTION_DAYS) {
+  return Object.fromEntries(
+    Object.entries(log).filter(([dayKey]) => daysAgo(dayKey, now) < retentionDays)
+  );
+}
+
+/**
+ * Total the log per provider for today, the last 7 days and the last 30 days
+ * @param {UsageLog} log
+ * @param {Date} now
+ * @returns {Object<string, {day: UsageTotals, week: UsageTotals, month: UsageTotals}>}
+ */
+export function summarizeUsage(log, now) {
+  const summary = {};
+
+  for (const [dayKey, providers] of Object.entries(log)) {
+    const age = daysAgo(dayKey, now);
+    if (age < 0) continue;
+
+    for (const [provider, totals] of Object.entries(providers)) {
+      summary[provider] ??= {
+        day: emptyTotals(),
+        week: emptyTotals(),
+        month: emptyTotals()
+      };
+      for (const [period, days] of Object.entries(SUMMARY_PERIODS)) {
+        if (age >= days) continue;
+        const periodTotals = summary[provider][period];
+        for (const field of Object.keys(periodTotals)) {
+          periodTotals[field] += totals[field] || 0;
+        }
+      }
+    }
+  }
+
+  return summary;
+}
+
+class UsageTracker {
+  constructor() {
+    /** @type {UsageLog} */
+    this._testLog = {};
+    /** @type {PriceEntry[]|null} */
+    this._testPriceTable = null;
+    // Log writes run one after another, so concurrent requests never overwrite each other
+    /** @type {Promise<void>} */
+    this._writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Get browser storage API (Chrome/Firefox compatibility)
+   * @returns {Object}
+   * @private
+   */
+  _getStorageAPI() {
+    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+      return chrome.storage.local;
+    }
+    if (typeof browser !== 'undefined' && browser.storage && browser.storage.local) {
+      return browser.storage.local;
+    }
+    return null;
+  }
+
+  /**
+   * Get the price table, falling back to the published defaults
+   * @returns {Promise<PriceEntry[]>}
+   */
+  async getPriceTable() {
+    const storage = this._getStorageAPI();
+    if (!storage) {
+      return this._testPriceTable || DEFAULT_PRICE_TABLE;
+    }
+
+    return new Promise((resolve) => {
+      storage.get([STORAGE_KEYS.PRICE_TABLE], (result) => {
+        resolve(result[STORAGE_KEYS.PRICE_TABLE] || DEFAULT_PRICE_TABLE);
+      });
+    });
+  }
+
+  /**
+   * Save an edited price table
+   * @param {PriceEntry[]} table
+   * @returns {Promise<void>}
+   */
+  async setPriceTable(table) {
+    const storage = this._getStorageAPI();
+    if (!storage) {
+      this._testPriceTable = table;
+      return;
+    }
+
+    return new Promise((resolve) => {
+      storage.set({ [STORAGE_KEYS.PRICE_TABLE]: table }, resolve);
+    });
+  }
+
+  /**
+   * Go back to the default price table
+   * @returns {Promise<void>}
+   */
+  async resetPriceTable() {
+    const storage = this._getStorageAPI();
+    if (!storage) {
+      this._testPriceTable = null;
+      return;
+    }
+
+    return new Promise((resolve) => {
+      storage.remove([STORAGE_KEYS.PRICE_TABLE], resolve);
+    });
+  }
+
+  /**
+   * Estimate the cost of a translation with the current price table
+   * @param {string} provider - Provider id
+   * @param {string|null} model - Model id
+   * @param {TokenUsage|null} usage - Tokens reported by the provider
+   * @returns {Promise<number|null>}
+   */
+  async estimateCost(provider, model, usage) {
+    if (!usage) return null;
+    const table = await this.getPriceTable();
+    return estimateCost(usage, findPrice(table, provider, model));
+  }
+
+  /**
+   * Run a read-modify-write of the usage log after the writes queued before it
+   * @param {function(): Promise<void>} write
+   * @returns {Promise<void>}
+   * @private
+   */
+  _enqueueWrite(write) {
+    const result = this._writeQueue.then(write);
+    // A failed write must not block the ones queued after it
+    this._writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Add a translation to the daily totals
+   * Calls made side by side (e.g. by a comparison) are applied in order.
+   * @param {Object} entry
+   * @param {string} entry.provider - Provider that answered
+   * @param {TokenUsage|null} entry.usage - Tokens reported, if any
+   * @param {number|null} entry.cost - Estimated cost
+   * @param {Date} [entry.date] - Defaults to now
+   * @returns {Promise<void>}
+   */
+  recordUsage({ provider, usage, cost, date = new Date() }) {
+    return this._enqueueWrite(async () => {
+      const storage = this._getStorageAPI();
+      if (!storage) {
+        this._testLog = pruneUsageLog(addUsage(this._testLog, { provider, usage, cost, date }), date);
+        return;
+      }
+
+      return new Promise((resolve) => {
+        storage.get([STORAGE_KEYS.USAGE_LOG], (result) => {
+          const log = addUsage(result[STORAGE_KEYS.USAGE_LOG] || {}, { provider, usage, cost, date });
+          storage.set({ [STORAGE_KEYS.USAGE_LOG]: pruneUsageLog(log, date) }, resolve);
+        });
+      });
+    });
+  }
+
+  /**
+   * Per-provider totals for today, the last 7 days and the last 30 days
+   * @param {Date} [now]
+   * @returns {Promise<Object<string, {day: UsageTotals, week: UsageTotals, month: UsageTotals}>>}
+   */
+  async getSummary(now = new Date()) {
+    const storage = this._getStorageAPI();
+    if (!storage) {
+      return summarizeUsage(this._testLog, now);
+    }
+
+    return new Promise((resolve) => {
+      storage.get([STORAGE_KEYS.USAGE_LOG], (result) => {
+        resolve(summarizeUsage(result[STORAGE_KEYS.USAGE_LOG] || {}, now));
+      });
+    });
+  }
+
+  /**
+   * Forget all recorded usage
+   * @returns {Promise<void>}
+   */
+  clearUsage() {
+    return this._enqueueWrite(async () => {
+      const storage = this._getStorageAPI();
+      if (!storage) {
+        this._testLog = {};
+        return;
+      }
+
+      return new Promise((resolve) => {
+        storage.remove([STORAGE_KEYS.USAGE_LOG], resolve);
+      });
+    });
+  }
+}
+
+export const usageTracker = new UsageTracker();
+
+export { UsageTracker };
@@ -0,0 +1,145 @@
+/**
+ * Tests for token usage pricing and the spend summary
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  findPrice,
+  estimateCost,
+  toDayKey,
+  addUsage,
+  pruneUsageLog,
+  summarizeUsage,
+  UsageTracker
+} from './usage.js';
+import { DEFAULT_PRICE_TABLE } from './constants.js';
+
+describe('findPrice', () => {
+  it('matches the longest model prefix', () => {
+    expect(findPrice(DEFAULT_PRICE_TABLE, 'openai', 'gpt-4o-mini-2024-07-18').model).toBe('gpt-4o-mini');
+    expect(findPrice(DEFAULT_PRICE_TABLE, 'openai', 'gpt-4o-2024-08-06').model).toBe('gpt-4o');
+    expect(findPrice(DEFAULT_PRICE_TABLE, 'claude', 'claude-3-5-haiku-latest').model).toBe('claude-3-5-haiku');
+  });
+
+  it('falls back to a wildcard entry, and to nothing', () => {
+    expect(findPrice(DEFAULT_PRICE_TABLE, 'ollama', 'llama3.2').model).toBe('*');
+    expect(findPrice(DEFAULT_PRICE_TABLE, 'custom', 'anything')).toBeNull();
+    expect(findPrice(DEFAULT_PRICE_TABLE, 'openai', null)).toBeNull();
+  });
+});
+
+describe('estimateCost', () => {
+  it('prices tokens per million', () => {
+    const price = { provider: 'openai', model: 'gpt-4o-mini', input: 0.15, output: 0.6 };
+    expect(estimateCost({ inputTokens: 1000000, outputTokens: 500000 }, price)).toBeCloseTo(0.45);
+  });
+
+  it('is unknown without usage or a price', () => {
+    expect(estimateCost(null, { input: 1, output: 1 })).toBeNull();
+    expect(estimateCost({ inputTokens: 1, outputTokens: 1 }, null)).toBeNull();
+  });
+});
+
+describe('usage log', () => {
+  const now = new Date(2025, 5, 15, 12, 0, 0);
+  const daysBefore = (days) => new Date(2025, 5, 15 - days, 9, 30, 0);
+
+  it('keys days by local date', () => {
+    expect(toDayKey(new Date(2025, 0, 5, 23, 59))).toBe('2025-01-05');
+  });
+
+  it('sums translations into today, 7-day and 30-day windows', () => {
+    let log = {};
+    log = addUsage(log, { provider: 'openai', usage: { inputTokens: 10, outputTokens: 20 }, cost: 0.01, date: daysBefore(0) });
+    log = addUsage(log, { provider: 'openai', usage: { inputTokens: 5, outputTokens: 5 }, cost: 0.02, date: daysBefore(3) });
+    log = addUsage(log, { provider: 'openai', usage: null, cost: null, date: daysBefore(20) });
+    log = addUsage(log, { provider: 'gemini', usage: { inputTokens: 1, outputTokens: 1 }, cost: 0.5, date: daysBefore(40) });
+
+    const summary = summarizeUsage(log, now);
+
+    expect(summary.openai.day).toEqual({ requests: 1, inputTokens: 10, outputTokens: 20, cost: 0.01, unpriced: 0 });
+    expect(summary.openai.week.requests).toBe(2);
+    expect(summary.openai.week.cost).toBeCloseTo(0.03);
+    expect(summary.openai.month.requests).toBe(3);
+    expect(summary.openai.month.unpriced).toBe(1);
+    expect(summary.gemini.month.requests).toBe(0);
+  });
+
+  it('never counts more in a shorter window', () => {
+    const entryArb = fc.record({
+      provider: fc.constantFrom('gemini', 'openai', 'claude'),
+      usage: fc.record({ inputTokens: fc.nat({ max: 10000 }), outputTokens: fc.nat({ max: 10000 }) }),
+      cost: fc.double({ min: 0, max: 1, noNaN: true }),
+      daysAgo: fc.nat({ max: 45 })
+    });
+
+    fc.assert(
+      fc.property(fc.array(entryArb, { maxLength: 30 }), (entries) => {
+        const log = entries.reduce(
+          (current, entry) => addUsage(current, { ...entry, date: daysBefore(entry.daysAgo) }),
+          {}
+        );
+        for (const periods of Object.values(summarizeUsage(log, now))) {
+          expect(periods.day.requests).toBeLessThanOrEqual(periods.week.requests);
+          expect(periods.week.requests).toBeLessThanOrEqual(periods.month.requests);
+          expect(periods.week.cost).toBeLessThanOrEqual(periods.month.cost + 1e-9);
+        }
+      })
+    );
+  });
+
+  it('prunes days past the retention window', () => {
+    let log = addUsage({}, { provider: 'groq', usage: null, cost: null, date: daysBefore(2) });
+    log = addUsage(log, { provider: 'groq', usage: null, cost: null, date: daysBefore(31) });
+    expect(Object.keys(pruneUsageLog(log, now, 31))).toEqual([toDayKey(daysBefore(2))]);
+  });
+});
+
+describe('UsageTracker', () => {
+  it('prices with an edited table and reports the summary', async () => {
+    const tracker = new UsageTracker();
+    await tracker.setPriceTable([{ provider: 'custom', model: '*', input: 1, output: 2 }]);
+
+    const usage = { inputTokens: 1000000, outputTokens: 1000000 };
+    const cost = await tracker.estimateCost('custom', 'my-model', usage);
+    expect(cost).toBe(3);
+
+    await tracker.recordUsage({ provider: 'custom', usage, cost });
+    const summary = await tracker.getSummary();
+    expect(summary.custom.day.cost).toBe(3);
+
+    await tracker.resetPriceTable();
+    expect(await tracker.estimateCost('custom', 'my-model', usage)).toBeNull();
+  });
+
+  describe('with browser storage', () => {
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('keeps every record when several are written side by side', async () => {
+      // Storage answers asynchronously, like chrome.storage.local
+      const data = {};
+      vi.stubGlobal('chrome', {
+        storage: {
+          local: {
+            get: (keys, callback) => setTimeout(() => callback({ ...data })),
+            set: (items, callback) => setTimeout(() => { Object.assign(data, items); callback(); })
+          }
+        }
+      });
+      const tracker = new UsageTracker();
+      const usage = { inputTokens: 10, outputTokens: 5 };
+
+      await Promise.all(['gemini', 'openai', 'gemini', 'claude'].map(provider =>
+        tracker.recordUsage({ provider, usage, cost: 0.5 })
+      ));
+
+      const summary = await tracker.getSummary();
+      expect(summary.gemini.day.requests).toBe(2);
+      expect(summary.openai.day.requests).toBe(1);
+      expect(summary.claude.day.inputTokens).toBe(10);
+    });
+  });
+});